@@ -8,6 +8,7 @@
  * @requires src/core/Media
  * @requires src/core/Data
  * @requires src/core/Player
+ * @requires src/core/VisionPlayerElement
  * @requires src/controller/Controller
  * @requires src/controller/FullScreen
  * @requires src/controller/Scrubber
@@ -107,3 +108,8 @@ import playOverlayStyles from '../../assets/scss/controller/playoverlay.scss?inl
 import PlayOverlay from '../controller/PlayOverlay.js';
 Player.addComponent('ui.playOverlay', PlayOverlay);
 Player.addStyles('../../assets/scss/controller/playoverlay.scss?inline', playOverlayStyles);
+
+// register the <vision-player> custom element
+
+import VisionPlayerElement from '../core/VisionPlayerElement.js';
+VisionPlayerElement.define(Player);
@@ -26,6 +26,9 @@ Player.addComponent('audioChain.visualizerTime', VisualizerTime);
 // Debugging
 
 Player.setDefaultConfig({
+    player: {
+        configWarnings: true
+    },
     notifications: {
         showFileOnError: true,
         showMessageOnError: true
@@ -34,6 +37,7 @@ Player.setDefaultConfig({
 
 import Debug from '../util/Debug.js';
 Player.addComponent('debug', Debug);
+Player.setApi('Debug', Debug); // exposed for replaying recordings using VisionPlayer.Debug.replay()
 
 import PerformanceMonitor from '../util/PerformanceMonitor.js';
 Player.addComponent('perfmon', PerformanceMonitor);
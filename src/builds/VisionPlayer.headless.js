@@ -4,8 +4,13 @@
  * but still provides core player API and events for external control.
  * Also acts as a starting point for all further builds which extend on this one.
  * @exports module:src/builds/VisionPlayer-headless
+ * @requires src/core/Network
  * @requires src/core/Media
  * @requires src/core/Data
+ * @requires src/core/Preferences
+ * @requires src/core/Snapshot
+ * @requires src/core/Group
+ * @requires src/util/SyncController
  * @requires src/core/Player
  * @author   Frank Kudermann - alphanull
  * @version  1.2.3
@@ -24,12 +29,29 @@ export default Player;
 import Dom from '../core/Dom.js';
 Player.addComponent('dom', Dom);
 
+import Network from '../core/Network.js';
+Player.addComponent('network', Network);
+
+import Preferences from '../core/Preferences.js';
+Player.addComponent('preferences', Preferences);
+
 import Data from '../core/Data.js';
 Player.addComponent('data', Data);
 
 import Media from '../core/Media.js';
 Player.addComponent('media', Media);
 
+import Snapshot from '../core/Snapshot.js';
+Player.addComponent('snapshot', Snapshot);
+
+import Group from '../core/Group.js';
+Player.addComponent('group', Group);
+
+// add static helpers
+
+import SyncController from '../util/SyncController.js';
+Player.setApi('sync', (master, followers, options) => new SyncController(master, followers, options));
+
 // add minimum core styles
 
 import coreStyles from '../../assets/scss/core/player.scss?inline';
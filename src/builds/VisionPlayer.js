@@ -14,11 +14,13 @@
  * @requires src/ui/Overlays
  * @requires src/ui/Chapters
  * @requires src/ui/Popup
+ * @requires src/ui/Resume
  * @requires src/ui/Thumbnails
  * @requires src/text/Subtitles
  * @requires src/text/SubtitleRendererVTT
  * @requires src/selection/File
  * @requires src/selection/Playlist
+ * @requires src/settings/Angles
  * @requires src/settings/AudioControls
  * @requires src/settings/Language
  * @requires src/settings/PlaybackRate
@@ -99,6 +101,11 @@ import Thumbnails from '../ui/Thumbnails.js';
 Player.addComponent('ui.controller.scrubber.thumbnails', Thumbnails);
 Player.addStyles('../../assets/scss/ui/thumbnails.scss?inline', thumbnailStyles);
 
+import resumeStyles from '../../assets/scss/ui/resume.scss?inline';
+import Resume from '../ui/Resume.js';
+Player.addComponent('ui.resume', Resume);
+Player.addStyles('../../assets/scss/ui/resume.scss?inline', resumeStyles);
+
 // subtitles & language
 
 import Popup from '../ui/Popup.js';
@@ -136,6 +143,9 @@ Player.addComponent('ui.controller.popupSettings.playbackRate', PlaybackRate);
 import Quality from '../settings/Quality.js';
 Player.addComponent('ui.controller.popupSettings.quality', Quality);
 
+import Angles from '../settings/Angles.js';
+Player.addComponent('ui.controller.popupSettings.angles', Angles);
+
 // audio / video controls
 
 import pictureStyles from '../../assets/scss/settings/picture.scss?inline';
@@ -181,6 +191,9 @@ Player.addComponent('media.hls', HlsComponent);
 import Dash from '../streaming/Dash.js';
 Player.addComponent('media.dash', Dash);
 
+import HlsNative from '../streaming/HlsNative.js';
+Player.addComponent('media.hlsNative', HlsNative);
+
 // analyser / visualizer
 
 import '../../assets/scss/visualizer/visualizerAmbient.scss';
@@ -5,7 +5,7 @@
  * - Shadow DOM is always enabled in closed mode, preventing all external access to internals.
  * - Secure mode is enforced, so critical APIs and internal components are fully protected.
  * - Once these security defaults are set, they cannot be reverted at runtime.
- * - Disables all public mutator APIs for extending or altering the player instance (`setApi`, `removeApi`, `addComponent`, `setDefaultConfig`).
+ * - Disables all public mutator APIs for extending or altering the player instance (`setApi`, `removeApi`, `addComponent`, `setDefaultConfig`, `addDataMiddleware`).
  * - The Player object is sealed, prohibiting further extension or reconfiguration.
  * - No subtitle HTML handling allowed, makes the player 100% XSS safe, since all text content is set via text nodes, including translations.
  * @exports module:src/builds/VisionPlayer-secure
@@ -37,6 +37,8 @@ delete Player.removeComponent;
 delete Player.setDefaultConfig;
 delete Player.addLocale;
 delete Player.setLocaleConfig;
+delete Player.addDataMiddleware;
+delete Player.removeDataMiddleware;
 delete Player.addStyle;
 
 if (!import.meta.hot) delete Player.updateStyles;
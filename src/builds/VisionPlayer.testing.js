@@ -0,0 +1,14 @@
+/**
+ * Testing entry point of VisionPlayer. Unlike the other entry points, this does not export a player build, but helpers for testing integrations
+ * in environments where media cannot be played (like jsdom). They are not part of any player build, so they do not add to the size of production bundles.
+ * Use it together with one of the player builds, for example: `VisionPlayer.addComponent('media', SimulatedMedia)`.
+ * @exports module:src/builds/VisionPlayer-testing
+ * @requires src/util/SimulatedMedia
+ * @requires src/util/MediaSimulator
+ * @author   Frank Kudermann - alphanull
+ * @version  1.2.3
+ * @license  MIT
+ */
+
+export { default as SimulatedMedia } from '../util/SimulatedMedia.js';
+export { default as MediaSimulator } from '../util/MediaSimulator.js';
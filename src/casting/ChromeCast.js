@@ -260,11 +260,14 @@ export default class ChromeCast {
 
     /**
      * Load Cast API Scripts from Google. This is only done after the user clicks the cast button.
+     * @returns {Promise} A promise which resolves when the script was added.
      */
-    #addScripts() {
+    async #addScripts() {
 
-        const script = document.createElement('script');
-        script.src = 'https://www.gstatic.com/cv/js/sender/v1/cast_sender.js?loadCastFramework=1';
+        const { url } = await this.#player.network.prepare({ url: 'https://www.gstatic.com/cv/js/sender/v1/cast_sender.js?loadCastFramework=1', type: 'library' }),
+              script = document.createElement('script');
+
+        script.src = url;
         document.head.appendChild(script);
         window.__onGCastApiAvailable = isAvailable => { if (isAvailable) this.#onAvailable(); };
 
@@ -78,7 +78,14 @@ export default class Keyboard {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('keyboard', this.#config);
+        this.#config = player.initConfig('keyboard', this.#config, {
+            keyPlay: { type: ['string', 'number'] },
+            keySeekBack: { type: ['string', 'number'] },
+            keySeekForward: { type: ['string', 'number'] },
+            keyVolumeUp: { type: ['string', 'number'] },
+            keyVolumeDown: { type: ['string', 'number'] },
+            overlayDelay: { min: 0 }
+        });
 
         if (!this.#config) return [false];
 
@@ -146,7 +146,9 @@ export default class Scrubber {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('scrubber', this.#config);
+        this.#config = player.initConfig('scrubber', this.#config, {
+            placement: { enum: ['top', 'buttons'] }
+        });
 
         if (!this.#config) return [false];
 
@@ -1,3 +1,4 @@
+import { isNumber, isBoolean } from '../../lib/util/object.js';
 import DomSmith from '../../lib/dom/DomSmith.js';
 
 /**
@@ -7,6 +8,7 @@ import DomSmith from '../../lib/dom/DomSmith.js';
  * On touch devices, it features specific interaction behavior for first tap and slider visibility.
  * @exports module:src/controller/Volume
  * @requires lib/dom/DomSmith
+ * @requires lib/util/object
  * @author   Frank Kudermann - alphanull
  * @version  1.0.0
  * @license  MIT
@@ -118,6 +120,7 @@ export default class Volume {
         this.#subscriptions = [
             ['media/volumechange', this.#onVolumeUpdate],
             ['data/ready', this.#onVolumeUpdate],
+            ['preferences/ready', this.#onPreferencesReady],
             ['data/nomedia', this.#disable],
             ['media/error', this.#disable],
             ['media/canplay', this.#enable]
@@ -142,6 +145,7 @@ export default class Volume {
 
         this.#player.media.mute(!this.#player.getState('media.muted'));
         if (this.#player.getState('media.muted')) this.#player.media.volume(this.#savedVolume || 1);
+        this.#storePreferences();
 
     };
 
@@ -157,9 +161,34 @@ export default class Volume {
         }
 
         this.#player.media.volume(this.#dom.volSlider.value);
+        this.#storePreferences();
 
     };
 
+    /**
+     * Applies the volume and mute state stored in the user preferences.
+     * @param {Object}  preferences           The stored preferences.
+     * @param {number}  [preferences.volume]  The stored volume.
+     * @param {boolean} [preferences.muted]   The stored mute state.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ volume, muted }) => {
+
+        if (isNumber(volume) && volume >= 0 && volume <= 1) this.#player.media.volume(volume);
+        if (isBoolean(muted)) this.#player.media.mute(muted);
+
+    };
+
+    /**
+     * Writes the current volume and mute state to the user preferences (if available).
+     */
+    #storePreferences() {
+
+        this.#player.preferences?.set('volume', this.#player.getState('media.volume'));
+        this.#player.preferences?.set('muted', this.#player.getState('media.muted'));
+
+    }
+
     /**
      * Updates slider values and also adapts the icon display based on the current volume.
      * @listens module:src/core/Data#data/ready
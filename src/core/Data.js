@@ -1,6 +1,8 @@
-import { clone, extend, isObject, isArray, isString, isNumber, isUndefined } from '../../lib/util/object.js';
+import { clone, extend, isObject, isArray, isString, isNumber, isFunction, isUndefined } from '../../lib/util/object.js';
 import AsyncTask from '../../lib/util/AsyncTask.js';
 import DataError from '../util/DataError.js';
+import parsePlaylist from '../util/parsePlaylist.js';
+import { validateSchema } from '../util/jsonSchema.js';
 
 /**
  * The `Data` component is responsible for managing, parsing, and validating the media metadata used by the player.
@@ -8,13 +10,17 @@ import DataError from '../util/DataError.js';
  * It exposes an API for dynamic switching of variants or media entries, integrates MIME-type and capability checks, and handles fallback scenarios for unplayable or malformed data.
  * This component ensures that only valid and playable streams are used, while offering flexibility through configuration options such as lenient parsing or skipping invalid entries.
  * Additionally, it dispatches lifecycle events to signal when media is ready, parsed, or in case of errors.
+ * Media data can also be transformed asynchronously before and after parsing, by registering data middlewares with `Player.addDataMiddleware()`.
+ * Before publishing, media data can be checked against the media data JSON schema using `data.validate()`.
  * **Note:** this component is **mandatory** and required for normal player operations, so it cannot be switched off.
  * @exports module:src/core/Data
  * @requires lib/util/object
  * @requires lib/util/AsyncTask
  * @requires src/util/DataError
+ * @requires src/util/parsePlaylist
+ * @requires src/util/jsonSchema
  * @author   Frank Kudermann - alphanull
- * @version  1.0.1
+ * @version  1.1.0
  * @license  MIT
  */
 export default class Data {
@@ -28,6 +34,7 @@ export default class Data {
      * @property {boolean}               [disablePlayCheck=false]           Skip any play checks and trust the source to be playable.
      * @property {boolean}               [lenientPlayCheck=false]           Check only file extensions, but do not use `canPlay`.
      * @property {boolean}               [lenientPlayCheckBlob=true]        Assume blob: URLs are valid without checking.
+     * @property {boolean}               [rankEncodings=false]              Rank the encodings of each representation using the MediaCapabilities API, preferring smooth and power efficient decoding.
      * @property {number|string|boolean} [preferredQuality]                 Quality setting that should be preferred when loading new media, or `false` to not set such a preference and use autoselect instead.
      * @property {string|boolean}        [preferredLanguage]                Language that should be preferred when loading new media, `true` to use the player locale as preferred default or `false` to not set any preference at all.
      */
@@ -38,6 +45,7 @@ export default class Data {
         disablePlayCheck: false,
         lenientPlayCheck: false,
         lenientPlayCheckBlob: true,
+        rankEncodings: false,
         preferredQuality: false,
         preferredLanguage: true
     };
@@ -104,7 +112,10 @@ export default class Data {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('data', this.#config);
+        this.#config = player.initConfig('data', this.#config, {
+            preferredQuality: { type: ['boolean', 'number', 'string'] },
+            preferredLanguage: { type: ['boolean', 'string'] }
+        });
 
         if (!this.#config) throw new Error('[Visionplayer] Cannot disable the Data component by configuration.');
 
@@ -119,6 +130,8 @@ export default class Data {
         this.#player.setApi('data.setMediaData', this.#setMediaData, this.#apiKey);
         this.#player.setApi('data.setMediaIndex', this.#setMediaIndex, this.#apiKey);
         this.#player.setApi('data.getPreferredMetaData', this.#getPreferredMetaData, this.#apiKey);
+        this.#player.setApi('data.setAngle', this.#setAngle, this.#apiKey);
+        this.#player.setApi('data.validate', this.#validate, this.#apiKey);
         this.#player.setApi('data.error', this.#dataError, this.#apiKey);
 
     }
@@ -161,6 +174,8 @@ export default class Data {
 
         this.#setMediaDataTask = new AsyncTask();
 
+        const url = isString(mediaData) ? mediaData : null;
+
         let mData = this.#previousDataArg = mediaData;
 
         this.#data = {
@@ -183,6 +198,16 @@ export default class Data {
             }
         }
 
+        try {
+            mData = await this.#runMiddlewares('pre', mData, { url });
+        } catch (error) {
+            this.#rootEle.classList.add('has-no-media');
+            this.#dataError(error.code, error);
+            this.#player.publish('data/nomedia', this.#apiKey);
+            this.#setMediaDataTask.reject(error);
+            return this.#setMediaDataTask.promise;
+        }
+
         const isPlaylist = isArray(mData?.media),
               mediaDataArray = isPlaylist ? mData.media : Array.isArray(mData) ? mData : [mData],
               parsed = [];
@@ -202,11 +227,25 @@ export default class Data {
 
             if ((loadError.code || loadError.message) && !this.#config.skipInvalidItems) this.#dataError('DATA_ERR_INVALID_PLAYLIST_ITEM', loadError);
 
-            this.#data = isPlaylist ? mData : {};
+            let data = isPlaylist ? mData : {};
+            data.media = parsed;
+
+            try {
+                data = await this.#runMiddlewares('post', data, { url });
+                if (!isArray(data?.media) || !data.media.length) throw new DataError('Data middleware returned no media items', { code: 'DATA_ERR_MIDDLEWARE' });
+            } catch (error) {
+                this.#rootEle.classList.remove('is-audio', 'is-video');
+                this.#rootEle.classList.add('has-no-media');
+                this.#dataError(error.code, error);
+                this.#player.publish('data/nomedia', this.#apiKey);
+                this.#setMediaDataTask.reject(error);
+                return this.#setMediaDataTask.promise;
+            }
+
+            this.#data = data;
             this.#data.currentMediaIndex = 0;
-            this.#data.media = parsed;
 
-            this.#setMediaDataTask.resolve(clone(parsed));
+            this.#setMediaDataTask.resolve(clone(this.#data.media));
             this.#player.publish('data/parsed', this.#data, { async: false }, this.#apiKey);
 
             this.#setMediaIndex(index).catch(error => {
@@ -231,6 +270,24 @@ export default class Data {
 
     };
 
+    /**
+     * Validates media data against the media data JSON schema (`assets/schema/mediaData.schema.json`), which also covers the extensions of
+     * the Subtitles, Chapters, Overlays and Thumbnails components. In contrast to `setMediaData()`, all problems are reported at once, each with
+     * the JSON path of the invalid value. If an URL is given, the media data is loaded from there first (but neither parsed nor set), and playability of the sources is not checked.
+     * The schema itself is only loaded when this is called for the first time, so it does not add to the size of the player.
+     * @param   {module:src/core/Data~mediaItem|Object|string}      mediaData  The media data to validate, either a media item, a playlist or an URL.
+     * @returns {Promise<module:src/util/jsonSchema~schemaError[]>}            A promise resolving to a list of problems found, which is empty if the media data is valid.
+     * @throws  {module:src/util/DataError}                                    If the media data could not be loaded from the URL.
+     */
+    #validate = async mediaData => {
+
+        const data = isString(mediaData) ? await this.#loadMediaData(mediaData) : mediaData,
+              { default: schema } = await import('../../assets/schema/mediaData.schema.json');
+
+        return validateSchema(data, schema);
+
+    };
+
     /**
      * Switches playback to another media item, with `index` representing the position of the media to switch to in the internal playlist.
      * Additional options can influence switching behavior in the `Media` component, like trying to restore the previous seek position (`rememberState`)
@@ -257,6 +314,7 @@ export default class Data {
         if (mediaSource) {
 
             const selectedMedia = this.#data.media[index];
+
             this.#data.currentMediaIndex = index;
 
             this.#rootEle.classList.remove('has-no-media', 'is-audio', 'is-video');
@@ -265,12 +323,57 @@ export default class Data {
             this.#player.publish('data/source', clone(mediaSource), { async: false }, this.#apiKey);
             this.#player.publish('data/ready', clone(selectedMedia), { async: false }, this.#apiKey);
 
+            if (isString(selectedMedia.chapters)) this.#loadChapters(selectedMedia); // load in the background, so that loading media is not delayed
+
             return await this.#player.media.load(mediaSource, options);
 
         } this.#dataError('DATA_ERR_STREAM_NOT_FOUND');
 
     };
 
+    /**
+     * Switches the current media item to another camera angle, keeping the current position, play state as well as the current language and quality (if available for this angle).
+     * The variants of the media item are replaced by those of the new angle, so that later language or quality switches also apply to this angle.
+     * @param   {number|string}                          id         The id of the angle to switch to.
+     * @param   {module:src/core/Media~mediaLoadOptions} [options]  Optional config to set switch behavior, by default the state is remembered.
+     * @returns {Promise}                                           A promise that resolves with the loaded metadata of the angle or rejects when loading failed.
+     * @throws  {module:src/util/DataError}                         With the code `DATA_ERR_INVALID_ANGLE`, if the current media item has no angle with this id.
+     * @fires   module:src/core/Data#data/source
+     * @fires   module:src/core/Data#data/angle
+     */
+    #setAngle = async(id, options = {}) => {
+
+        const mediaItem = this.#data.media[this.#data.currentMediaIndex],
+              angle = mediaItem?.angles?.find(entry => entry.id === id);
+
+        if (!angle) {
+            this.#dataError('DATA_ERR_INVALID_ANGLE', { code: 'DATA_ERR_INVALID_ANGLE', message: `setAngle: invalid angle: ${id}` });
+            throw new DataError(`setAngle: invalid angle: ${id}`, { code: 'DATA_ERR_INVALID_ANGLE' });
+        }
+
+        const mediaSource = this.#getPreferredMetaData({}, angle);
+
+        if (!mediaSource) {
+            this.#dataError('DATA_ERR_STREAM_NOT_FOUND');
+            return;
+        }
+
+        mediaItem.variants = angle.variants;
+        mediaItem.mediaType = angle.mediaType;
+        mediaItem.currentAngle = angle.id;
+
+        this.#player.publish('data/source', clone(mediaSource), { async: false }, this.#apiKey);
+        this.#player.publish('data/angle', clone(angle), { async: false }, this.#apiKey);
+
+        return await this.#player.media.load(mediaSource, {
+            rememberState: true,
+            ignoreAutoplay: true,
+            play: !this.#player.getState('media.paused'),
+            ...options
+        });
+
+    };
+
     /**
      * Returns the best matching media variant, considering the user's language and quality preferences.
      * Falls back to the closest possible match if an exact match isn't found.
@@ -362,6 +465,9 @@ export default class Data {
             result = hasHeight ? matchHeight(searchItems) : searchItems[0];
         }
 
+        // in auto mode, make sure the bit rate of the result fits the estimated bandwidth (if available)
+        if (result && !(prefQuality && prefQuality === result.quality)) result = this.#matchBitRate(result, searchItems);
+
         if (result) result.mediaType = mediaItem.mediaType;
 
         return result;
@@ -369,22 +475,107 @@ export default class Data {
     };
 
     /**
-     * Loads media data definition from a given URL into the player.
-     * @param   {string}                                  url  The URL pointing to a JSON file describing the media data.
+     * Loads media data definition from a given URL into the player. Besides JSON, playlists in the M3U, PLS and XSPF formats are detected and converted to media data.
+     * @param   {string}                                  url  The URL pointing to a JSON file or playlist describing the media data.
      * @returns {Promise<module:src/core/Data~mediaItem>}      A promise that resolves to the loaded media data.
      */
-    async #loadMediaData(url) { // eslint-disable-line class-methods-use-this
+    async #loadMediaData(url) {
 
-        const res = await fetch(url);
+        const res = await this.#player.network.fetch(url, { type: 'data' });
 
         if (!res.ok) {
             const message = `Data could not be loaded due to network error: ${res.status}`;
             throw new DataError(message, { code: `HTTP_ERROR_${res.status}` });
         }
 
-        const mediaData = await res.json();
+        const text = await res.text(),
+              playlist = parsePlaylist(text, {
+                  url: res.url || new URL(url, document.baseURI).href,
+                  mimeType: res.headers?.get('Content-Type') ?? ''
+              });
 
-        return mediaData;
+        return playlist ?? JSON.parse(text);
+
+    }
+
+    /**
+     * Loads chapters referenced by URL, as used by the `podcast:chapters` tag of podcast feeds, converts them to the chapter format of the player
+     * and replaces the URL of the media item with the result. Chapters which are excluded from the table of contents (with `toc: false`) are skipped.
+     * If loading fails, the media item just has no chapters. If the media item is still selected when loading has finished, `data/chapters` is published.
+     * @param   {module:src/core/Data~mediaItem} mediaItem  The media item, with `chapters` being the URL of a chapters file in the JSON Chapters format.
+     * @returns {Promise}                                   A promise that resolves when the chapters were loaded (or loading failed).
+     * @fires   module:src/core/Data#data/chapters
+     */
+    async #loadChapters(mediaItem) {
+
+        const url = mediaItem.chapters;
+        let result = [];
+
+        try {
+            const res = await this.#player.network.fetch(url, { type: 'data' });
+            if (!res.ok) throw new DataError(`Chapters could not be loaded due to network error: ${res.status}`, { code: `HTTP_ERROR_${res.status}` });
+            const { chapters = [] } = await res.json();
+            result = chapters.filter(({ startTime, toc }) => isNumber(startTime) && toc !== false).map(({ startTime, title = '' }) => ({ title, start: startTime }));
+        } catch (error) {
+            console.warn('[VisionPlayer] Chapters could not be loaded:', error); // eslint-disable-line no-console
+        }
+
+        if (mediaItem.chapters !== url) return; // already loaded by another call in the meantime
+
+        mediaItem.chapters = result;
+
+        if (this.#data?.media[this.#data.currentMediaIndex] === mediaItem) {
+            this.#player.publish('data/chapters', clone(mediaItem), this.#apiKey);
+        }
+
+    }
+
+    /**
+     * Runs all data middlewares registered for the given phase, in order of their priority. Each middleware receives the result of the previous one,
+     * if a middleware returns `undefined`, the data is passed on unchanged (so that middlewares can also just mutate the data).
+     * @param   {'pre'|'post'}              phase        The phase to run the middlewares for.
+     * @param   {any}                       data         The media data to transform.
+     * @param   {Object}                    context      Additional context passed to the middlewares.
+     * @param   {?string}                   context.url  The URL the data was loaded from, or `null` if the data was passed directly.
+     * @returns {Promise<any>}                           A promise resolving with the transformed data.
+     * @throws  {module:src/util/DataError}              With the code `DATA_ERR_MIDDLEWARE`, if a middleware fails.
+     */
+    async #runMiddlewares(phase, data, { url }) {
+
+        const middlewares = Data.#middlewares.filter(entry => entry.phase === phase);
+
+        let result = data;
+
+        for (const { fn } of middlewares) {
+            try {
+                const transformed = await fn(result, { phase, url, player: this.#player });
+                if (!isUndefined(transformed)) result = transformed;
+            } catch (error) {
+                throw new DataError(`Data middleware failed: ${error?.message ?? error}`, { code: 'DATA_ERR_MIDDLEWARE', cause: error });
+            }
+        }
+
+        return result;
+
+    }
+
+    /**
+     * Checks if the bit rate of the selected representation fits the maximum bit rate derived from the estimated bandwidth (provided by the Quality component as `quality.maxBitRate` state).
+     * If not, the representation of the same language with the highest fitting bit rate is returned instead, or the one with the lowest bit rate if none fits.
+     * Representations without `bitRate` (like most adaptive streams) are not affected.
+     * @param   {module:src/core/Media~metaData}   selected  The representation selected so far.
+     * @param   {module:src/core/Media~metaData[]} items     All representations to choose from.
+     * @returns {module:src/core/Media~metaData}             The representation to use.
+     */
+    #matchBitRate(selected, items) {
+
+        const maxBitRate = this.#player.getState('quality.maxBitRate');
+
+        if (!maxBitRate || !selected.bitRate || selected.bitRate <= maxBitRate) return selected;
+
+        const alternatives = items.filter(({ bitRate, language }) => bitRate && language === selected.language).sort((a, b) => a.bitRate - b.bitRate);
+
+        return alternatives.filter(({ bitRate }) => bitRate <= maxBitRate).pop() ?? alternatives[0] ?? selected;
 
     }
 
@@ -408,6 +599,7 @@ export default class Data {
 
             if (mData) {
                 parsed.variants = [mData];
+                Data.#applyMediaFragment(parsed, mediaItem);
                 return parsed;
             }
 
@@ -419,6 +611,7 @@ export default class Data {
 
             // safe to mutate!
             parsed = await this.#loadMediaData(mediaItem); // eslint-disable-line require-atomic-updates
+            parsed = await this.#runMiddlewares('pre', parsed, { url: mediaItem }); // eslint-disable-line require-atomic-updates
 
         } else if (isObject(mediaItem)) {
 
@@ -426,12 +619,15 @@ export default class Data {
 
         } else throw new DataError('Media data item must be an Object or a String', { code: 'DATA_ERR_INVALID_TYPE' });
 
+        if (parsed.angles) return await this.#parseAngles(parsed);
+
         const { src, mimeType, encodings, representations } = parsed;
 
         if (src) {
             if (!isString(src)) throw new DataError('Src must be a String', { code: 'DATA_ERR_INVALID_TYPE' });
             const parsedVariant = { src };
             if (mimeType) parsedVariant.mimeType = mimeType;
+            Data.#applyMediaFragment(parsed, src);
             parsed.variants = [parsedVariant];
             delete parsed.src;
             delete parsed.mimeType;
@@ -527,10 +723,43 @@ export default class Data {
 
         parsed.variants = variants;
 
+        await this.#rankEncodings(parsed);
+
         return parsed;
 
     }
 
+    /**
+     * Parses the camera angles of a media item, with each angle being parsed like a media item on its own. Nested angles are ignored.
+     * The variants of the default angle (or the first one, if no default is set) become the variants of the media item.
+     * @param   {module:src/core/Data~mediaItem}          mediaItem  The media item containing the angles.
+     * @returns {Promise<module:src/core/Data~mediaItem>}            A Promise resolving to the media item with parsed angles.
+     * @throws  {module:src/util/DataError}                          If the angles are not an array of objects, or if parsing an angle fails.
+     */
+    async #parseAngles(mediaItem) {
+
+        if (!isArray(mediaItem.angles) || !mediaItem.angles.length) throw new DataError('Angles must be a non-empty Array', { code: 'DATA_ERR_INVALID_TYPE' });
+
+        const angles = await Promise.all(mediaItem.angles.map(async(angle, index) => {
+            if (!isObject(angle)) throw new DataError('Angle must be an Object', { code: 'DATA_ERR_INVALID_TYPE' });
+            const { angles: nestedAngles, ...angleItem } = angle, // eslint-disable-line no-unused-vars
+                  parsedAngle = await this.#parseMediaDataItem(angleItem);
+            if (isUndefined(parsedAngle.id)) parsedAngle.id = index;
+            return parsedAngle;
+        }));
+
+        const current = angles.find(angle => angle.default) ?? angles[0];
+
+        return {
+            ...mediaItem,
+            angles,
+            variants: current.variants,
+            mediaType: current.mediaType,
+            currentAngle: current.id
+        };
+
+    }
+
     /**
      * This helper function searches a source object for a playable source, i.e. A source which has a mime type which *at least*
      * results in a 'maybe' using the engines 'canPlay' test method. Representations which return a 'probably' are preferred.
@@ -633,6 +862,77 @@ export default class Data {
 
     }
 
+    /**
+     * Ranks the encodings of all variants and representations using the MediaCapabilities API, if enabled by the `rankEncodings` option.
+     * For each representation, the encoding which decodes `smooth` and `powerEfficient` is preferred, followed by encodings which are at least `smooth`.
+     * If no encoding can be ranked (for example because the encodings lack codec information), the encoding chosen by `#addPlayableMetaData()` is kept.
+     * In any case, the outcome is stored in the `capabilities` property of the representation, and therefore also available in `media.getMetaData()`.
+     * @param {module:src/core/Data~mediaItem} mediaItem  The parsed media item.
+     */
+    async #rankEncodings({ variants, mediaType }) {
+
+        if (!this.#config.rankEncodings || !navigator.mediaCapabilities?.decodingInfo) return;
+
+        const sources = variants.flatMap(variant => variant.representations ?? [variant]).filter(({ encodings }) => isArray(encodings) && encodings.length > 1),
+              score = ({ supported, smooth, powerEfficient }) => supported ? 1 + (smooth ? 2 : 0) + (powerEfficient ? 1 : 0) : 0;
+
+        await Promise.all(sources.map(async source => {
+
+            const ranked = await Promise.all(source.encodings.map(async encoding => ({
+                      encoding,
+                      info: await this.#getDecodingInfo({ ...source, ...encoding }, mediaType)
+                  }))),
+                  candidates = ranked.filter(({ info }) => info),
+                  best = candidates.reduce((top, candidate) => !top || score(candidate.info) > score(top.info) ? candidate : top, null);
+
+            if (!best?.info.supported) {
+                source.capabilities = { mimeType: source.mimeType, reason: 'fallback', candidates: candidates.map(({ info }) => info) };
+                return;
+            }
+
+            if (best.encoding.src !== source.src) {
+                // replace the properties of the previously chosen encoding
+                const previous = source.encodings.find(({ src }) => src === source.src) ?? {};
+                Object.keys(previous).forEach(key => delete source[key]);
+                Object.assign(source, best.encoding);
+            }
+
+            source.capabilities = { ...best.info, reason: 'ranked', candidates: candidates.map(({ info }) => info) };
+
+        }));
+
+    }
+
+    /**
+     * Queries the MediaCapabilities API for a single encoding. Only encodings with a MIME type containing a codec (like `video/mp4; codecs="av01.0.05M.08"`)
+     * and passing the `canPlay` test can be ranked. Missing video dimensions, frame rate or bit rate are estimated, since the API requires them.
+     * @param   {module:src/core/Media~metaData}                              metaData   The representation, merged with the encoding to check.
+     * @param   {'video'|'audio'}                                             mediaType  Whether to query video or audio decoding.
+     * @returns {Promise<module:src/core/Data~mediaItem_capabilityInfo|null>}            The decoding info, or `null` if the encoding cannot be ranked.
+     */
+    async #getDecodingInfo({ src, mimeType, drmSystem, width, height, frameRate, bitRate }, mediaType) {
+
+        if (!/codecs=/i.test(mimeType ?? '')) return null;
+
+        const { disablePlayCheck, lenientPlayCheck } = this.#config;
+        if (!disablePlayCheck && !lenientPlayCheck && !this.#player.media.canPlay({ mimeType, drmSystem })) return null;
+
+        const videoHeight = height || 720,
+              videoWidth = width || Math.round(videoHeight * 16 / 9),
+              framerate = frameRate || 30,
+              configuration = mediaType === 'audio'
+                  ? { type: 'file', audio: { contentType: mimeType, ...bitRate && { bitrate: bitRate } } }
+                  : { type: 'file', video: { contentType: mimeType, width: videoWidth, height: videoHeight, framerate, bitrate: bitRate || Math.round(videoWidth * videoHeight * framerate * 0.1) } };
+
+        try {
+            const { supported, smooth, powerEfficient } = await navigator.mediaCapabilities.decodingInfo(configuration);
+            return { src, mimeType, supported, smooth, powerEfficient };
+        } catch {
+            return null; // configuration not supported by the API, for example due to an invalid codec string
+        }
+
+    }
+
     /**
      * This method should be called when a 'data error' occurs. In contrast to a 'media error' which usually indicates problems
      * with playing back certain media (for example, due to network problems or decoding errors),
@@ -672,22 +972,126 @@ export default class Data {
 
         this.#setMediaDataTask?.cancel();
         clearTimeout(this.#dataErrorTimeoutId);
-        this.#player.removeApi(['data.getMediaData', 'data.setMediaData', 'data.setMediaIndex', 'data.getPreferredMetaData', 'data.error'], this.#apiKey);
+        this.#player.removeApi(['data.getMediaData', 'data.setMediaData', 'data.setMediaIndex', 'data.getPreferredMetaData', 'data.setAngle', 'data.validate', 'data.error'], this.#apiKey);
         this.#data = this.#player = this.#apiKey = this.#setMediaDataTask = null;
 
     }
+
+    /**
+     * List of all registered data middlewares (shared by all player instances), sorted by descending priority.
+     * @type {Array<{fn: module:src/core/Data~middleware, phase: string, priority: number}>}
+     */
+    static #middlewares = [];
+
+    /**
+     * Reads the temporal dimension of a Media Fragment URI (like `video.mp4#t=30,90` or `video.mp4#t=npt:0:30`)
+     * and uses it as clip range of the media item, unless `startTime` or `endTime` are already defined.
+     * @param {module:src/core/Data~mediaItem} mediaItem  The media item to add the clip range to.
+     * @param {string}                         src        The URL which may contain the media fragment.
+     */
+    static #applyMediaFragment(mediaItem, src) {
+
+        if (!isUndefined(mediaItem.startTime) || !isUndefined(mediaItem.endTime)) return;
+
+        const [, start, end] = src.match(/#(?:.*&)?t=(?:npt:)?([\d:.]*)(?:,([\d:.]+))?(?:&|$)/) ?? [];
+
+        /**
+         * Converts a npt time value (either seconds or `[hh:]mm:ss[.fff]`) to seconds.
+         * @param   {string} time  The time value.
+         * @returns {number}       The time in seconds, or `NaN` if the value is invalid.
+         */
+        const toSeconds = time => time.split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+
+        if (start && toSeconds(start) > 0) mediaItem.startTime = toSeconds(start);
+        if (end && toSeconds(end) > (mediaItem.startTime ?? 0)) mediaItem.endTime = toSeconds(end);
+
+    }
+
+    /**
+     * Registers the data middleware API on the Player class.
+     * @param {module:src/core/Player} Player  Reference to the Player constructor.
+     */
+    static initialize(Player) {
+
+        Player.setApi('addDataMiddleware', Data.#addMiddleware);
+        Player.setApi('removeDataMiddleware', Data.#removeMiddleware);
+
+    }
+
+    /**
+     * Adds a data middleware, which is able to transform media data before (`pre`) or after (`post`) it is parsed.
+     * `pre` middlewares receive the media data as provided (or loaded from an URL), while `post` middlewares always receive a playlist object containing the parsed media items.
+     * Middlewares with a higher priority run first, those with the same priority run in the order they were added. Middlewares are used by all player instances.
+     * @param  {module:src/core/Data~middleware} fn                     The middleware function. May return a promise.
+     * @param  {Object}                          [options]              Additional options.
+     * @param  {'pre'|'post'}                    [options.phase='pre']  Whether the middleware runs before or after parsing.
+     * @param  {number}                          [options.priority=0]   The priority of the middleware.
+     * @throws {Error}                                                  If the middleware is not a function or the phase is invalid.
+     */
+    static #addMiddleware = (fn, { phase = 'pre', priority = 0 } = {}) => {
+
+        if (!isFunction(fn)) throw new Error('[VisionPlayer] addDataMiddleware: middleware must be a function');
+        if (phase !== 'pre' && phase !== 'post') throw new Error(`[VisionPlayer] addDataMiddleware: invalid phase: ${phase}`);
+
+        Data.#middlewares.push({ fn, phase, priority: Number(priority) || 0 });
+        Data.#middlewares.sort((a, b) => b.priority - a.priority); // sort is stable, so the order of addition is kept for same priorities
+
+    };
+
+    /**
+     * Removes a data middleware previously added with `addDataMiddleware()`.
+     * @param {module:src/core/Data~middleware} fn  The middleware function to remove.
+     */
+    static #removeMiddleware = fn => {
+
+        Data.#middlewares = Data.#middlewares.filter(entry => entry.fn !== fn);
+
+    };
 }
 
+/**
+ * A data middleware transforms media data, either before or after parsing. It can either return the transformed data (optionally as a promise),
+ * or modify the data in place and return nothing. Throwing an error (or rejecting) aborts setting the media data with a `DataError` using the code `DATA_ERR_MIDDLEWARE`.
+ * @callback module:src/core/Data~middleware
+ * @param   {any}                    data            The media data. In the `pre` phase this is a string, a media item, an array or a playlist object; in the `post` phase, a playlist object with parsed media items.
+ * @param   {Object}                 context         Additional information.
+ * @param   {'pre'|'post'}           context.phase   The phase the middleware runs in.
+ * @param   {?string}                context.url     The URL the data was loaded from, or `null` if the data was passed directly.
+ * @param   {module:src/core/Player} context.player  The player instance the data belongs to.
+ * @returns {any|Promise<any>}                       The transformed data, or `undefined` to keep the (possibly mutated) data.
+ */
+
 /**
  * The mediaItem is a representation of a single media data item.
  * @typedef  {Object} module:src/core/Data~mediaItem
- * @property {string|Object<string, string>}             [title]           Title of the media item (can be multilingual).
- * @property {string|Object<string, string>}             [titleSecondary]  Secondary title of the media player in multiple languages.
- * @property {module:src/core/Data~mediaItem_variants[]} variants          List of available video variants.
- * @property {module:src/core/Data~mediaItem_text[]}     [text]            List of subtitle tracks.
- * @property {module:src/core/Data~mediaItem_overlay[]}  [overlays]        List of  overlays displayed in the player.
- * @property {module:src/core/Data~mediaItem_chapter[]}  [chapters]        List of video chapters.
- * @property {module:src/core/Data~mediaItem_thumbnail}  [thumbnails]      The thumbnail representation of this media item.
+ * @property {string}                                          [id]              Optional stable identifier of the media item, used for recognizing it across page loads.
+ * @property {string|Object<string, string>}                   [title]           Title of the media item (can be multilingual).
+ * @property {string|Object<string, string>}                   [titleSecondary]  Secondary title of the media player in multiple languages.
+ * @property {module:src/core/Data~mediaItem_variants[]}       variants          List of available video variants.
+ * @property {module:src/core/Data~mediaItem_text[]}           [text]            List of subtitle tracks.
+ * @property {module:src/core/Data~mediaItem_overlay[]}        [overlays]        List of  overlays displayed in the player.
+ * @property {module:src/core/Data~mediaItem_chapter[]|string} [chapters]        List of video chapters, or the URL of a chapters file in the JSON Chapters format (as used by podcasts), which is loaded when the item is selected.
+ * @property {string}                                          [poster]          URL of an artwork or poster image, displayed as poster overlay.
+ * @property {number}                                          [duration]        Duration of the media item in seconds, if known in advance.
+ * @property {string}                                          [description]     Description or show notes of the media item (may contain HTML).
+ * @property {number}                                          [startTime]       Start of the clip range in seconds. If set, the player behaves as if the media started at this position.
+ * @property {number}                                          [endTime]         End of the clip range in seconds. If set, the player behaves as if the media ended at this position.
+ * @property {number}                                          [encoderDelay]    Duration in seconds of the encoder delay (priming samples) at the start of the media, which is skipped on playback.
+ * @property {number}                                          [encoderPadding]  Duration in seconds of the encoder padding at the end of the media, which is skipped on playback.
+ * @property {boolean}                                         [crossfade]       If `false`, the Playlist component does not crossfade from this item to the next one (for example because the tracks segue).
+ * @property {module:src/core/Data~mediaItem_thumbnail}        [thumbnails]      The thumbnail representation of this media item.
+ * @property {module:src/core/Data~mediaItem_angle[]}          [angles]          List of camera angles, each with its own variants. If present, the variants of the current angle are used as variants of the media item.
+ * @property {number|string}                                   [currentAngle]    The id of the currently active angle (set by the player).
+ */
+
+/**
+ * The angleItem is a representation of a single camera angle, which is parsed like a media item and may therefore contain `src`, `encodings`, `representations` or `variants`.
+ * @typedef  {Object} module:src/core/Data~mediaItem_angle
+ * @property {number|string}                             [id]         Identifier of the angle, defaults to its index.
+ * @property {string|Object<string, string>}             [title]      Title of the angle (can be multilingual), displayed in the angles menu.
+ * @property {string}                                    [thumbnail]  URL of a thumbnail image, displayed in the angles menu.
+ * @property {boolean}                                   [default]    Whether this angle is selected initially.
+ * @property {module:src/core/Data~mediaItem_variants[]} variants     List of available variants of this angle.
  */
 
 /**
@@ -704,6 +1108,28 @@ export default class Data {
  * @property {string}        [representations.encodings.src]       Source URL of the encoded video.
  */
 
+/**
+ * Describes the outcome of ranking the encodings of a representation with the MediaCapabilities API, available as `capabilities` property of the metaData.
+ * @typedef  {Object} module:src/core/Data~mediaItem_capabilities
+ * @property {string}                                          mimeType          MIME type (including the codec) of the chosen encoding.
+ * @property {'ranked'|'fallback'}                             reason            `ranked` if the encoding was chosen by its decoding info, `fallback` if no encoding could be ranked and the first playable encoding was kept.
+ * @property {string}                                          [src]             Source URL of the chosen encoding (only if ranked).
+ * @property {boolean}                                         [supported]       Whether the chosen encoding can be decoded (only if ranked).
+ * @property {boolean}                                         [smooth]          Whether playback of the chosen encoding is expected to be smooth (only if ranked).
+ * @property {boolean}                                         [powerEfficient]  Whether playback of the chosen encoding is expected to be power efficient (only if ranked).
+ * @property {module:src/core/Data~mediaItem_capabilityInfo[]} candidates        Decoding info of all encodings which could be ranked.
+ */
+
+/**
+ * Decoding info of a single encoding, as reported by the MediaCapabilities API.
+ * @typedef  {Object} module:src/core/Data~mediaItem_capabilityInfo
+ * @property {string}  src             Source URL of the encoding.
+ * @property {string}  mimeType        MIME type (including the codec) of the encoding.
+ * @property {boolean} supported       Whether the encoding can be decoded.
+ * @property {boolean} smooth          Whether playback is expected to be smooth.
+ * @property {boolean} powerEfficient  Whether playback is expected to be power efficient.
+ */
+
 /**
  * The overlaysItem is a representation of a single overlay data item.
  * @typedef  {Object} module:src/core/Data~mediaItem_overlay
@@ -724,6 +1150,7 @@ export default class Data {
  * @property {string}  language            Language of the subtitle track.
  * @property {string}  src                 Source URL of the subtitle file.
  * @property {boolean} [default]           Whether this is the default subtitle track.
+ * @property {string}  [format]            Format of the subtitle file (`vtt` or `srt`), detected by the file extension if omitted.
  */
 
 /**
@@ -765,6 +1192,18 @@ export default class Data {
  * @param {module:src/core/Media~metaData} metaData  The new media metadata.
  */
 
+/**
+ * Fired when chapters referenced by URL have been loaded in the background, after `data/ready` was already published for the current media item.
+ * @event module:src/core/Data#data/chapters
+ * @param {module:src/core/Data~mediaItem} mediaItem  The current media item, including the loaded chapters.
+ */
+
+/**
+ * Fired when the camera angle of the current media item was switched, right before the source of the new angle is loaded.
+ * @event module:src/core/Data#data/angle
+ * @param {module:src/core/Data~mediaItem_angle} angle  The new angle.
+ */
+
 /**
  * Fired when a data related error occurs (for example a parsing error due to wrong media data format).
  * @event  module:src/core/Data#data/error
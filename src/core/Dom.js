@@ -104,6 +104,12 @@ export default class Dom {
      */
     #styleEles = new Map();
 
+    /**
+     * The node the style elements are inserted into. This is either the shadow root of this player, the shadow root the player is inserted into, or the document head.
+     * @type {ShadowRoot|HTMLHeadElement}
+     */
+    #styleContainer;
+
     /**
      * Creates an instance of the Dom component.
      * Also prepares the root dom element based on the player config.
@@ -117,7 +123,7 @@ export default class Dom {
 
         const shadowDefault = this.#config.shadow;
 
-        this.#config = player.initConfig('dom', this.#config);
+        this.#config = player.initConfig('dom', this.#config, Dom.#configSchema);
         if (!this.#config) throw new Error('[Visionplayer] Cannot disable the Dom component by configuration.');
 
         // if shadow defaults are already set, prevent further change
@@ -143,11 +149,8 @@ export default class Dom {
             className: `${this.#config.className || ''}${hasCSSAspect ? '' : ' has-aspect-patch'}`,
             tabIndex: -1,
             'data-useragent': navigator.userAgent,
-            _nodes: hasCSSAspect ? null
-                : [{
-                    _ref: 'aspectHelper',
-                    className: 'vip-aspect-helper'
-                }]
+            'data-vip-root': '',
+            _nodes: hasCSSAspect ? null : [{ _ref: 'aspectHelper', className: 'vip-aspect-helper' }]
         });
 
         if (this.#config.shadow) {
@@ -156,7 +159,8 @@ export default class Dom {
                 _ref: 'wrapper',
                 _tag: 'vision-player',
                 id: playerId,
-                className: this.#dom.root.className
+                className: this.#dom.root.className,
+                'data-vip-root': ''
             });
 
             this.#dom.root.classList.add('is-shadow');
@@ -265,15 +269,19 @@ export default class Dom {
     }
 
     /**
-     * Injects all global stylesheets into the current scope (head or Shadow DOM).
+     * Injects all global stylesheets into the current scope (head or Shadow DOM). If the target element itself is part of a shadow tree
+     * (for example when the player is used by the `<vision-player>` custom element), styles are injected into this shadow root instead of the document head.
      */
     #initStyles() {
 
-        const container = this.#shadow || document.head,
-              styleSheets = document.querySelectorAll('head > style');
+        const targetRoot = this.#targetEle?.getRootNode(),
+              container = this.#shadow || (targetRoot instanceof ShadowRoot ? targetRoot : document.head),
+              styleSheets = container.querySelectorAll(':scope > style');
+
+        this.#styleContainer = container;
 
         const isStyleDuplicate = key => {
-            if (container === document.head) {
+            if (container !== this.#shadow) {
                 for (const style of styleSheets) {
                     if (style.getAttribute('data-vip-style') === key) return true;
                 }
@@ -382,7 +390,7 @@ export default class Dom {
         // TODO: this wont work correctly in the edge case when there are several mixed shadow / non shadow instances
         // and the last one to be cleared is a shadow, while the second last is not. Needs additional state
         // maybe implement #instances as a Map with "isShadow" as the value?
-        if (this.#shadow || Dom.#instances.size === 0) {
+        if (this.#styleContainer !== document.head || Dom.#instances.size === 0) {
             this.#styleEles.forEach(ele => ele.remove());
         }
 
@@ -390,7 +398,7 @@ export default class Dom {
         this.#wrapper.destroy();
         this.#player.removeApi(['refreshDom', 'mountDom', 'dom.getElement', 'dom.updateStyles'], this.#apiKey);
         this.#player.unsubscribe(this.#subscriptions);
-        this.#player = this.#dom = this.#targetEle = this.#styleEles = this.#apiKey = null;
+        this.#player = this.#dom = this.#targetEle = this.#styleEles = this.#styleContainer = this.#apiKey = null;
 
     }
 
@@ -406,6 +414,19 @@ export default class Dom {
      */
     static #instances = new Set();
 
+    /**
+     * Additional schema rules for validating the config, refining the rules derived from the defaults.
+     * @type {Object<string, module:src/util/configSchema~rule>}
+     */
+    static #configSchema = {
+        shadow: { enum: ['', 'open', 'closed'] },
+        insertMode: { enum: ['auto', 'replace', 'append', 'before'] },
+        darkMode: { enum: ['dark', 'light', 'auto'] },
+        aspectRatio: { type: ['number', 'string'] },
+        width: { type: ['number', 'string'] },
+        height: { type: ['number', 'string'] }
+    };
+
     /**
      * Registers API hooks on the Player class for style injection and HMR update.
      * @param {module:src/core/Player} Player  Reference to the Player constructor.
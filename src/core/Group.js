@@ -0,0 +1,264 @@
+import { publish, subscribe, unsubscribe } from '../../lib/util/publisher.js';
+
+/**
+ * The Group component coordinates playback across several player instances, for example on article pages containing multiple players.
+ * Players sharing the same group name (defined by the `player.group` option) are exclusive: as soon as one of them starts playing, all other playing members of the group are paused,
+ * or alternatively muted or "ducked" (meaning their volume is lowered until the other player stops). Messages are exchanged using the global publisher,
+ * and are also relayed to other frames (and tabs) of the same origin using a `BroadcastChannel`, so that players embedded in iframes can be coordinated as well.
+ * @exports module:src/core/Group
+ * @requires lib/util/publisher
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class Group {
+
+    /**
+     * Holds the instance configuration for this component.
+     * @type     {Object}
+     * @property {string}  [mode='pause']     What happens to other playing members of the group when this player starts playing: `pause`, `mute` or `duck`.
+     * @property {number}  [duckVolume=0.2]   Factor applied to the volume of ducked players, ranging from `0` to `1`.
+     * @property {boolean} [crossFrame=true]  If `true`, messages are also exchanged with players in other frames or tabs of the same origin, using a `BroadcastChannel`.
+     */
+    #config = {
+        mode: 'pause',
+        duckVolume: 0.2,
+        crossFrame: true
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * The name of the group this player belongs to.
+     * @type {string}
+     */
+    #name;
+
+    /**
+     * Unique token identifying this player in group messages, also across frames.
+     * @type {string}
+     */
+    #token;
+
+    /**
+     * If `true`, this player announced that it is playing, and has not announced to have stopped since.
+     * @type {boolean}
+     */
+    #active = false;
+
+    /**
+     * Tokens of all group members which currently mute or duck this player.
+     * @type {Set<string>}
+     */
+    #silencedBy = new Set();
+
+    /**
+     * The volume or mute state before this player was ducked or muted, restored when no other member is playing anymore.
+     * @type {?(number|boolean)}
+     */
+    #savedAudio = null;
+
+    /**
+     * Tokens of the player event subscriptions.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Token of the subscription to the group topic of the global publisher.
+     * @type {number}
+     */
+    #groupSubscription;
+
+    /**
+     * Holds the shared `BroadcastChannel` of each group, together with the number of players using it.
+     * Only one channel per group and frame is used, since channels also deliver messages to other channel objects within the same frame.
+     * @type {Map<string, {channel: BroadcastChannel, count: number}>}
+     */
+    static #channels = new Map();
+
+    /**
+     * Creates an instance of the Group component.
+     * @param {module:src/core/Player} player  Reference to the VisionPlayer instance.
+     */
+    constructor(player) {
+
+        this.#config = player.initConfig('group', this.#config, {
+            mode: { enum: ['pause', 'mute', 'duck'] },
+            duckVolume: { min: 0, max: 1 }
+        });
+
+        this.#name = player.getConfig('player.group');
+
+        if (!this.#config || !this.#name) return [false];
+
+        this.#player = player;
+        this.#token = `${player.getConfig('player.id')}/${Math.random().toString(36).slice(2)}`;
+
+        this.#subscriptions = [
+            ['media/play', this.#onPlay],
+            ['media/pause', this.#onStop],
+            ['media/ended', this.#onStop],
+            ['data/nomedia', this.#onStop]
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+        this.#groupSubscription = subscribe(`vip-group/${this.#name}`, this.#onMessage);
+
+        if (this.#config.crossFrame) Group.#join(this.#name);
+
+    }
+
+    /**
+     * Called when this player starts playing. Restores its own audio (in case it was muted or ducked by another member), and announces playback to the group.
+     * @listens module:src/core/Media#media/play
+     */
+    #onPlay = () => {
+
+        this.#silencedBy.clear();
+        this.#restoreAudio();
+        this.#active = true;
+        this.#send('play');
+
+    };
+
+    /**
+     * Called when this player stops playing, so that members muted or ducked by this player can restore their audio.
+     * @listens module:src/core/Media#media/pause
+     * @listens module:src/core/Media#media/ended
+     * @listens module:src/core/Data#data/nomedia
+     */
+    #onStop = () => {
+
+        if (!this.#active) return;
+        this.#active = false;
+        this.#send('stop');
+
+    };
+
+    /**
+     * Handles messages of other group members.
+     * @param {module:src/core/Group~message} message  The message received.
+     */
+    #onMessage = ({ token, type } = {}) => {
+
+        if (token === this.#token) return;
+
+        if (type === 'stop') {
+            if (this.#silencedBy.delete(token) && !this.#silencedBy.size) this.#restoreAudio();
+            return;
+        }
+
+        if (type !== 'play' || this.#player.getState('media.paused')) return;
+
+        if (this.#config.mode === 'pause') {
+            this.#player.media.pause();
+            return;
+        }
+
+        if (!this.#silencedBy.size) {
+            if (this.#config.mode === 'mute') {
+                this.#savedAudio = this.#player.getState('media.muted');
+                this.#player.media.mute(true);
+            } else {
+                this.#savedAudio = this.#player.getState('media.volume');
+                this.#player.media.volume(this.#savedAudio * this.#config.duckVolume);
+            }
+        }
+
+        this.#silencedBy.add(token);
+
+    };
+
+    /**
+     * Restores the volume or mute state saved before this player was muted or ducked.
+     */
+    #restoreAudio() {
+
+        if (this.#savedAudio === null) return;
+
+        if (this.#config.mode === 'mute') this.#player.media.mute(this.#savedAudio);
+        else this.#player.media.volume(this.#savedAudio);
+
+        this.#savedAudio = null;
+
+    }
+
+    /**
+     * Sends a message to all members of the group, in this frame using the global publisher, and in other frames using the broadcast channel (if enabled).
+     * @param {string} type  The type of the message, either `play` or `stop`.
+     */
+    #send(type) {
+
+        const message = { token: this.#token, type };
+
+        publish(`vip-group/${this.#name}`, message);
+        if (this.#config.crossFrame) Group.#channels.get(this.#name)?.channel.postMessage(message);
+
+    }
+
+    /**
+     * Joins the broadcast channel of a group, creating the channel if this is the first player of this group within the frame.
+     * Messages received from other frames are relayed to the global publisher.
+     * @param {string} name  The group to join, as defined by the `player.group` option.
+     */
+    static #join(name) {
+
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        let entry = Group.#channels.get(name);
+
+        if (!entry) {
+            const channel = new BroadcastChannel(`vision-player-group/${name}`);
+            channel.onmessage = ({ data }) => publish(`vip-group/${name}`, data);
+            entry = { channel, count: 0 };
+            Group.#channels.set(name, entry);
+        }
+
+        entry.count += 1;
+
+    }
+
+    /**
+     * Leaves the broadcast channel of a group, closing the channel if no other player of this group is left within the frame.
+     * @param {string} name  The group to leave.
+     */
+    static #leave(name) {
+
+        const entry = Group.#channels.get(name);
+
+        if (!entry) return;
+
+        entry.count -= 1;
+
+        if (!entry.count) {
+            entry.channel.close();
+            Group.#channels.delete(name);
+        }
+
+    }
+
+    /**
+     * This method removes all subscriptions and leaves the group. If this player is still playing, other members are notified so that they can restore their audio.
+     */
+    destroy() {
+
+        this.#onStop();
+        this.#player.unsubscribe(this.#subscriptions);
+        unsubscribe(this.#groupSubscription, true);
+        if (this.#config.crossFrame) Group.#leave(this.#name);
+        this.#player = this.#silencedBy = this.#subscriptions = null;
+
+    }
+
+}
+
+/**
+ * A message exchanged between the members of a group.
+ * @typedef  {Object} module:src/core/Group~message
+ * @property {string} token  Unique token of the sending player.
+ * @property {string} type   Either `play` (the sender started playing) or `stop` (the sender paused, ended or was destroyed).
+ */
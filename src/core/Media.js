@@ -5,13 +5,18 @@ import ExtendedMediaError from '../util/ExtendedMediaError.js';
 /**
  * The Media component is the heart of the player, as it controls the actual video.
  * Also provides the media state and the basic media API to the player, and also wraps the various media events in publish topics.
+ * If the media item defines a clip range (using `startTime` and `endTime`), state, seeking and events behave as if the media consisted of this segment only.
+ * Sources can be preloaded with `media.preload()`, so that switching to them (for example to the next playlist item) happens almost instantly.
+ * Native sources can also be preloaded for gapless playback, in which case the preloaded source starts playing as soon as the current media ends,
+ * or for a crossfade, in which case the media is handed over to the preloaded source at the midpoint of the crossfade. If the AudioChain component is present,
+ * sources preloaded for gapless playback are decoded into an `AudioBuffer`, so that they can be started sample-accurately on the audio clock.
  * **Note:** this component is **mandatory** and required for normal player operations, so it cannot be switched off.
  * @exports module:src/core/Media
  * @requires lib/util/object
  * @requires lib/util/AsyncTask
  * @requires src/util/ExtendedMediaError
  * @author Frank Kudermann - alphanull
- * @version 1.0.1
+ * @version 1.4.0
  * @license MIT
  */
 export default class Media {
@@ -102,6 +107,7 @@ export default class Media {
      * @property {boolean} paused          Set to 'true' if the former media state was paused.
      * @property {boolean} play            If 'true', play when restoring.
      * @property {boolean} ignoreAutoplay  If 'true', ingore autoPlay when restoring.
+     * @property {number}  [restoreTime]   Position set by `media.restorePosition()` before loading, which is taken over as `time` when loading starts.
      */
     #savedState = {
         time: null,
@@ -121,6 +127,32 @@ export default class Media {
         checkId: -1
     };
 
+    /**
+     * The clip range of the current media item, measured in seconds of the media. If the range does not cover the whole media,
+     * all times exposed by this component are relative to the start of the clip. Encoder delay and padding are trimmed by the clip as well.
+     * @type     {Object}
+     * @property {number} start    Start of the clip, `0` if the clip starts at the beginning of the media.
+     * @property {number} end      End of the clip, `Infinity` if the clip lasts until the end of the media.
+     * @property {number} padding  Encoder padding in seconds, which is trimmed from the end of the media.
+     */
+    #clip = {
+        start: 0,
+        end: Infinity,
+        padding: 0
+    };
+
+    /**
+     * Set to `true` when playback reached the end of the clip, so that the media is considered to be ended, even though the media element itself is not.
+     * @type {boolean}
+     */
+    #clipEnded = false;
+
+    /**
+     * Timeout id used for detecting the end of the clip more precisely than `timeupdate` events would allow.
+     * @type {number}
+     */
+    #clipEndId;
+
     /**
      * Holds metadata information provided by media.load and loaded metadata.
      * @type {module:src/core/Media~metaData}
@@ -137,7 +169,49 @@ export default class Media {
      * The underlying video element.
      * @type {HTMLVideoElement}
      */
-    #videoEle = document.createElement('video');
+    #videoEle = this.createElement();
+
+    /**
+     * A detached media element which preloads a native source, and which is used as the next media element.
+     * @type     {Object|null}
+     * @property {string}                         src          The preloaded source.
+     * @property {HTMLMediaElement}               element      The preloading element.
+     * @property {boolean}                        gapless      If `true`, the element starts playing as soon as the current media ends (or when the crossfade starts).
+     * @property {?module:src/util/BufferedAudio} buffered     If the element plays its source from an `AudioBuffer`, the instance controlling it, otherwise `null`.
+     * @property {number}                         crossfade    Duration of the crossfade in seconds, `0` if there is no crossfade.
+     * @property {string}                         curve        The type of the fade curve.
+     * @property {number}                         start        Position (in seconds of the media) at which the element starts playing.
+     * @property {boolean}                        started      Set to `true` when the element was started.
+     * @property {number}                         fade         Actual duration of a running crossfade, which may be shorter than `crossfade` if started late.
+     * @property {?number}                        scheduledAt  Time of the audio clock at which a buffered element was scheduled to start, otherwise `null`.
+     */
+    #preloaded = null;
+
+    /**
+     * The former media element, which still fades out after it was replaced by the next media element at the midpoint of a crossfade.
+     * @type     {Object|null}
+     * @property {HTMLMediaElement} element    The fading element.
+     * @property {number}           timeoutId  Timeout id for removing the element when the fade is finished.
+     */
+    #fadingOut = null;
+
+    /**
+     * The source of the preloaded element which was taken over as the current media element, until it is loaded by `media.load()`.
+     * @type {string|null}
+     */
+    #adoptedSrc = null;
+
+    /**
+     * If the current media element plays its source from an `AudioBuffer` (because it was preloaded for gapless playback), the instance controlling it.
+     * @type {module:src/util/BufferedAudio|null}
+     */
+    #buffered = null;
+
+    /**
+     * The source selected for the upcoming media item. A preloaded element which plays from an `AudioBuffer` is only taken over if it preloaded this source.
+     * @type {string|null}
+     */
+    #upcomingSrc = null;
 
     /**
      * Creates an instance of the Media component.
@@ -149,7 +223,11 @@ export default class Media {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('media', this.#config);
+        this.#config = player.initConfig('media', this.#config, {
+            volume: { min: 0, max: 1 },
+            preload: { enum: ['metadata', 'auto', 'none'] },
+            stallTimeout: { min: 0 }
+        });
 
         if (!this.#config) throw new Error('[Visionplayer] Cannot disable the Media component by configuration.');
 
@@ -158,6 +236,7 @@ export default class Media {
 
         [
             ['media.load', this.#load],
+            ['media.preload', this.#preload],
             ['media.getMetaData', this.#getMetaData],
             ['media.canPlay', this.#canPlay],
             ['media.play', this.#play],
@@ -165,12 +244,14 @@ export default class Media {
             ['media.loop', this.#loop],
             ['media.playbackRate', this.#playbackRate],
             ['media.seek', this.#seek],
+            ['media.restorePosition', this.#restorePosition],
             ['media.volume', this.#volume],
             ['media.mute', this.#mute],
             ['media.getElement', this.#getMediaElement]
         ].map(([name, handler]) => this.#player.setApi(name, handler, this.#apiKey));
 
         this.#subscriptions = [
+            ['data/source', this.#onDataSource],
             ['data/ready', this.#onDataReady],
             ['data/ready', this.#onStallEnd],
             ['data/nomedia', this.#removeElement],
@@ -197,19 +278,19 @@ export default class Media {
             networkState: () => this.#videoEle.networkState,
             readyState: () => this.#videoEle.readyState,
             error: () => this.#videoEle.error,
-            duration: () => this.#videoEle.duration,
-            currentTime: () => this.#videoEle.currentTime,
-            remainingTime: () => this.#videoEle.duration - this.#videoEle.currentTime,
+            duration: this.#getDuration,
+            currentTime: this.#getCurrentTime,
+            remainingTime: () => this.#getDuration() - this.#getCurrentTime(),
             paused: () => this.#videoEle.paused,
-            ended: () => this.#videoEle.ended,
-            loop: () => Boolean(this.#videoEle.loop),
+            ended: () => this.#videoEle.ended || this.#clipEnded,
+            loop: () => Boolean(this.#config.loop),
             volume: () => this.#videoEle.volume,
             muted: () => this.#videoEle.muted,
             playbackRate: () => this.#videoEle.playbackRate,
             seeking: () => this.#videoEle.seeking,
-            seekable: () => this.#videoEle.seekable,
-            buffered: () => this.#videoEle.buffered,
-            played: () => this.#videoEle.played,
+            seekable: () => this.#getTimeRanges(this.#videoEle.seekable),
+            buffered: () => this.#getTimeRanges(this.#videoEle.buffered),
+            played: () => this.#getTimeRanges(this.#videoEle.played),
             frameRate: () => this.#metaData?.frameRate,
             bitRate: () => this.#metaData?.bitRate,
             stalled: () => this.#stall.state === 'stalled',
@@ -224,6 +305,17 @@ export default class Media {
 
     }
 
+    /**
+     * Creates the media element. Subclasses can override this method in order to provide a different element, like the SimulatedMedia component does.
+     * Note that this is also called while the instance is being constructed, so the element must not depend on any state of the subclass at this point.
+     * @returns {HTMLMediaElement} The newly created media element.
+     */
+    createElement() { // eslint-disable-line class-methods-use-this
+
+        return document.createElement('video');
+
+    }
+
     /**
      * Registers a new plugin. Plugins can 'takeover' certain functions, esp media.load to add their own functionality
      * Used by Components like Dash or Hls.
@@ -245,11 +337,38 @@ export default class Media {
 
     }
 
+    /**
+     * Checks if a source would be played by one of the registered plugins, instead of natively by the media element.
+     * @param   {module:src/core/Media~metaData} metaData  The source to check.
+     * @returns {boolean}                                  `true` if a plugin handles this source.
+     */
+    hasPlugin(metaData) {
+
+        for (const plugin of this.#plugins) {
+            if (plugin.canPlay(metaData)) return true;
+        }
+
+        return false;
+
+    }
+
+    /**
+     * Remembers the source selected for the upcoming media item.
+     * @param {module:src/core/Media~metaData} metaData  The selected source.
+     * @listens module:src/core/Data#data/source
+     */
+    #onDataSource = ({ src } = {}) => {
+
+        this.#upcomingSrc = src ?? null;
+
+    };
+
     /**
      * Sets up the engine as soon as the media data is available.
+     * @param {module:src/core/Data~mediaItem} mediaItem  The new media item.
      * @listens module:src/core/Data#data/ready
      */
-    #onDataReady = () => {
+    #onDataReady = (mediaItem = {}) => {
 
         // before executing new requests, cancel the previous one first.
         if (this.#loadTask?.status === 'pending') this.#loadTask.cancel().catch(() => {});
@@ -257,7 +376,17 @@ export default class Media {
         // we have to completely rebuild the video element, or else TextTracks will be retained when switching source
         this.#removeElement();
 
-        this.#videoEle = document.createElement('video');
+        this.#clip = Media.#getClipRange(mediaItem);
+        this.#clipEnded = false;
+
+        // take over a preloaded element, so that loading this source can continue where preloading left off
+        // an element playing from a buffer can only play the source it preloaded, other elements can load another source as well
+        const { src, element, buffered } = this.#preloaded ?? {};
+        this.#adoptedSrc = element && !element.error && (!buffered || src === this.#upcomingSrc) ? src : null;
+        this.#videoEle = this.#adoptedSrc ? element : this.createElement();
+        this.#buffered = this.#adoptedSrc ? buffered : null;
+        if (!this.#adoptedSrc) this.#discardPreload();
+        this.#preloaded = null;
         this.#videoEle.className = 'vip-media-ele';
         this.#videoEle.preload = this.#config.preload || 'metadata';
         this.#videoEle.setAttribute('x-webkit-airplay', 'allow');
@@ -307,7 +436,7 @@ export default class Media {
             src,
             ignoreAutoplay,
             play,
-            time: rememberState ? this.#state.currentTime : null,
+            time: rememberState ? this.#state.currentTime : this.#savedState.restoreTime ?? null,
             paused: this.#config.autoPlay && this.#savedState.time === 0 ? true : this.#state.paused
         };
 
@@ -321,13 +450,217 @@ export default class Media {
         }
 
         // no plugins found to handle? OK, so lets try the default native handling
-        this.#videoEle.src = src;
-        this.#videoEle.load();
+        if (src && src === this.#adoptedSrc) {
+            // already preloaded, so only catch up on the events fired while preloading
+            const loadTask = this.#loadTask;
+            queueMicrotask(() => { if (this.#loadTask === loadTask) this.#replayEvents(); });
+        } else {
+            this.#videoEle.src = src;
+            this.#videoEle.load();
+        }
+
+        this.#adoptedSrc = null;
 
         return this.#loadTask.promise;
 
     };
 
+    /**
+     * Preloads a source, so that it can be played almost instantly when it is loaded later on, for example when a playlist advances to the next item.
+     * Native sources are loaded by a detached media element, which is used as the media element when the next media item becomes ready.
+     * Sources handled by plugins are delegated to the plugin, if it provides a `preload` method (like Hls or Dash).
+     * Only one source can be preloaded at a time, so preloading another source discards the previous one.
+     * With the `gapless` option, a native source starts playing as soon as the current media ends, without waiting for the next media item to be loaded.
+     * With the `crossfade` option, it starts playing before the current media ends, and is crossfaded using the AudioChain component (which is required for crossfades).
+     * Without a crossfade, a source preloaded for gapless playback is decoded into an `AudioBuffer` using the AudioChain component (if present), so that it can be
+     * scheduled to start exactly when the current media ends. If decoding fails, the source is loaded as usual when the next media item becomes ready.
+     * @param {module:src/core/Media~metaData}       metaData   The source to preload.
+     * @param {module:src/core/Media~preloadOptions} [options]  Options for gapless playback and crossfades.
+     */
+    #preload = (metaData = {}, options = {}) => {
+
+        const { src } = metaData,
+              { gapless = false, crossfade = 0, curve = 'equalPower' } = options,
+              fadeOptions = {
+                  crossfade: this.#player.audio && crossfade > 0 ? Number(crossfade) : 0,
+                  curve
+              };
+
+        fadeOptions.gapless = gapless || fadeOptions.crossfade > 0;
+
+        if (!src) return;
+
+        if (src === this.#preloaded?.src) {
+            if (!this.#preloaded.started) Object.assign(this.#preloaded, fadeOptions);
+            return;
+        }
+
+        this.#discardPreload();
+
+        for (const plugin of this.#plugins) {
+            if (!plugin.canPlay(metaData)) continue;
+            plugin.preload?.(metaData)?.catch?.(() => {});
+            return;
+        }
+
+        const element = this.createElement(),
+              buffered = fadeOptions.gapless && !fadeOptions.crossfade ? this.#player.audio?.bufferElement?.(element, this.#apiKey) ?? null : null;
+
+        element.preload = 'auto';
+        element.muted = true;
+        if (this.#config.crossOrigin) element.crossOrigin = this.#config.crossOrigin;
+        element.src = src;
+        element.load();
+
+        // position the element at the start of the clip in advance, so it can start right away
+        const { start } = Media.#getClipRange(options);
+        if (start > 0) element.addEventListener('loadedmetadata', () => { element.currentTime = start; }, { once: true });
+
+        this.#preloaded = { src, element, buffered, start, started: false, fade: 0, scheduledAt: null, ...fadeOptions };
+
+    };
+
+    /**
+     * Stops preloading and releases the preloading element (if any).
+     */
+    #discardPreload() {
+
+        if (!this.#preloaded) return;
+
+        const { element, buffered } = this.#preloaded;
+
+        if (buffered) {
+            buffered.release();
+        } else {
+            element.removeAttribute('src');
+            element.load(); // aborts the download
+        }
+
+        this.#preloaded = null;
+
+    }
+
+    /**
+     * Starts playing a preloaded element for gapless playback, so it takes over where the current media ended, or for a crossfade.
+     * If the AudioChain component is present, the audio output is handed over to the preloaded element as well (crossfading, if a fade duration is given).
+     * An element playing from an `AudioBuffer` is started ahead of the end instead, scheduled on the audio clock exactly when the current media ends.
+     * If the current media plays from a buffer as well, this time is known sample-accurately, otherwise it is derived from the position of the current element.
+     * @param   {number}  [fade=0]       Duration of the crossfade in seconds.
+     * @param   {number}  [remaining=0]  Remaining time until the current media ends in seconds, used for scheduling buffered elements.
+     * @returns {boolean}                `true` if the preloaded element was started (or already plays).
+     */
+    #startPreloaded(fade = 0, remaining = 0) {
+
+        const preloaded = this.#preloaded ?? {},
+              { element, gapless, curve, buffered } = preloaded,
+              { HAVE_CURRENT_DATA = 2 } = element ?? {};
+
+        if (preloaded.started) return true;
+        if (!gapless || element.error || element.readyState < HAVE_CURRENT_DATA) return false;
+
+        element.muted = this.#videoEle.muted;
+        element.volume = this.#videoEle.volume;
+        element.playbackRate = this.#videoEle.playbackRate;
+
+        if (buffered && !fade) {
+            const when = this.#buffered?.getContextTime(this.#getClipEnd()) ?? this.#player.audio.getContext(this.#apiKey).currentTime + remaining;
+            this.#player.audio.handover(element, { when }, this.#apiKey);
+            buffered.start(when).catch(() => {});
+            preloaded.scheduledAt = when;
+        } else {
+            this.#player.audio?.handover(element, { duration: fade, curve }, this.#apiKey);
+            element.play()?.catch(() => {});
+        }
+
+        preloaded.started = true;
+        preloaded.fade = fade;
+
+        return true;
+
+    }
+
+    /**
+     * Stops a preloaded element which was started for a crossfade (or scheduled for gapless playback), for example because the current media was paused
+     * or seeked during the fade. The element is positioned at its start again, so that the crossfade can start over later.
+     */
+    #stopPreloaded() {
+
+        if (!this.#preloaded?.started || this.#clipEnded) return;
+
+        const { element, start } = this.#preloaded;
+
+        element.pause();
+        element.currentTime = start;
+        Object.assign(this.#preloaded, { started: false, fade: 0, scheduledAt: null });
+
+        this.#player.audio?.handover(this.#videoEle, {}, this.#apiKey);
+
+    }
+
+    /**
+     * Lets the current element fade out after the media was handed over at the midpoint of a crossfade. The element keeps on playing (but hidden)
+     * after it was replaced by the next media element, and is removed when the fade is finished.
+     * @param {number} duration  Remaining duration of the fade in seconds.
+     */
+    #fadeOut(duration) {
+
+        this.#endFadeOut();
+
+        const element = this.#videoEle;
+        this.#fadingOut = { element, timeoutId: setTimeout(() => this.#endFadeOut(), duration * 1000) };
+
+    }
+
+    /**
+     * Stops and removes an element which fades out (if any).
+     */
+    #endFadeOut() {
+
+        if (!this.#fadingOut) return;
+
+        const { element, timeoutId } = this.#fadingOut;
+
+        clearTimeout(timeoutId);
+        element.pause();
+        if (element !== this.#videoEle) element.remove();
+        this.#fadingOut = null;
+
+    }
+
+    /**
+     * Publishes the events a preloaded element fired before it was taken over (depending on its ready state), and finishes loading.
+     * If the element already plays (because it was started for gapless playback), the play events are published as well.
+     * @fires module:src/core/Media#media/loadstart
+     * @fires module:src/core/Media#media/durationchange
+     * @fires module:src/core/Media#media/loadedmetadata
+     * @fires module:src/core/Media#media/loadeddata
+     * @fires module:src/core/Media#media/canplay
+     * @fires module:src/core/Media#media/canplaythrough
+     * @fires module:src/core/Media#media/play
+     * @fires module:src/core/Media#media/playing
+     */
+    #replayEvents() {
+
+        const { readyState, HAVE_METADATA = 1, HAVE_CURRENT_DATA = 2, HAVE_FUTURE_DATA = 3, HAVE_ENOUGH_DATA = 4 } = this.#videoEle;
+
+        this.#onStreamEvent({ type: 'loadstart' });
+        if (readyState < HAVE_METADATA) return; // still loading, the remaining events are fired as usual
+
+        this.#onStreamEvent({ type: 'durationchange' });
+        this.#onStreamEvent({ type: 'loadedmetadata' });
+        this.#onLoaded();
+
+        if (readyState >= HAVE_CURRENT_DATA) this.#onStreamEvent({ type: 'loadeddata' });
+        if (readyState >= HAVE_FUTURE_DATA) this.#onStreamEvent({ type: 'canplay' });
+        if (readyState >= HAVE_ENOUGH_DATA) this.#onStreamEvent({ type: 'canplaythrough' });
+
+        if (!this.#videoEle.paused) {
+            this.#onStreamEvent({ type: 'play' });
+            this.#onStreamEvent({ type: 'playing' });
+        }
+
+    }
+
     /**
      * This method is called when a new source was successfully loaded.
      * If saved state is found, it also tries to restore the former state (like the currentTime by seeking).
@@ -351,8 +684,9 @@ export default class Media {
         this.#player.publish('media/ready', clone(this.#metaData), this.#apiKey);
         this.#loadTask.resolve(clone(this.#metaData));
 
-        if (this.#savedState.time > 0 && this.#state.seekable.length && !this.#state.liveStream) {
-            this.#seek(this.#savedState.time);
+        // an element which already plays was started at the right position for gapless playback, so it must not be seeked
+        if ((this.#savedState.time > 0 || this.#clip.start > 0) && this.#videoEle.paused && this.#state.seekable.length && !this.#state.liveStream) {
+            this.#seek(Math.max(this.#savedState.time, 0));
         }
 
         if (this.#savedState.time === -1 || this.#savedState.paused !== true || this.#savedState.play) {
@@ -398,6 +732,9 @@ export default class Media {
      */
     #play = () => {
 
+        // like with native media, playing an ended clip starts over
+        if (this.#clipEnded) this.#seek(0);
+
         const promise = this.#videoEle.play();
         // eslint-disable-next-line no-console
         promise?.catch(() => console.warn('[VisionPlayer] Play was prevented, probably due to autoplay restrictions.'));
@@ -410,6 +747,8 @@ export default class Media {
      */
     #pause = () => {
 
+        this.#stopPreloaded();
+        this.#endFadeOut();
         this.#videoEle.pause();
 
     };
@@ -421,7 +760,8 @@ export default class Media {
      */
     #loop = doLoop => {
 
-        this.#videoEle.loop = this.#config.loop = doLoop;
+        this.#config.loop = doLoop;
+        this.#videoEle.loop = doLoop && !this.#isClipped(); // clips are looped by this component instead
         this.#player.publish('media/loop', this.#apiKey);
 
     };
@@ -432,12 +772,27 @@ export default class Media {
      */
     #playbackRate = rate => {
 
+        this.#stopPreloaded(); // a scheduled start would not match the end anymore
         this.#videoEle.playbackRate = Number(rate);
 
     };
 
+    /**
+     * Restores a playback position (for example when resuming a media item) using the saved state, just like the position remembered when switching sources.
+     * If the media is not loaded yet, the position is applied as soon as it is ready, otherwise the media is seeked right away.
+     * @param {number} position  The position (measured in seconds) to restore.
+     */
+    #restorePosition = position => {
+
+        if (!this.#savedState.src) this.#savedState.restoreTime = position; // not loading yet
+        else if (this.#videoEle.readyState > 0) this.#seek(position);
+        else this.#savedState.time = position;
+
+    };
+
     /**
      * Seeks the media to the specified position. This method also tries to mitigate rounding errors when frame precise seeking is required.
+     * If a clip range is defined, the position is relative to the start of the clip.
      * @param {number} position  The position (measured in seconds) to seek to.
      */
     #seek = position => {
@@ -453,8 +808,11 @@ export default class Media {
 
         if (seekTime > duration) seekTime = duration - 0.00001;
 
+        this.#stopPreloaded();
+        this.#clipEnded = false;
+
         try {
-            this.#videoEle.currentTime = Math.max(seekTime, 0);
+            this.#videoEle.currentTime = Math.max(seekTime, 0) + this.#clip.start;
         } catch (e) {
             console.warn(`[VisionPlayer] invalid seek value: ${position}.`, { cause: e }); // eslint-disable-line no-console
         }
@@ -572,8 +930,20 @@ export default class Media {
             return;
         }
 
+        if (type === 'ended' && this.#clipEnded) return; // already handled by #checkClipEnd()
+
+        if (type === 'ended' && this.#isClipped() && this.#config.loop) {
+            // clip lasts until the end of the media, so loop to its start
+            this.#seek(0);
+            this.#play();
+            return;
+        }
+
+        if (type === 'ended') this.#clipEnded = this.#startPreloaded();
+
         if (type !== 'error') {
             this.#player.publish(`media/${type}`, this.#apiKey);
+            if (type === 'timeupdate' && (this.#getClipEnd() < this.#videoEle.duration || this.#preloaded?.gapless)) this.#checkClipEnd();
             return;
         }
 
@@ -586,7 +956,7 @@ export default class Media {
         if (error?.code === error.MEDIA_ERR_SRC_NOT_SUPPORTED && !src.startsWith('blob:')) {
             // check if 'MEDIA_ERR_SRC_NOT_SUPPORTED' actually is due to an http error
             try {
-                const response = await fetch(src, { method: 'HEAD' });
+                const response = await this.#player.network.fetch(src, { method: 'HEAD', type: 'media' });
                 // definitely a http error, so switch errors with a more appropriate (synthetic) one
                 if (response.status >= 300) error = new ExtendedMediaError(2, { status: response.status, message: `HTTP ERROR: ${response.status}` });
             } catch (e) {
@@ -600,6 +970,154 @@ export default class Media {
 
     };
 
+    /**
+     * Determines the clip range of a media item. The encoder delay shifts the clip range, as the clip is defined in time of the actual content,
+     * while the encoder padding is trimmed from the end of the media.
+     * @param   {Object} mediaItem                   The media item (or preload options) defining the clip.
+     * @param   {number} [mediaItem.startTime]       Start of the clip range in seconds.
+     * @param   {number} [mediaItem.endTime]         End of the clip range in seconds.
+     * @param   {number} [mediaItem.encoderDelay]    Encoder delay in seconds.
+     * @param   {number} [mediaItem.encoderPadding]  Encoder padding in seconds.
+     * @returns {Object}                             The clip range, with the same properties as `#clip`.
+     */
+    static #getClipRange({ startTime, endTime, encoderDelay, encoderPadding } = {}) {
+
+        const delay = Math.max(Number(encoderDelay) || 0, 0),
+              start = Math.max(Number(startTime) || 0, 0) + delay,
+              end = Number(endTime) + delay;
+
+        return { start, end: end > start ? end : Infinity, padding: Math.max(Number(encoderPadding) || 0, 0) };
+
+    }
+
+    /**
+     * Checks if the media item defines a clip range which differs from the whole media. Clip ranges are ignored with live streams.
+     * @returns {boolean} `true` if a clip range is active.
+     */
+    #isClipped() {
+
+        const { start, end, padding } = this.#clip;
+        return (start > 0 || end < Infinity || padding > 0) && this.#videoEle.dataset.isLive !== 'true' && this.#videoEle.duration !== Infinity;
+
+    }
+
+    /**
+     * Returns the end of the clip in seconds of the media, which is either the end of the clip range or the end of the media (minus encoder padding).
+     * @returns {number} The end of the clip.
+     */
+    #getClipEnd() {
+
+        return Math.min(this.#videoEle.duration - this.#clip.padding, this.#clip.end);
+
+    }
+
+    /**
+     * Returns the duration of the media, or of the clip if a clip range is active.
+     * @returns {number} The duration in seconds.
+     */
+    #getDuration = () => {
+
+        const { duration } = this.#videoEle;
+        if (!this.#isClipped()) return duration;
+        return Math.max(this.#getClipEnd() - this.#clip.start, 0);
+
+    };
+
+    /**
+     * Returns the current position, relative to the start of the clip if a clip range is active. The position is clamped to the clip range.
+     * @returns {number} The position in seconds.
+     */
+    #getCurrentTime = () => {
+
+        const { currentTime } = this.#videoEle;
+        if (!this.#isClipped()) return currentTime;
+        return Math.min(Math.max(currentTime - this.#clip.start, 0), this.#getDuration() || 0);
+
+    };
+
+    /**
+     * Converts time ranges of the media element to time ranges relative to the clip, ranges outside the clip are removed.
+     * @param   {TimeRanges} ranges  The time ranges of the media element.
+     * @returns {TimeRanges}         The converted time ranges, or the original ones if no clip range is active.
+     */
+    #getTimeRanges(ranges) {
+
+        if (!this.#isClipped()) return ranges;
+
+        const { start } = this.#clip,
+              end = this.#getClipEnd(),
+              clipped = [];
+
+        for (let i = 0; i < ranges.length; i += 1) {
+            const rangeStart = Math.max(ranges.start(i), start),
+                  rangeEnd = Math.min(ranges.end(i), end);
+            if (rangeEnd > rangeStart) clipped.push([rangeStart - start, rangeEnd - start]);
+        }
+
+        return {
+            length: clipped.length,
+            start: index => clipped[index][0],
+            end: index => clipped[index][1]
+        };
+
+    }
+
+    /**
+     * Checks if playback reached the end of the clip. Since `timeupdate` events are fired only a few times per second,
+     * a timeout is used for detecting the end precisely when it is close. When the end is reached, the media is either looped
+     * (by seeking to the start of the clip), or paused, in which case the `media/ended` event is published.
+     * This is also used for gapless playback, so that a preloaded source starts as soon as the current one ends, even without a clip range.
+     * A preloaded source playing from an `AudioBuffer` is scheduled on the audio clock shortly before the end, so that it starts sample-accurately,
+     * otherwise the preloaded element is started when the end is detected by the timer, which is near-gapless only.
+     * With a crossfade, the preloaded source starts when the crossfade begins (the fade is shortened if this is too late), and the media is considered
+     * to be ended at the midpoint of the fade, so that the next media item takes over, while this element fades out until the end.
+     * @fires module:src/core/Media#media/ended
+     */
+    #checkClipEnd = () => {
+
+        clearTimeout(this.#clipEndId);
+
+        const { gapless, crossfade = 0, buffered, scheduledAt = null } = this.#preloaded ?? {};
+
+        if (this.#clipEnded || !this.#isClipped() && !gapless) return;
+
+        // once a buffered element is scheduled, the end is measured on the audio clock (including the output latency), so that the current media
+        // is not stopped before the handover took place, and the next media item takes over when it can actually be heard
+        const context = scheduledAt === null ? null : this.#player.audio.getContext(this.#apiKey),
+              remaining = context
+                  ? scheduledAt + (context.outputLatency || 0) - context.currentTime
+                  : (this.#getClipEnd() - this.#videoEle.currentTime) / (this.#videoEle.playbackRate || 1);
+
+        if (crossfade > 0 && remaining > 0 && remaining <= crossfade && !this.#videoEle.paused) this.#startPreloaded(remaining);
+        if (buffered && !crossfade && remaining > 0 && remaining <= 1 && !this.#videoEle.paused && !this.#config.loop) this.#startPreloaded(0, remaining);
+
+        const fade = this.#preloaded?.fade ?? 0,
+              untilEnd = remaining - fade / 2, // with a running crossfade, the media ends at its midpoint
+              untilNext = crossfade > 0 && !fade && remaining > crossfade ? remaining - crossfade : untilEnd;
+
+        if (untilEnd > 0) {
+            if (untilNext < 0.5 && !this.#videoEle.paused) this.#clipEndId = setTimeout(this.#checkClipEnd, untilNext * 1000);
+            return;
+        }
+
+        if (this.#config.loop) {
+            this.#seek(0);
+            return;
+        }
+
+        this.#clipEnded = true;
+
+        if (fade) {
+            this.#fadeOut(remaining);
+        } else {
+            this.#videoEle.pause();
+            this.#startPreloaded();
+        }
+
+        this.#player.publish('media/ended', this.#apiKey);
+
+    };
+
     /**
      * Used by components to retrieve the video element.
      * @param   {symbol}      apiKey  Token needed to grant access in secure mode.
@@ -627,7 +1145,14 @@ export default class Media {
 
         this.#videoEle.querySelectorAll('track').forEach(track => track.remove());
         this.#videoEle.removeEventListener('loadedmetadata', this.#onLoaded);
-        this.#videoEle.remove();
+
+        // removing the element would pause it, so an element which still fades out is only hidden
+        if (this.#videoEle === this.#fadingOut?.element) {
+            this.#videoEle.style.display = 'none';
+        } else {
+            this.#buffered?.release(); // an element playing from a buffer is not paused by removing it
+            this.#videoEle.remove();
+        }
 
         Object.keys(this.#state).forEach(key => {
             this.#player.removeState(`media.${key}`, this.#apiKey);
@@ -635,6 +1160,7 @@ export default class Media {
         });
 
         clearInterval(this.#stall.checkId);
+        clearTimeout(this.#clipEndId);
         this.#player.unsubscribe('media/timeupdate', this.#onStallEnd);
 
     };
@@ -645,10 +1171,12 @@ export default class Media {
     destroy() {
 
         this.#removeElement();
+        this.#discardPreload();
+        this.#endFadeOut();
         this.#loadTask.cancel().catch(() => { });
         this.#player.unsubscribe(this.#subscriptions);
         // eslint-disable-next-line @stylistic/max-len
-        this.#player.removeApi(['media.load', 'media.getMetaData', 'media.canPlay', 'media.play', 'media.pause', 'media.loop', 'media.playbackRate', 'media.seek', 'media.volume', 'media.mute', 'media.getElement'], this.#apiKey);
+        this.#player.removeApi(['media.load', 'media.preload', 'media.getMetaData', 'media.canPlay', 'media.play', 'media.pause', 'media.loop', 'media.playbackRate', 'media.seek', 'media.restorePosition', 'media.volume', 'media.mute', 'media.getElement'], this.#apiKey);
         this.#player = this.#videoEle = this.#state = this.#plugins = this.#metaData = this.#apiKey = null;
 
     }
@@ -844,19 +1372,20 @@ export default class Media {
 /**
  * The mediaSource is a representation of the currently selected media source.
  * @typedef  {Object} module:src/core/Media~metaData
- * @property {string}          src                   The source url of the video (can be absolute, relative or blob:).
- * @property {'video'|'audio'} mediaType             The type of the current media (currently 'video' or 'audio' is supported).
- * @property {string}          mimeType              The mimetype, optionally extended with codec param if available.
- * @property {Object[]}        [encodings]           Available additional encodings.
- * @property {string}          encodings.src         Contains the  encodings' Source.
- * @property {string}          [encodings.mimeType]  Contains the encodings' Mime-Type.
- * @property {number}          [width]               Width of the video in pixel.
- * @property {number}          [height]              Height of the video in pixel.
- * @property {number}          [frameRate]           Framerate of the video (might not always be available).
- * @property {number}          [bitRate]             Bitrate of the video (might not always be available).
- * @property {string}          [language]            The language of the current media.
- * @property {string|number}   [langId]              The language id of the current media.
- * @property {string}          [langName]            The language (extended) name of the current media.
+ * @property {string}                                      src                   The source url of the video (can be absolute, relative or blob:).
+ * @property {'video'|'audio'}                             mediaType             The type of the current media (currently 'video' or 'audio' is supported).
+ * @property {string}                                      mimeType              The mimetype, optionally extended with codec param if available.
+ * @property {Object[]}                                    [encodings]           Available additional encodings.
+ * @property {string}                                      encodings.src         Contains the  encodings' Source.
+ * @property {string}                                      [encodings.mimeType]  Contains the encodings' Mime-Type.
+ * @property {number}                                      [width]               Width of the video in pixel.
+ * @property {number}                                      [height]              Height of the video in pixel.
+ * @property {number}                                      [frameRate]           Framerate of the video (might not always be available).
+ * @property {number}                                      [bitRate]             Bitrate of the video (might not always be available).
+ * @property {string}                                      [language]            The language of the current media.
+ * @property {string|number}                               [langId]              The language id of the current media.
+ * @property {string}                                      [langName]            The language (extended) name of the current media.
+ * @property {module:src/core/Data~mediaItem_capabilities} [capabilities]        Outcome of ranking the encodings with the MediaCapabilities API (only if the `data.rankEncodings` option is enabled).
  */
 
 /**
@@ -865,3 +1394,12 @@ export default class Media {
  * @property {boolean} [ignoreAutoplay=false]  If `true`, player does NOT autoplay if player was paused during the switch.
  * @property {boolean} [play=false]            If `true`, stream is automatically played after switching, ignoring the play state before switch.
  */
+
+/**
+ * @typedef  {Object}  module:src/core/Media~preloadOptions
+ * @property {boolean} [gapless=false]       If `true`, the preloaded source starts playing as soon as the current media ends (native sources only).
+ * @property {number}  [crossfade=0]         Duration in seconds of a crossfade to the preloaded source (native sources only, requires the AudioChain component).
+ * @property {string}  [curve='equalPower']  The type of the fade curve, either 'linear', 'equalPower' or 'sCurve'.
+ * @property {number}  [startTime]           Start of the clip range of the preloaded media item in seconds, so that the source can be positioned in advance.
+ * @property {number}  [encoderDelay]        Encoder delay of the preloaded media item in seconds, which is skipped as well.
+ */
@@ -0,0 +1,225 @@
+import { isObject, isFunction, isUndefined } from '../../lib/util/object.js';
+
+/**
+ * The Network component is the central point for all network requests made by the player and its components.
+ * Interceptors can be added (either using the config or the API) to modify requests before they are sent, for example to add auth headers, credentials or tokens to the URL,
+ * and to check responses after they were received, for example to map HTTP errors to custom errors.
+ * Requests made by the player itself (like loading media data, subtitles, DRM certificates and licenses) are sent using `network.fetch()`, while requests which cannot be made using `fetch`
+ * (like loading libraries, thumbnail images or segments loaded by streaming libraries) are at least prepared using `network.prepare()`, so that request interceptors can be applied as far as possible.
+ * **Note:** this component is **mandatory** and required for normal player operations, so it cannot be switched off.
+ * @exports module:src/core/Network
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class Network {
+
+    /**
+     * Holds the instance configuration for this component.
+     * @type     {Object}
+     * @property {module:src/core/Network~interceptor[]} [interceptors=[]]  Interceptors which are added when the player is created, before any request is made. This is also the only way to add interceptors from outside in secure mode.
+     */
+    #config = {
+        interceptors: []
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * List of all added interceptors, in the order they were added.
+     * @type {module:src/core/Network~interceptor[]}
+     */
+    #interceptors = [];
+
+    /**
+     * Set of interceptors which returned a promise when being used synchronously, so the warning is only shown once per interceptor.
+     * @type {WeakSet<module:src/core/Network~interceptor>}
+     */
+    #warned = new WeakSet();
+
+    /**
+     * Creates an instance of the Network component.
+     * @param  {module:src/core/Player} player            Reference to the VisionPlayer instance.
+     * @param  {module:src/core/Player} parent            Reference to the parent instance.
+     * @param  {Object}                 [options]         Additional options.
+     * @param  {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     * @throws {Error}                                    If trying to disable this component.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        this.#config = player.initConfig('network', this.#config);
+
+        if (!this.#config) throw new Error('[Visionplayer] Cannot disable the Network component by configuration.');
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+
+        this.#config.interceptors.forEach(interceptor => this.#addInterceptor(interceptor, apiKey));
+
+        this.#player.setApi('network.addInterceptor', this.#addInterceptor, apiKey);
+        this.#player.setApi('network.removeInterceptor', this.#removeInterceptor, apiKey);
+        this.#player.setApi('network.prepare', this.#prepare, apiKey);
+        this.#player.setApi('network.prepareSync', this.#prepareSync, apiKey);
+        this.#player.setApi('network.fetch', this.#fetch, apiKey);
+
+    }
+
+    /**
+     * Adds an interceptor. Interceptors are applied in the order they were added.
+     * As interceptors can alter all requests, this needs the apiKey in secure mode, otherwise use the `interceptors` config.
+     * @param  {module:src/core/Network~interceptor} interceptor  The interceptor to add, containing a `request` and / or a `response` hook.
+     * @param  {symbol}                              [apiKey]     Token needed to grant access in secure mode.
+     * @throws {Error}                                            If the interceptor has neither a `request` nor a `response` hook.
+     * @throws {Error}                                            If the apiKey does not match in secure mode.
+     */
+    #addInterceptor = (interceptor, apiKey) => {
+
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: access denied.');
+        }
+
+        if (!isObject(interceptor) || !isFunction(interceptor.request) && !isFunction(interceptor.response)) {
+            throw new Error('[VisionPlayer] network.addInterceptor: interceptor must be an object with a request and / or response function');
+        }
+
+        this.#interceptors.push(interceptor);
+
+    };
+
+    /**
+     * Removes an interceptor previously added with `addInterceptor()` or the config.
+     * @param  {module:src/core/Network~interceptor} interceptor  The interceptor to remove.
+     * @param  {symbol}                              [apiKey]     Token needed to grant access in secure mode.
+     * @throws {Error}                                            If the apiKey does not match in secure mode.
+     */
+    #removeInterceptor = (interceptor, apiKey) => {
+
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: access denied.');
+        }
+
+        this.#interceptors = this.#interceptors.filter(entry => entry !== interceptor);
+
+    };
+
+    /**
+     * Applies the `request` hooks of all interceptors to a request, without actually sending it.
+     * This is used by components which cannot use `network.fetch()`, for example because the request is made by a library or a DOM element.
+     * @param   {module:src/core/Network~request}          request  The request to prepare. At least the `url` is needed.
+     * @returns {Promise<module:src/core/Network~request>}          A promise resolving with the modified request.
+     */
+    #prepare = async request => {
+
+        let prepared = Network.#normalize(request);
+
+        for (const interceptor of this.#interceptors.filter(({ request: hook }) => isFunction(hook))) {
+            const modified = await interceptor.request(prepared);
+            if (isObject(modified)) prepared = Network.#normalize(modified);
+        }
+
+        return prepared;
+
+    };
+
+    /**
+     * Synchronous version of `prepare()`, used when a library only allows synchronous modification of requests.
+     * Interceptors returning a promise cannot be applied this way, and are skipped (with a warning shown on the console).
+     * @param   {module:src/core/Network~request} request  The request to prepare. At least the `url` is needed.
+     * @returns {module:src/core/Network~request}          The modified request.
+     */
+    #prepareSync = request => {
+
+        let prepared = Network.#normalize(request);
+
+        for (const interceptor of this.#interceptors.filter(({ request: hook }) => isFunction(hook))) {
+            const modified = interceptor.request(prepared);
+            if (isFunction(modified?.then)) {
+                if (!this.#warned.has(interceptor)) console.warn(`[VisionPlayer] Async request interceptor skipped for synchronous request of type "${prepared.type}"`); // eslint-disable-line no-console
+                this.#warned.add(interceptor);
+            } else if (isObject(modified)) prepared = Network.#normalize(modified);
+        }
+
+        return prepared;
+
+    };
+
+    /**
+     * Sends a request using `fetch`, after applying the `request` hooks of all interceptors. The response is then passed to the `response` hooks,
+     * which can replace the response or throw an error, for example in order to map HTTP errors to custom errors.
+     * @param   {string}            url             The URL to fetch.
+     * @param   {Object}            [options]       Request options, these are the same as for `fetch`, with some additions.
+     * @param   {string}            [options.type]  The type of the request, for example `data` or `subtitles`. Passed to interceptors, so they can distinguish different requests.
+     * @returns {Promise<Response>}                 A promise resolving with the (possibly modified) response.
+     */
+    #fetch = async(url, { type = 'other', ...options } = {}) => {
+
+        const request = await this.#prepare({ ...options, url, type }),
+              { method, headers, credentials, mode, body, signal } = request;
+
+        let response = await fetch(request.url, { method, headers, credentials, mode, body, signal });
+
+        for (const interceptor of this.#interceptors.filter(({ response: hook }) => isFunction(hook))) {
+            const modified = await interceptor.response(response, request);
+            if (!isUndefined(modified)) response = modified;
+        }
+
+        return response;
+
+    };
+
+    /**
+     * Creates a request object with default values, also converts `Headers` to a plain object, so that interceptors can easily modify them.
+     * @param   {module:src/core/Network~request} request  The request to normalize.
+     * @returns {module:src/core/Network~request}          A new request object with defaults applied.
+     */
+    static #normalize(request) {
+
+        const headers = request.headers instanceof Headers ? Object.fromEntries(request.headers.entries()) : { ...request.headers };
+        return { type: 'other', method: 'GET', ...request, headers };
+
+    }
+
+    /**
+     * This method removes all API methods and interceptors added by this component.
+     */
+    destroy() {
+
+        this.#player.removeApi(['network.addInterceptor', 'network.removeInterceptor', 'network.prepare', 'network.prepareSync', 'network.fetch'], this.#apiKey);
+        this.#player = this.#interceptors = this.#warned = this.#apiKey = null;
+
+    }
+
+}
+
+/**
+ * Describes a request, as passed to the `request` hooks of interceptors. Apart from the `type`, all properties correspond to the options of `fetch`.
+ * Note that depending on how the request is made, not all properties might be used: for example, requests of DOM elements (like scripts or images) only use the `url`.
+ * @typedef  {Object} module:src/core/Network~request
+ * @property {string}                 url            The URL of the request.
+ * @property {string}                 type           The type of the request: `data`, `subtitles`, `certificate`, `license`, `thumbnails`, `library`, `stream`, `media` or `other`.
+ * @property {string}                 method         The HTTP method, defaults to `GET`.
+ * @property {Object<string, string>} headers        The request headers.
+ * @property {string}                 [credentials]  The credentials mode, for example `include`.
+ * @property {string}                 [mode]         The request mode, for example `cors`.
+ * @property {any}                    [body]         The body of the request.
+ * @property {AbortSignal}            [signal]       Signal for aborting the request.
+ */
+
+/**
+ * An interceptor for modifying requests and handling responses. Both hooks are optional, but at least one must be present.
+ * @typedef  {Object} module:src/core/Network~interceptor
+ * @property {Function} [request]   Receives a `request` object, and either returns a modified request (optionally as a promise) or modifies the request in place and returns nothing.
+ * @property {Function} [response]  Receives the `Response` and the `request`, and can return a different response (optionally as a promise) or throw an error. Only used for requests made with `network.fetch()`.
+ */
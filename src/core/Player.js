@@ -1,5 +1,6 @@
 import { clone, extend, isBoolean, isArray, isObject, isString, isSymbol, isFunction, isUndefined } from '../../lib/util/object.js';
 import { publish, subscribe, unsubscribe } from '../../lib/util/publisher.js';
+import { createSchema, validateConfig } from '../util/configSchema.js';
 
 /**
  * The `Player` class is the core entry point of the entire system. It is responsible for instantiating and configuring all registered subcomponents, setting up the DOM environment,
@@ -7,6 +8,7 @@ import { publish, subscribe, unsubscribe } from '../../lib/util/publisher.js';
  * @exports module:src/core/Player
  * @requires lib/util/publisher
  * @requires lib/util/object
+ * @requires src/util/configSchema
  * @author   Frank Kudermann - alphanull
  * @version  1.1.0
  * @license  MIT
@@ -20,16 +22,45 @@ export default class Player {
      * @property {string}                                                    [id='']                     Defines custom player id. To be used in conjunction with the pubsub event system to access events outside the player instance.  If omitted, the id will be autogenerated.
      * @property {boolean|module:src/core/Player~intersectionObserverConfig} [initOnIntersection=false]  Intersection Observer config. If `true`, the player will be initialized only if it is visible in the viewport (using Intersection Observer on the target element). If an object is provided, it will be used as the observer config.
      * @property {boolean}                                                   [initOnIdle=false]          If `true`, the player will be initialized only when the browser is idle.
+     * @property {boolean}                                                   [configWarnings=false]      If `true`, config errors (like unknown options or wrong types) are also logged to the console. Enabled by default in the dev build.
+     * @property {string}                                                    [group='']                  Name of the playback group this player belongs to (for example `page`). Starting playback pauses (or ducks) all other players in the same group, see the Group component.
      */
     #config = {
         player: {
             id: '',
             secureApi: false,
             initOnIntersection: false,
-            initOnIdle: false
+            initOnIdle: false,
+            configWarnings: false,
+            group: ''
         }
     };
 
+    /**
+     * Holds the config schemas of all initialized config sections, used for validating config changes.
+     * @type {Map<string, Object<string, module:src/util/configSchema~rule>>}
+     */
+    #schemas = new Map();
+
+    /**
+     * Root keys of all config sections which were accessed by components, used for detecting unknown sections.
+     * @type {Set<string>}
+     */
+    #configKeys = new Set(['player']);
+
+    /**
+     * Holds all config errors reported so far, so that they are still available to code which subscribes to `config/error` too late.
+     * @type {module:src/util/configSchema~configError[]}
+     */
+    #configErrors = [];
+
+    /**
+     * `true` as long as the constructor runs. Config errors reported in the meantime are published asynchronously,
+     * so that they can be caught by subscribing to `config/error` right after creating the player.
+     * @type {boolean}
+     */
+    #constructing = true;
+
     /**
      * Internal client ID, used for connecting via PubSub.
      * Can be generated internally or filled with a custom value when instantiating.
@@ -75,6 +106,48 @@ export default class Player {
      */
     #state = {};
 
+    /**
+     * Holds all state watchers, using the watch token as key.
+     * @type {Map<number, module:src/core/Player~stateWatcher>}
+     */
+    #watchers = new Map();
+
+    /**
+     * Counter used for creating unique watch tokens.
+     * @type {number}
+     */
+    #watchCounter = -1;
+
+    /**
+     * Token of the wildcard subscription which triggers state checks, only present as long as there are any watchers.
+     * @type {?number}
+     */
+    #watchSubscription = null;
+
+    /**
+     * Id of the animation frame in which pending state checks are executed.
+     * @type {?number}
+     */
+    #watchFrameId = null;
+
+    /**
+     * Holds cancel functions of all pending `waitFor` promises and active `events` iterators, so they can be cleaned up when the player is destroyed.
+     * @type {Set<Function>}
+     */
+    #eventHelpers = new Set();
+
+    /**
+     * Holds the last payload of lifecycle messages (like `data/ready` or `media/ready`), so they can be replayed to components added at runtime.
+     * @type {Map<string, any>}
+     */
+    #lifecycleMessages = new Map();
+
+    /**
+     * While a component is added at runtime, this holds all subscriptions made by it (and its children), otherwise `null`.
+     * @type {?Array<{topic: string, handler: Function}>}
+     */
+    #capturedSubscriptions = null;
+
     /**
      * Object containing various information about the client. Can be used by other components for feature detection etc.
      * @type {Object}
@@ -142,6 +215,11 @@ export default class Player {
               mergedData = extractData && isObject(mediaData) ? extend(extractData, mediaData) : mediaData || extractData,
               mergedConfig = extractConfig ? extend(extractConfig, playerConfig) : playerConfig;
 
+        const playerSchema = createSchema(this.#config.player, {
+            idPrefix: { type: 'string' },
+            initOnIntersection: { type: ['boolean', 'object'] }
+        });
+
         // merge config from defaults and custom config
         this.#config = extend({}, Player.#defaultConfig, this.#config, mergedConfig);
 
@@ -150,6 +228,9 @@ export default class Player {
             this.#apiKey = Symbol('apiKey');
         }
 
+        this.#schemas.set('player', playerSchema);
+        this.#validateConfig('player', this.#config.player);
+
         const initOnIntersectionDefault = Player.#defaultConfig.player?.initOnIntersection,
               initOnIdleDefault = Player.#defaultConfig.player?.initOnIdle;
 
@@ -180,6 +261,8 @@ export default class Player {
         }
 
         if (!this.#config.player.initOnIntersection && !this.#config.player.initOnIdle) this.#initialise(mergedData);
+
+        this.#constructing = false;
     }
 
     /**
@@ -205,6 +288,8 @@ export default class Player {
 
         this.#privateApi.mountDom();
 
+        this.#checkConfigSections();
+
         this.data.setMediaData(mergedData).catch(error => {
             // catch regular errors from setMediaData and AbortErrors
             // but throw the rest (like TypeError etc)
@@ -283,14 +368,110 @@ export default class Player {
 
     }
 
+    /**
+     * Adds a component to this (live) instance, as opposed to `Player.addComponent`, which only affects instances created later.
+     * The component is inserted below its parent component (which must already exist), and also launches any child components registered for this path.
+     * Since the component missed all events published so far, the last lifecycle messages (`data/parsed`, `data/source`, `data/ready` and `media/ready`) are replayed
+     * to the handlers subscribed by the new component, so it can initialize itself with the current media.
+     * @param   {string}  path       The path of the component to add, for example `ui.controller.chapters`. Path segments are separated by `'.'`.
+     * @param   {Object}  Component  The component class to be instantiated.
+     * @param   {Object}  [config]   Additional component config, passed to the component just like with `Player.addComponent`.
+     * @param   {symbol}  [apiKey]   Token needed to grant access in secure mode.
+     * @returns {boolean}            `true` if the component was added, `false` if the component decided not to launch (for example because it was disabled by configuration).
+     * @throws  {Error}              If apiKey does not match in secure mode.
+     * @throws  {Error}              If the parent does not exist, or a component with the same path already exists.
+     */
+    addComponent(path, Component, config = {}, apiKey) {
+
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: API access denied.');
+        }
+
+        const parts = path.split('.'),
+              key = parts.pop(),
+              parent = parts.length ? this.getComponent(parts.join('.'), apiKey) : this,
+              parentNode = parts.reduce((node, part) => node?.children.get(part), { children: this.#components });
+
+        if (!parent || !parentNode) throw new Error(`[VisionPlayer] addComponent: parent of "${path}" does not exist.`);
+        if (parentNode.children.has(key)) throw new Error(`[VisionPlayer] addComponent: component "${path}" already exists.`);
+
+        const registered = [...parts, key].reduce((node, part) => node?.children.get(part), { children: Player.#registeredComponents }),
+              captured = this.#capturedSubscriptions = [];
+
+        let instance;
+
+        try {
+            instance = new Component(this, parent, { apiKey: this.#apiKey, config });
+            if (instance[0] !== false) {
+                const node = { instance, children: new Map() };
+                parentNode.children.set(key, node);
+                // also launch children, if this component was registered with the same class
+                if (registered?.Component === Component && registered.children.size) this.#launchComponents(instance, registered.children, node.children);
+            }
+        } finally {
+            this.#capturedSubscriptions = null;
+        }
+
+        if (instance[0] === false) return false;
+
+        // replay lifecycle messages to the new subscribers, in the order they were originally published
+        Player.#lifecycleTopics.forEach(topic => {
+            if (!this.#lifecycleMessages.has(topic)) return;
+            const data = this.#lifecycleMessages.get(topic);
+            captured.filter(sub => sub.topic === topic).forEach(({ handler }) => handler(data, `vip/${this.#id}/${topic}`));
+        });
+
+        return true;
+
+    }
+
+    /**
+     * Removes a component (including all its children) from this (live) instance, as opposed to `Player.removeComponent`, which only affects instances created later.
+     * The component is destroyed, so it removes its subscriptions, API methods, states and DOM elements.
+     * @param   {string}  path      The path of the component to remove, for example `ui.controller.chapters`.
+     * @param   {symbol}  [apiKey]  Token needed to grant access in secure mode.
+     * @returns {boolean}           `true` if the component was found and removed, otherwise `false`.
+     * @throws  {Error}             If apiKey does not match in secure mode.
+     */
+    removeComponent(path, apiKey) {
+
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: API access denied.');
+        }
+
+        const parts = path.split('.'),
+              key = parts.pop(),
+              parentNode = parts.reduce((node, part) => node?.children.get(part), { children: this.#components }),
+              node = parentNode?.children.get(key);
+
+        if (!node) return false;
+
+        if (node.children.size > 0) this.#removeComponents(node.children);
+        if (isFunction(node.instance.destroy)) node.instance.destroy();
+        parentNode.children.delete(key);
+
+        return true;
+
+    }
+
     /**
      * Initializes a configuration section. If the property does not exist yet, it is created using the provided defaults.
-     * Used by components to retrieve and initialize their individual configuration.
-     * @param   {string} key              The configuration key to initialize.
-     * @param   {Object} [defaults=true]  The default values to apply (used with `extend`). If set to `true`, the current config object is reused as-is.
-     * @returns {Object}                  The (possibly newly created) config section associated with the given key.
+     * Used by components to retrieve and initialize their individual configuration. If defaults are provided, a schema is derived from them
+     * and the section is validated against it, both now and on subsequent `setConfig()` calls.
+     * @param   {string}                                            key              The configuration key to initialize.
+     * @param   {Object}                                            [defaults=true]  The default values to apply (used with `extend`). If set to `true`, the current config object is reused as-is.
+     * @param   {Object<string, module:src/util/configSchema~rule>} [schema]         Additional schema rules, refining the ones derived from the defaults (for example allowed values or ranges). Nested options use dot notation as key.
+     * @returns {Object}                                                             The (possibly newly created) config section associated with the given key.
+     * @fires   module:src/core/Player#config/error
      */
-    initConfig(key, defaults = true) {
+    initConfig(key, defaults = true, schema) {
+
+        this.#configKeys.add(key);
+
+        if (isObject(defaults) && !this.#schemas.has(key)) {
+            this.#schemas.set(key, createSchema(defaults, schema));
+            this.#validateConfig(key, this.#config[key]);
+        }
 
         if (isUndefined(this.#config[key]) || isObject(defaults) && this.#config[key] !== false) {
             this.#config[key] = extend(defaults, this.#config[key]);
@@ -309,6 +490,8 @@ export default class Player {
 
         if (!searchPath) return clone(this.#config);
 
+        this.#configKeys.add(searchPath.split('.')[0]);
+
         const result = searchPath.split('.').reduce((o, key) => o?.[key] ?? null, this.#config);
         return clone(result);
 
@@ -319,6 +502,7 @@ export default class Player {
      * @param  {string|Object} config          The config object.
      * @param  {boolean}       [reinitialize]  If `true`, remove and re-launch components after changing config.
      * @throws {Error}                         If config is not an object.
+     * @fires  module:src/core/Player#config/error
      */
     setConfig(config, reinitialize) {
 
@@ -337,6 +521,7 @@ export default class Player {
             if (!Object.prototype.hasOwnProperty.call(config, key)) continue;
             const source = config[key],
                   target = this.#config[key];
+            this.#validateConfig(key, source);
             this.#config[key] = extend(target, source);
         }
 
@@ -346,8 +531,68 @@ export default class Player {
             this.data.setMediaData(mediaData, currentMediaIndex);
         }
 
+        this.#checkConfigSections();
+
+    }
+
+    /**
+     * Returns all config errors reported so far, including those found while the player was constructed.
+     * @returns {module:src/util/configSchema~configError[]} A copy of the reported errors, in the order they were found.
+     */
+    getConfigErrors() {
+
+        return clone(this.#configErrors);
+
+    }
+
+    /**
+     * Validates a config section against its schema (if there is one) and reports any errors found.
+     * @param {string} key     The key of the config section.
+     * @param {any}    config  The config section to validate. Only objects are validated, as booleans are used to enable or disable components.
+     * @fires module:src/core/Player#config/error
+     */
+    #validateConfig(key, config) {
+
+        const schema = this.#schemas.get(key);
+
+        if (!schema || !isObject(config)) return;
+
+        validateConfig(config, schema, key).forEach(this.#reportConfigError);
+
     }
 
+    /**
+     * Reports config sections which are not used by any active component, for example due to a typo in the key.
+     * Each section is only reported once.
+     * @fires module:src/core/Player#config/error
+     */
+    #checkConfigSections() {
+
+        Object.keys(this.#config).forEach(key => {
+            if (this.#configKeys.has(key)) return;
+            this.#configKeys.add(key);
+            this.#reportConfigError({ path: key, type: 'unknown', value: this.#config[key], message: `Unknown config section "${key}", which is not used by any active component.` });
+        });
+
+    }
+
+    /**
+     * Remembers a config error, logs it (if enabled) and publishes it. While the player is constructed, the error is published asynchronously,
+     * as nobody could have subscribed to the player yet.
+     * @param {module:src/util/configSchema~configError} error  The error to report.
+     * @fires module:src/core/Player#config/error
+     */
+    #reportConfigError = error => {
+
+        this.#configErrors.push(error);
+
+        if (this.#config.player.configWarnings) console.warn(`[VisionPlayer] ${error.message}`, error.value); // eslint-disable-line no-console
+
+        if (this.#constructing) queueMicrotask(() => { if (this.#config) this.publish('config/error', error, this.#apiKey); });
+        else this.publish('config/error', error, this.#apiKey);
+
+    };
+
     /**
      * Returns player client information, either a property selected by the key or a clone of the whole client object.
      * @param   {string}         [key]  The key of the desired client property.
@@ -397,6 +642,8 @@ export default class Player {
             return acc[name];
         }, this.#state);
 
+        this.#scheduleWatchCheck();
+
     }
 
     /**
@@ -420,10 +667,94 @@ export default class Player {
                 if (acc.length === nsArray.length - 1 || nsArray.length === 1) delete scope[currentName];
                 return acc;
             }, nsArray.slice(0));
+            Player.#pruneNamespace(this.#state, nsArray);
         });
 
+        this.#scheduleWatchCheck();
+
+    }
+
+    /**
+     * Observes a state property and invokes the callback whenever its value has changed. This works with any state registered by components via `setState`,
+     * as well as with whole namespaces (like `media`), in which case a change of any contained property is reported.
+     * Since state values are getter based, changes are detected by checking all watched states after any event published by this player instance.
+     * These checks are batched to animation frames, so even high frequency changes (like `media.currentTime`) result in at most one callback per frame.
+     * @param   {string}                               path                 The namespace of the state property to watch, for example `media.currentTime`.
+     * @param   {module:src/core/Player~watchCallback} callback             The function to invoke when the value has changed.
+     * @param   {Object}                               [options]            Additional options.
+     * @param   {boolean}                              [options.immediate]  If `true`, the callback is invoked once with the current value right away.
+     * @returns {number}                                                    A token which can be used for unwatching.
+     * @throws  {Error}                                                     If path or callback are invalid.
+     */
+    watchState(path, callback, { immediate = false } = {}) {
+
+        if (!isString(path) || !path) throw new Error('[VisionPlayer] watchState: path must be a non-empty string');
+        if (!isFunction(callback)) throw new Error('[VisionPlayer] watchState: callback must be a function');
+
+        const token = this.#watchCounter += 1,
+              value = this.getState(path);
+
+        this.#watchers.set(token, { path, callback, value });
+
+        if (this.#watchSubscription === null) this.#watchSubscription = this.subscribe('*', this.#scheduleWatchCheck);
+        if (immediate) callback(value, null, path);
+
+        return token;
+
     }
 
+    /**
+     * Removes one or more state watchers.
+     * @param {number|string} tokenOrPath  Either the token returned by `watchState`, or a state path. In the latter case, all watchers of this path are removed.
+     * @param {Function}      [callback]   If a path was specified, only remove watchers which also match this callback.
+     */
+    unwatchState(tokenOrPath, callback) {
+
+        if (!this.#watchers) return; // already destroyed
+
+        if (isString(tokenOrPath)) {
+            this.#watchers.forEach((watcher, token) => {
+                if (watcher.path === tokenOrPath && (!callback || watcher.callback === callback)) this.#watchers.delete(token);
+            });
+        } else this.#watchers.delete(tokenOrPath);
+
+        if (this.#watchers.size === 0 && this.#watchSubscription !== null) {
+            this.unsubscribe(this.#watchSubscription);
+            this.#watchSubscription = null;
+            cancelAnimationFrame(this.#watchFrameId);
+            this.#watchFrameId = null;
+        }
+
+    }
+
+    /**
+     * Schedules checking all watched states with the next animation frame, unless a check is already pending.
+     */
+    #scheduleWatchCheck = () => {
+
+        if (this.#watchFrameId === null && this.#watchers?.size) this.#watchFrameId = requestAnimationFrame(this.#checkWatchers);
+
+    };
+
+    /**
+     * Compares the current values of all watched states with the previous ones, and invokes the callbacks of the changed ones.
+     */
+    #checkWatchers = () => {
+
+        this.#watchFrameId = null;
+
+        // iterate over a copy, as callbacks might (un)watch states as well
+        Array.from(this.#watchers).forEach(([token, watcher]) => {
+            if (!this.#watchers?.has(token)) return; // removed (or player destroyed) by a previous callback
+            const oldValue = watcher.value,
+                  value = this.getState(watcher.path);
+            if (Object.is(value, oldValue) || (isObject(value) || isArray(value)) && JSON.stringify(value) === JSON.stringify(oldValue)) return;
+            watcher.value = value;
+            watcher.callback(value, oldValue, watcher.path);
+        });
+
+    };
+
     /**
      * Adds a component method to the player API. This method adds the api method to the *instance*,
      * as opposed to Player.setApi, which adds an API method to the *Class* itself.
@@ -498,9 +829,31 @@ export default class Player {
                 return acc;
 
             }, nsArray.slice(0));
+
+            Player.#pruneNamespace(this, nsArray);
         });
     }
 
+    /**
+     * Removes namespace objects which became empty after removing a state or an API method, so no stale namespaces are left behind.
+     * @param {Object}   root     The root object, either the state or the player instance.
+     * @param {string[]} nsArray  The segments of the removed namespace.
+     */
+    static #pruneNamespace(root, nsArray) {
+
+        for (let i = nsArray.length - 1; i > 0; i -= 1) {
+            const parent = nsArray.slice(0, i - 1).reduce((obj, name) => obj?.[name], root),
+                  name = nsArray[i - 1];
+            if (!isObject(parent?.[name]) || Object.keys(parent[name]).length) break;
+            try {
+                delete parent[name];
+            } catch {
+                break; // Object was sealed so just skip it
+            }
+        }
+
+    }
+
     /**
      * This should be used by all components when subscribing to some events.
      * In essence this just calls the external [publisher library]{@link module:lib/util/publisher}, but prefixes each event topic
@@ -517,6 +870,7 @@ export default class Player {
      */
     subscribe(topic, handler, options) {
 
+        this.#capturedSubscriptions?.push({ topic, handler });
         return subscribe(`vip/${this.#id}/${topic}`, handler, options);
 
     }
@@ -558,7 +912,166 @@ export default class Player {
             if (secApiKey !== this.#apiKey) throw new Error('[Visionplayer] Secure mode: API access denied.');
         }
 
-        publish(`vip/${this.#id}/${topic}`, isSymbol(data) ? null : data, isSymbol(options) || !options ? { /* async: false */ } : options);
+        const payload = isSymbol(data) ? null : data;
+
+        // remember lifecycle messages for components added at runtime, a new message invalidates all subsequent ones
+        const lifecycleIndex = Player.#lifecycleTopics.indexOf(topic);
+        if (topic === 'data/nomedia') this.#lifecycleMessages?.clear();
+        else if (lifecycleIndex > -1 && this.#lifecycleMessages) {
+            Player.#lifecycleTopics.slice(lifecycleIndex + 1).forEach(t => this.#lifecycleMessages.delete(t));
+            this.#lifecycleMessages.set(topic, payload);
+        }
+
+        publish(`vip/${this.#id}/${topic}`, payload, isSymbol(options) || !options ? { /* async: false */ } : options);
+
+    }
+
+    /**
+     * Returns a promise which resolves with the payload of the next message matching the topic. Shorthand for `waitFor(topic, { signal })`.
+     * @param   {string}       topic             The topic to wait for, may contain wildcards.
+     * @param   {Object}       [options]         Additional options.
+     * @param   {AbortSignal}  [options.signal]  Signal which can be used to abort waiting, in this case the promise is rejected with the reason of the signal.
+     * @returns {Promise<any>}                   Resolves with the payload of the message.
+     */
+    once(topic, { signal } = {}) {
+
+        return this.waitFor(topic, { signal });
+
+    }
+
+    /**
+     * Returns a promise which resolves with the payload of the next message matching the topic and (optionally) the filter.
+     * The subscription is removed automatically as soon as the promise is settled. If the player is destroyed while waiting, the promise is rejected with an `AbortError`.
+     * @param   {string}       topic              The topic to wait for, may contain wildcards.
+     * @param   {Object}       [options]          Additional options.
+     * @param   {number}       [options.timeout]  Time in milliseconds after which the promise is rejected with a `TimeoutError`.
+     * @param   {Function}     [options.filter]   Function receiving the payload and the topic of each matching message. Only if this returns `true`, the promise is resolved.
+     * @param   {AbortSignal}  [options.signal]   Signal which can be used to abort waiting, in this case the promise is rejected with the reason of the signal.
+     * @returns {Promise<any>}                    Resolves with the payload of the message.
+     */
+    waitFor(topic, { timeout, filter, signal } = {}) {
+
+        return new Promise((resolve, reject) => {
+
+            if (signal?.aborted) {
+                reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+                return;
+            }
+
+            let timeoutId;
+
+            const cleanup = () => {
+                this.unsubscribe(token); // eslint-disable-line no-use-before-define
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort); // eslint-disable-line no-use-before-define
+                this.#eventHelpers?.delete(cancel); // eslint-disable-line no-use-before-define
+            };
+
+            const cancel = reason => {
+                cleanup();
+                reject(reason);
+            };
+
+            const onAbort = () => cancel(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+
+            const token = this.subscribe(topic, (data, fullTopic) => {
+                try {
+                    if (filter && filter(data, this.#stripTopic(fullTopic)) !== true) return;
+                } catch (error) {
+                    cancel(error);
+                    return;
+                }
+                cleanup();
+                resolve(data);
+            });
+
+            if (timeout > 0) timeoutId = setTimeout(() => cancel(new DOMException(`Timeout while waiting for "${topic}"`, 'TimeoutError')), timeout);
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.#eventHelpers.add(cancel);
+
+        });
+
+    }
+
+    /**
+     * Returns an async iterator which yields all messages matching the topic, to be used with `for await...of`. Messages are queued until they are consumed.
+     * Iteration ends when the loop is exited, or when the player is destroyed. If the signal is aborted, the iterator throws the reason of the signal.
+     * @param   {string}      topic             The topic to listen to, may contain wildcards (for example `media/*`).
+     * @param   {Object}      [options]         Additional options.
+     * @param   {AbortSignal} [options.signal]  Signal which can be used to stop listening.
+     * @returns {Object}                        An async iterator yielding `module:src/core/Player~eventMessage` objects.
+     */
+    events(topic, { signal } = {}) {
+
+        const queue = [],
+              pending = [];
+
+        let done = false,
+            error = signal?.aborted ? signal.reason ?? new DOMException('Aborted', 'AbortError') : null,
+            token = null;
+
+        const finish = reason => {
+            if (done) return;
+            done = true;
+            error = reason ?? null;
+            if (token !== null) this.unsubscribe(token);
+            signal?.removeEventListener('abort', onAbort); // eslint-disable-line no-use-before-define
+            this.#eventHelpers?.delete(stop); // eslint-disable-line no-use-before-define
+            // settle all consumers still waiting for a message, the first one receives the error (if any)
+            pending.splice(0).forEach(({ resolve, reject }) => {
+                if (error) {
+                    reject(error);
+                    error = null;
+                } else resolve({ value: null, done: true });
+            });
+        };
+
+        const stop = () => finish();
+
+        const onAbort = () => finish(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+
+        if (error) {
+            done = true;
+        } else {
+            token = this.subscribe(topic, (data, fullTopic) => {
+                const message = { topic: this.#stripTopic(fullTopic), data };
+                if (pending.length) pending.shift().resolve({ value: message, done: false });
+                else queue.push(message);
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.#eventHelpers.add(stop); // end gracefully on destroy
+        }
+
+        return {
+            next: () => {
+                if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+                if (done) {
+                    const reason = error;
+                    error = null;
+                    return reason ? Promise.reject(reason) : Promise.resolve({ value: null, done: true });
+                }
+                return new Promise((resolve, reject) => { pending.push({ resolve, reject }); });
+            },
+            return: () => {
+                finish();
+                error = null;
+                queue.length = 0;
+                return Promise.resolve({ value: null, done: true });
+            },
+            [Symbol.asyncIterator]() { return this; }
+        };
+
+    }
+
+    /**
+     * Removes the internal prefix (`vip/` and the player id) from a topic.
+     * @param   {string} topic  The full topic as delivered by the publisher.
+     * @returns {string}        The topic as used by components.
+     */
+    #stripTopic(topic) {
+
+        const prefix = `vip/${this.#id}/`;
+        return topic.startsWith(prefix) ? topic.slice(prefix.length) : topic;
 
     }
 
@@ -570,6 +1083,9 @@ export default class Player {
     destroy() {
 
         this.#removeComponents();
+        if (this.#watchSubscription !== null) this.unsubscribe(this.#watchSubscription);
+        cancelAnimationFrame(this.#watchFrameId);
+        Array.from(this.#eventHelpers).forEach(cancel => cancel(new DOMException('Player was destroyed', 'AbortError')));
         if (this.#config.player.initOnIntersection) this.#intersectionObserver.disconnect();
         if (this.#config.player.initOnIdle) {
             if (window.requestIdleCallback) window.cancelIdleCallback(this.#idleCallback);
@@ -577,7 +1093,7 @@ export default class Player {
         }
 
         try {
-            this.#state = this.#components = this.#config = this.#namespaces = this.#apiKey = this.#apiMethods = null;
+            this.#state = this.#components = this.#config = this.#namespaces = this.#apiKey = this.#apiMethods = this.#watchers = this.#eventHelpers = this.#lifecycleMessages = this.#schemas = null;
         } catch {} // Object was sealed so just skip it
 
     }
@@ -667,6 +1183,12 @@ export default class Player {
      */
     static #idCounter = -1;
 
+    /**
+     * Topics of lifecycle messages which are replayed to components added at runtime, in the order they are published.
+     * @type {string[]}
+     */
+    static #lifecycleTopics = ['data/parsed', 'data/source', 'data/ready', 'media/ready'];
+
     /**
      * Adds (registers) a new component. This method must be invoked on the Class itself,
      * and only components added before creating a player instance will be considered.
@@ -937,3 +1459,34 @@ export default class Player {
  * @property {string}   [mimeTypeAudio]  Optional MIME type for audio streams (e.g. `'audio/mp4'`).
  * @property {string}   [mimeTypeVideo]  Optional MIME type for video streams (e.g. `'video/mp4'`).
  */
+
+/**
+ * Holds the data of a single state watcher.
+ * @typedef {Object} module:src/core/Player~stateWatcher
+ * @property {string}                               path      The namespace of the watched state.
+ * @property {module:src/core/Player~watchCallback} callback  The function to invoke when the state has changed.
+ * @property {any}                                  value     The last known value of the state.
+ */
+
+/**
+ * Callback invoked by `watchState` when a state value has changed.
+ * @callback module:src/core/Player~watchCallback
+ * @param {any}    value     The new value of the state, or `null` if the state was removed.
+ * @param {any}    oldValue  The previous value of the state.
+ * @param {string} path      The namespace of the watched state.
+ */
+
+/**
+ * A message yielded by the async iterator returned from `events()`.
+ * @typedef {Object} module:src/core/Player~eventMessage
+ * @property {string} topic  The topic of the message, without the internal prefix.
+ * @property {any}    data   The payload of the message.
+ */
+
+/**
+ * Fired when a config option (or a whole config section) is unknown or has an invalid value. This happens either when a component initializes its config, or when the config is changed using `setConfig()`.
+ * Errors found while the player is constructed are published asynchronously, so they can be caught by subscribing right after creating the player. See also `getConfigErrors()`.
+ * Note that invalid options are not removed from the config, so components may still handle them in their own way.
+ * @event module:src/core/Player#config/error
+ * @param {module:src/util/configSchema~configError} error  The error, containing the full path of the affected option.
+ */
@@ -0,0 +1,320 @@
+import { clone, isObject, isFunction, isUndefined } from '../../lib/util/object.js';
+import getStorage from '../util/storage.js';
+
+/**
+ * The Preferences component provides a small persistent store for user preferences, like volume, subtitle language or playback rate.
+ * Values are read once on initialization and written back (debounced) whenever the user changes a setting in one of the participating components.
+ * The storage backend is pluggable: besides `localStorage`, `sessionStorage` and a non-persistent in-memory store, a custom adapter (which may also work asynchronously) can be provided.
+ * Each preference key must be enabled explicitly, and all values are stored in a namespace bound to the player id, so different players on the same page do not interfere with each other.
+ * For privacy reasons, this component is disabled when the player runs in secure mode, unless this is explicitly allowed by the configuration.
+ * @exports module:src/core/Preferences
+ * @requires lib/util/object
+ * @requires src/util/storage
+ * @author Frank Kudermann - alphanull
+ * @version 1.0.0
+ * @license MIT
+ */
+export default class Preferences {
+
+    /**
+     * Contains configuration options for this component.
+     * @type     {Object}
+     * @property {'local'|'session'|'memory'|module:src/util/storage~storageAdapter} [storage='local']              The storage backend to use. Either one of the built-in backends or a custom adapter object.
+     * @property {string}                                                            [prefix='vip-prefs-']          Prefix for the storage key. The player id is appended to this prefix.
+     * @property {boolean}                                                           [allowSecure=false]            If `true`, preferences are also stored when the player runs in secure mode.
+     * @property {Object<string, boolean>}                                           [keys]                         Defines which preferences should be persisted. All keys are disabled by default.
+     * @property {boolean}                                                           [keys.volume=false]            Persist the volume level.
+     * @property {boolean}                                                           [keys.muted=false]             Persist the muted state.
+     * @property {boolean}                                                           [keys.subtitleLanguage=false]  Persist the selected subtitle language (or `null` if subtitles were switched off).
+     * @property {boolean}                                                           [keys.subtitleFontSize=false]  Persist the subtitle font size.
+     * @property {boolean}                                                           [keys.playbackRate=false]      Persist the playback rate.
+     * @property {boolean}                                                           [keys.uiScale=false]           Persist the UI scale factor.
+     * @property {boolean}                                                           [keys.audioControls=false]     Persist the equalizer bands of the AudioControls component.
+     * @property {boolean}                                                           [keys.videoControls=false]     Persist the filter values of the VideoControls component.
+     */
+    #config = {
+        storage: 'local',
+        prefix: 'vip-prefs-',
+        allowSecure: false,
+        keys: {
+            volume: false,
+            muted: false,
+            subtitleLanguage: false,
+            subtitleFontSize: false,
+            playbackRate: false,
+            uiScale: false,
+            audioControls: false,
+            videoControls: false
+        }
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * The storage adapter used for reading and writing preferences.
+     * @type {module:src/util/storage~storageAdapter}
+     */
+    #storage;
+
+    /**
+     * The key under which the preferences of this player are stored.
+     * @type {string}
+     */
+    #storageKey;
+
+    /**
+     * Holds the current preference values.
+     * @type {Object<string, any>}
+     */
+    #values = {};
+
+    /**
+     * Indicates if the stored values have already been loaded. Writes are deferred until this is the case.
+     * @type {boolean}
+     */
+    #loaded = false;
+
+    /**
+     * Indicates if all components have been set up (signalled by `dom/ready`), so that they are able to receive `preferences/ready`.
+     * @type {boolean}
+     */
+    #domReady = false;
+
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Timeout id used for debouncing writes to the storage.
+     * @type {number}
+     */
+    #saveTimeoutId;
+
+    /**
+     * Creates an instance of the Preferences component.
+     * @param {module:src/core/Player} player            Reference to the VisionPlayer instance.
+     * @param {module:src/core/Player} parent            Reference to the parent instance.
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        this.#config = player.initConfig('preferences', this.#config, {
+            storage: { type: ['string', 'object'], enum: ['local', 'session', 'memory'] }
+        });
+
+        if (!this.#config || !Object.values(this.#config.keys).some(Boolean)) return [false];
+
+        // do not leave any traces in secure mode, unless explicitly allowed
+        if (apiKey && !this.#config.allowSecure) return [false];
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+        this.#storage = getStorage(this.#config.storage);
+        this.#storageKey = `${this.#config.prefix}${player.getConfig('player.id')}`;
+
+        this.#player.setApi('preferences.get', this.#get, apiKey);
+        this.#player.setApi('preferences.set', this.#set, apiKey);
+        this.#player.setApi('preferences.remove', this.#remove, apiKey);
+        this.#player.setApi('preferences.clear', this.#clear, apiKey);
+
+        this.#subscriptions = [this.#player.subscribe('dom/ready', this.#onDomReady)];
+
+        this.#load();
+
+    }
+
+    /**
+     * Reads the stored preferences. Supports both synchronous and asynchronous storage adapters.
+     */
+    #load() {
+
+        try {
+            const stored = this.#storage.getItem(this.#storageKey);
+            if (isFunction(stored?.then)) stored.then(this.#onLoaded).catch(() => this.#onLoaded(null));
+            else this.#onLoaded(stored);
+        } catch {
+            this.#onLoaded(null);
+        }
+
+    }
+
+    /**
+     * Handler invoked once the stored preferences have been read.
+     * @param {?string} stored  The stored (JSON) string, or `null` if nothing was found.
+     * @fires module:src/core/Preferences#preferences/ready
+     */
+    #onLoaded = stored => {
+
+        if (!this.#player) return; // destroyed in the meantime
+
+        let parsed;
+
+        try {
+            parsed = stored ? JSON.parse(stored) : {};
+        } catch {
+            parsed = {}; // ignore corrupt data
+        }
+
+        const hasChanges = Object.keys(this.#values).length > 0;
+
+        // only accept enabled keys, but keep values which were set before loading has finished
+        Object.entries(isObject(parsed) ? parsed : {}).forEach(([key, value]) => {
+            if (this.#config.keys[key] && !Object.hasOwn(this.#values, key)) this.#values[key] = value;
+        });
+
+        this.#loaded = true;
+        if (hasChanges) this.#scheduleSave();
+        if (this.#domReady) this.#player.publish('preferences/ready', clone(this.#values), this.#apiKey);
+
+    };
+
+    /**
+     * Called when all components have been set up. As the publisher only reaches subscribers which exist at publish time,
+     * `preferences/ready` is deferred until this point (and published again if the components were relaunched and the dom is ready again).
+     * @fires   module:src/core/Preferences#preferences/ready
+     * @listens module:src/core/Dom#dom/ready
+     */
+    #onDomReady = () => {
+
+        this.#domReady = true;
+        if (this.#loaded) this.#player.publish('preferences/ready', clone(this.#values), this.#apiKey);
+
+    };
+
+    /**
+     * Returns the value of a preference.
+     * @param   {string} key  The preference key.
+     * @returns {any}         The stored value, or `undefined` if the key is not enabled or nothing was stored yet.
+     */
+    #get = key => {
+
+        if (this.#config.keys[key]) return clone(this.#values[key]);
+
+    };
+
+    /**
+     * Sets the value of a preference. Ignored if the key is not enabled.
+     * @param {string} key    The preference key.
+     * @param {any}    value  The new value, must be serializable as JSON.
+     * @fires module:src/core/Preferences#preferences/change
+     */
+    #set = (key, value) => {
+
+        if (!this.#config.keys[key] || isUndefined(value)) return;
+
+        const oldValue = this.#values[key];
+        this.#values[key] = clone(value);
+
+        if (JSON.stringify(oldValue) === JSON.stringify(value)) return;
+
+        this.#player.publish('preferences/change', { key, value: clone(value) }, this.#apiKey);
+        this.#scheduleSave();
+
+    };
+
+    /**
+     * Removes a single preference.
+     * @param {string} key  The preference key.
+     * @fires module:src/core/Preferences#preferences/change
+     */
+    #remove = key => {
+
+        if (!Object.hasOwn(this.#values, key)) return;
+
+        delete this.#values[key];
+        this.#player.publish('preferences/change', { key }, this.#apiKey);
+        this.#scheduleSave();
+
+    };
+
+    /**
+     * Removes all preferences of this player from the storage.
+     * @fires module:src/core/Preferences#preferences/change
+     */
+    #clear = () => {
+
+        this.#values = {};
+        clearTimeout(this.#saveTimeoutId);
+        this.#saveTimeoutId = null;
+
+        try {
+            const result = this.#storage.removeItem(this.#storageKey);
+            if (isFunction(result?.catch)) result.catch(() => {});
+        } catch {} // storage not accessible
+
+        this.#player.publish('preferences/change', { key: null }, this.#apiKey);
+
+    };
+
+    /**
+     * Schedules writing the current values to the storage, so that rapid changes (like dragging a slider) result in a single write only.
+     */
+    #scheduleSave() {
+
+        if (!this.#loaded) return;
+
+        clearTimeout(this.#saveTimeoutId);
+        this.#saveTimeoutId = setTimeout(this.#save, 250);
+
+    }
+
+    /**
+     * Writes the current values to the storage.
+     */
+    #save = () => {
+
+        this.#saveTimeoutId = null;
+
+        try {
+            const result = this.#storage.setItem(this.#storageKey, JSON.stringify(this.#values));
+            if (isFunction(result?.catch)) result.catch(() => {});
+        } catch {} // quota exceeded or storage not accessible
+
+    };
+
+    /**
+     * This method removes all events, subscriptions and DOM nodes created by this component.
+     * Pending writes are flushed to the storage before.
+     */
+    destroy() {
+
+        if (this.#saveTimeoutId) {
+            clearTimeout(this.#saveTimeoutId);
+            this.#save();
+        }
+
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeApi(['preferences.get', 'preferences.set', 'preferences.remove', 'preferences.clear'], this.#apiKey);
+        this.#player = this.#storage = this.#values = this.#apiKey = null;
+
+    }
+
+}
+
+/**
+ * Fired when the stored preferences have been loaded and all components have been set up. Components use this to apply stored values.
+ * @event module:src/core/Preferences#preferences/ready
+ * @param {Object<string, any>} values  All currently stored (and enabled) preferences.
+ */
+
+/**
+ * Fired when a preference was changed.
+ * @event module:src/core/Preferences#preferences/change
+ * @param {Object}  change          Change object.
+ * @param {?string} change.key      The key of the changed preference, or `null` if all preferences were cleared.
+ * @param {any}     [change.value]  The new value, omitted if the preference was removed.
+ */
@@ -0,0 +1,211 @@
+import { isObject, isArray, isNumber, isString, isBoolean, isUndefined } from '../../lib/util/object.js';
+
+/**
+ * The Snapshot component serializes the current session of a player into a plain object, and restores such a snapshot later on.
+ * This includes the current media index and position, the paused state, the selected quality, language and subtitle track, volume and playback rate,
+ * as well as the settings of the AudioControls and VideoControls components. Typical use cases are single page applications which destroy and recreate the player on route changes,
+ * or handing over a session from one player instance to another.
+ * The snapshot is collected exclusively from the player state and component APIs, so any part belonging to a component which is not available is simply omitted.
+ * @exports module:src/core/Snapshot
+ * @requires lib/util/object
+ * @author Frank Kudermann - alphanull
+ * @version 1.0.0
+ * @license MIT
+ */
+export default class Snapshot {
+
+    /**
+     * Holds the instance configuration for this component.
+     * @type     {Object}
+     * @property {number} [timeout=20]  Maximum time in seconds to wait for the media when restoring a snapshot. Use `0` to wait without a time limit.
+     */
+    #config = {
+        timeout: 20
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * Holds the functions settling the promises which wait for the media to become ready, so they can be rejected when the component is destroyed.
+     * @type {Set<Function>}
+     */
+    #pending = new Set();
+
+    /**
+     * Creates an instance of the Snapshot component.
+     * @param {module:src/core/Player} player            Reference to the VisionPlayer instance.
+     * @param {module:src/core/Player} parent            Reference to the parent instance.
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        this.#config = player.initConfig('snapshot', this.#config, { timeout: { min: 0 } });
+
+        if (!this.#config) return [false];
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+
+        this.#player.setApi('getSnapshot', this.#getSnapshot, apiKey);
+        this.#player.setApi('restoreSnapshot', this.#restoreSnapshot, apiKey);
+
+    }
+
+    /**
+     * Collects the current player state into a serializable snapshot.
+     * @returns {module:src/core/Snapshot~snapshot} The current snapshot.
+     */
+    #getSnapshot = () => {
+
+        const media = this.#player.getState('media') ?? {},
+              snapshot = {
+                  version: 1,
+                  mediaIndex: this.#player.data.getMediaData('index'),
+                  currentTime: media.liveStream ? 0 : media.currentTime ?? 0,
+                  paused: media.paused ?? true,
+                  volume: media.volume,
+                  muted: media.muted,
+                  playbackRate: media.playbackRate,
+                  loop: media.loop
+              };
+
+        const quality = this.#player.getState('quality'),
+              language = this.#player.getState('language'),
+              subtitles = this.#player.getState('subtitles'),
+              audioControls = this.#player.getState('audioControls'),
+              videoControls = this.#player.getState('videoControls');
+
+        // only add parts of components which are actually available
+        if (quality && !isUndefined(quality.selected)) snapshot.quality = quality.selected;
+        if (language?.selected?.language) snapshot.language = language.selected;
+        if (subtitles && !isUndefined(subtitles.language)) snapshot.subtitles = subtitles.language;
+        if (audioControls?.bands) snapshot.audioControls = audioControls.bands;
+        if (videoControls?.values) snapshot.videoControls = videoControls.values;
+
+        return snapshot;
+
+    };
+
+    /**
+     * Restores a snapshot previously created with `getSnapshot()`. Settings are applied immediately,
+     * while everything related to the media itself is applied as soon as the media is ready.
+     * @param   {module:src/core/Snapshot~snapshot} snapshot  The snapshot to restore.
+     * @returns {Promise}                                     A promise which resolves once the snapshot has been applied, or rejects if the media could not be loaded.
+     * @throws  {Error}                                       If the snapshot is not an object.
+     */
+    #restoreSnapshot = async snapshot => {
+
+        if (!isObject(snapshot)) throw new Error('[VisionPlayer] restoreSnapshot: snapshot must be an object');
+
+        const { mediaIndex, currentTime, paused, volume, muted, playbackRate, loop, quality, language, subtitles, audioControls, videoControls } = snapshot;
+
+        if (isNumber(volume)) this.#player.media.volume(Math.min(Math.max(volume, 0), 1));
+        if (isBoolean(muted)) this.#player.media.mute(muted);
+        if (isBoolean(loop)) this.#player.media.loop(loop);
+        if (isArray(audioControls)) this.#player.audioControls?.setBands(audioControls);
+        if (isObject(videoControls)) this.#player.videoControls?.setValues(videoControls);
+
+        if (!this.#player.getState('media.readyState')) await this.#waitForMedia();
+
+        if (isNumber(mediaIndex) && mediaIndex !== this.#player.data.getMediaData('index')) {
+            await this.#player.data.setMediaIndex(mediaIndex, { ignoreAutoplay: true });
+            if (!this.#player) throw new Error('[VisionPlayer] restoreSnapshot: player was destroyed');
+        }
+
+        // language and quality changes might load a new source, so wait for it before restoring the position
+        if (isObject(language) && isString(language.language) && this.#player.language?.select(language.language, language.langId)) await this.#waitForMedia();
+        if (!isUndefined(quality) && this.#player.quality?.select(quality)) await this.#waitForMedia();
+        if (!isUndefined(subtitles)) this.#player.subtitles?.select(subtitles);
+
+        if (isNumber(currentTime) && currentTime > 0 && !this.#player.getState('media.liveStream')) this.#player.media.seek(currentTime);
+        if (isNumber(playbackRate) && playbackRate > 0) this.#player.media.playbackRate(playbackRate);
+
+        if (paused === false) this.#player.media.play();
+        else if (paused === true) this.#player.media.pause();
+
+    };
+
+    /**
+     * Returns a promise which resolves as soon as the next `media/ready` event was published.
+     * The promise is rejected if loading the media or data failed, the configured timeout has passed, or the component was destroyed in the meantime.
+     * @returns {Promise} The promise waiting for the media.
+     * @listens module:src/core/Media#media/ready
+     * @listens module:src/core/Media#media/error
+     * @listens module:src/core/Data#data/error
+     */
+    #waitForMedia() {
+
+        return new Promise((resolve, reject) => {
+
+            let tokens = [],
+                timeout = 0;
+
+            const settle = error => {
+                clearTimeout(timeout);
+                this.#player.unsubscribe(tokens);
+                this.#pending.delete(settle);
+                if (error) reject(error);
+                else resolve();
+            };
+
+            tokens = [
+                ['media/ready', () => settle()],
+                ['media/error', () => settle(new Error('[VisionPlayer] restoreSnapshot: media could not be loaded'))],
+                ['data/error', () => settle(new Error('[VisionPlayer] restoreSnapshot: media data could not be loaded'))]
+            ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+            if (this.#config.timeout) {
+                timeout = setTimeout(() => settle(new Error('[VisionPlayer] restoreSnapshot: timeout while waiting for the media')), this.#config.timeout * 1000);
+            }
+
+            this.#pending.add(settle);
+
+        });
+
+    }
+
+    /**
+     * This method removes all events, subscriptions and DOM nodes created by this component.
+     * Pending restores are rejected.
+     */
+    destroy() {
+
+        this.#pending.forEach(settle => settle(new Error('[VisionPlayer] restoreSnapshot: player was destroyed')));
+        this.#player.removeApi(['getSnapshot', 'restoreSnapshot'], this.#apiKey);
+        this.#player = this.#pending = this.#apiKey = null;
+
+    }
+
+}
+
+/**
+ * A snapshot of the player session. When restoring, all properties are optional, and missing properties are simply not restored.
+ * @typedef  {Object} module:src/core/Snapshot~snapshot
+ * @property {number}                 version            The version of the snapshot format, currently `1`.
+ * @property {number}                 mediaIndex         Index of the current media item.
+ * @property {number}                 currentTime        The playback position in seconds (`0` for live streams).
+ * @property {boolean}                paused             Whether the media was paused.
+ * @property {number}                 volume             The volume, ranging from `0` to `1`.
+ * @property {boolean}                muted              Whether the media was muted.
+ * @property {number}                 playbackRate       The playback speed, with `1` being normal speed.
+ * @property {boolean}                loop               Whether the media was looping.
+ * @property {?number|string}         [quality]          The selected quality, or `null` for "auto". Only present if the Quality component is available.
+ * @property {Object}                 [language]         The selected language. Only present if the Language component is available.
+ * @property {string}                 language.language  The code of the selected language, for example `en`.
+ * @property {number|string}          [language.langId]  The id of the language track, as provided by streaming components.
+ * @property {?string}                [subtitles]        The language of the active subtitle track, or `null` if subtitles are switched off. Only present if the Subtitles component is available.
+ * @property {number[]}               [audioControls]    The values of the equalizer bands. Only present if the AudioControls component is available.
+ * @property {Object<string, number>} [videoControls]    The values of the picture controls. Only present if the VideoControls component is available.
+ */
@@ -0,0 +1,344 @@
+import { extend, isObject } from '../../lib/util/object.js';
+
+/**
+ * The `<vision-player>` custom element wraps a player instance, so that it can be used like any other HTML element, for example in frameworks or content management systems.
+ * The attributes `src`, `autoplay`, `muted`, `loop`, `poster`, `config` and `lang` are mapped onto the media data and config of the player and can also be changed later on.
+ * In addition, the element exposes a subset of the `HTMLMediaElement` interface (like `play()`, `pause()`, `currentTime` or `volume`) and re-dispatches all player events as DOM `CustomEvent`s.
+ * The player is rendered into the shadow root of the element, so that the player styles do not interfere with the element itself.
+ * Note that the player also uses `<vision-player>` tags for its own root elements, those are marked with a `data-vip-root` attribute and are ignored by this class.
+ * Outside of browsers (for example when rendering on the server), `HTMLElement` is not available, so the class extends `Object` instead and is never defined.
+ * @exports module:src/core/VisionPlayerElement
+ * @requires lib/util/object
+ * @author Frank Kudermann - alphanull
+ * @version 1.0.0
+ * @license MIT
+ */
+export default class VisionPlayerElement extends (typeof HTMLElement === 'undefined' ? Object : HTMLElement) {
+
+    /**
+     * The Player class used for creating new instances. Set by `VisionPlayerElement.define()`.
+     * @type {module:src/core/Player}
+     */
+    static #Player;
+
+    /**
+     * The attributes which are observed for changes.
+     * @type {string[]}
+     */
+    static observedAttributes = ['src', 'autoplay', 'muted', 'loop', 'poster', 'config', 'lang'];
+
+    /**
+     * Reference to the player instance, or `null` if the element is not connected.
+     * @type {module:src/core/Player}
+     */
+    #player = null;
+
+    /**
+     * Container element inside the shadow root, used as target for the player.
+     * @type {HTMLElement}
+     */
+    #container;
+
+    /**
+     * Token of the subscription used for re-dispatching player events.
+     * @type {number}
+     */
+    #subscription;
+
+    /**
+     * Returns the player instance, or `null` if the element is not connected to the document yet.
+     * @type {module:src/core/Player}
+     */
+    get player() { return this.#player; }
+
+    /**
+     * The URL of the media (or of a media data JSON file), reflected by the `src` attribute.
+     * @type {string}
+     */
+    get src() { return this.getAttribute('src') ?? ''; }
+
+    /**
+     * Changes the media, by setting the `src` attribute.
+     * @param {string} value  The URL of the media or the media data.
+     */
+    set src(value) { this.setAttribute('src', value); }
+
+    /**
+     * The URL of the poster image, reflected by the `poster` attribute.
+     * @type {string}
+     */
+    get poster() { return this.getAttribute('poster') ?? ''; }
+
+    /**
+     * Changes the poster image, by setting the `poster` attribute.
+     * @param {string} value  The URL of the poster image.
+     */
+    set poster(value) { this.setAttribute('poster', value); }
+
+    /**
+     * Whether the media should start playing when loaded, reflected by the `autoplay` attribute.
+     * @type {boolean}
+     */
+    get autoplay() { return this.hasAttribute('autoplay'); }
+
+    /**
+     * Enables or disables autoplay, by setting or removing the `autoplay` attribute.
+     * @param {boolean} value  If `true`, the media plays as soon as it is loaded.
+     */
+    set autoplay(value) { this.toggleAttribute('autoplay', Boolean(value)); }
+
+    /**
+     * Whether the media is looping, reflected by the `loop` attribute.
+     * @type {boolean}
+     */
+    get loop() { return this.hasAttribute('loop'); }
+
+    /**
+     * Enables or disables looping, by setting or removing the `loop` attribute.
+     * @param {boolean} value  If `true`, the media is looping.
+     */
+    set loop(value) { this.toggleAttribute('loop', Boolean(value)); }
+
+    /**
+     * Whether the media is muted. Like with `HTMLMediaElement`, this reflects the current state while the `muted` attribute only defines the initial state.
+     * @type {boolean}
+     */
+    get muted() { return this.#player ? Boolean(this.#player.getState('media.muted')) : this.hasAttribute('muted'); }
+
+    /**
+     * Mutes or unmutes the media. If the element is not connected yet, the `muted` attribute is changed instead.
+     * @param {boolean} value  If `true`, the media is muted.
+     */
+    set muted(value) {
+
+        if (this.#player) this.#player.media.mute(Boolean(value));
+        else this.toggleAttribute('muted', Boolean(value));
+
+    }
+
+    /**
+     * The current volume, ranging from `0` to `1`.
+     * @type {number}
+     */
+    get volume() { return this.#player?.getState('media.volume') ?? 1; }
+
+    /**
+     * Changes the volume. Values outside of the allowed range are clamped.
+     * @param {number} value  The new volume, ranging from `0` to `1`.
+     */
+    set volume(value) { this.#player?.media.volume(Math.min(Math.max(Number(value), 0), 1)); }
+
+    /**
+     * The current playback position in seconds. Setting this property seeks the media.
+     * @type {number}
+     */
+    get currentTime() { return this.#player?.getState('media.currentTime') ?? 0; }
+
+    /**
+     * Seeks the media to the specified position.
+     * @param {number} value  The position in seconds.
+     */
+    set currentTime(value) { this.#player?.media.seek(value); }
+
+    /**
+     * The current playback speed, with `1` being normal speed.
+     * @type {number}
+     */
+    get playbackRate() { return this.#player?.getState('media.playbackRate') ?? 1; }
+
+    /**
+     * Changes the playback speed.
+     * @param {number} value  The new speed, with `1` being normal speed.
+     */
+    set playbackRate(value) { this.#player?.media.playbackRate(value); }
+
+    /**
+     * The duration of the current media in seconds, or `NaN` if not known yet.
+     * @type {number}
+     */
+    get duration() { return this.#player?.getState('media.duration') ?? NaN; }
+
+    /**
+     * Whether the media is paused.
+     * @type {boolean}
+     */
+    get paused() { return this.#player?.getState('media.paused') ?? true; }
+
+    /**
+     * Whether the media has ended.
+     * @type {boolean}
+     */
+    get ended() { return this.#player?.getState('media.ended') ?? false; }
+
+    /**
+     * The ready state of the media, see `HTMLMediaElement.readyState`.
+     * @type {number}
+     */
+    get readyState() { return this.#player?.getState('media.readyState') ?? 0; }
+
+    /**
+     * Starts playing the media.
+     * @returns {Promise} The promise returned by the media element, rejects if the element is not connected.
+     */
+    play() {
+
+        if (!this.#player) return Promise.reject(new DOMException('[VisionPlayer] Element is not connected.', 'InvalidStateError'));
+        return Promise.resolve(this.#player.media.play());
+
+    }
+
+    /**
+     * Pauses the media.
+     */
+    pause() {
+
+        this.#player?.media.pause();
+
+    }
+
+    /**
+     * Invoked when the element is inserted into the document. Creates the player, unless this element is used by a player as its root element.
+     */
+    connectedCallback() {
+
+        if (this.#player || this.hasAttribute('data-vip-root') || !VisionPlayerElement.#Player) return;
+
+        if (!this.shadowRoot) {
+            const style = document.createElement('style');
+            style.textContent = ':host { display: block; } :host([hidden]) { display: none; }';
+            this.#container = document.createElement('div');
+            this.attachShadow({ mode: 'open' }).append(style, this.#container);
+        }
+
+        const mediaData = this.#getMediaData(),
+              config = this.#getConfig();
+
+        if (!mediaData) config.data = extend(config.data, { skipEmptyData: true });
+
+        this.#player = new VisionPlayerElement.#Player(this.#container, mediaData, config);
+        this.#subscription = this.#player.subscribe('*', this.#onPlayerEvent);
+
+    }
+
+    /**
+     * Invoked when the element is removed from the document. The player is destroyed, unless the element is inserted again right away, which happens when it is just moved.
+     */
+    disconnectedCallback() {
+
+        if (this.hasAttribute('data-vip-root')) return;
+
+        queueMicrotask(() => {
+            if (this.isConnected || !this.#player) return;
+            this.#player.unsubscribe(this.#subscription);
+            this.#player.destroy();
+            this.#player = null;
+        });
+
+    }
+
+    /**
+     * Invoked when one of the observed attributes changes. Applies the change to the running player.
+     * @param {string}  name      Which of the observed attributes was changed.
+     * @param {?string} oldValue  The value before the change, or `null` if the attribute was not present.
+     * @param {?string} newValue  The value after the change, or `null` if the attribute was removed.
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+
+        if (!this.#player || oldValue === newValue || this.hasAttribute('data-vip-root')) return;
+
+        switch (name) {
+            case 'src':
+            case 'poster':
+                this.#player.data.setMediaData(this.#getMediaData()).catch(() => {});
+                break;
+            case 'autoplay':
+                this.#player.setConfig({ media: { autoPlay: newValue !== null } });
+                break;
+            case 'muted':
+                this.#player.media.mute(newValue !== null);
+                break;
+            case 'loop':
+                this.#player.media.loop(newValue !== null);
+                break;
+            case 'config':
+            case 'lang':
+                this.#player.setConfig(this.#getConfig(), true);
+                break;
+        }
+
+    }
+
+    /**
+     * Re-dispatches a player event as DOM event on this element. Media events are dispatched using their native names (like `play` or `timeupdate`),
+     * all other events use their full topic as type (like `data/ready`). The payload of the event is available as `event.detail`.
+     * @param {any}    data   The payload of the player event.
+     * @param {string} topic  The full topic of the player event.
+     */
+    #onPlayerEvent = (data, topic) => {
+
+        const type = topic.replace(/^vip\/[^/]+\//, '').replace(/^media\//, '');
+        this.dispatchEvent(new CustomEvent(type, { detail: data }));
+
+    };
+
+    /**
+     * Creates the media data from the `src` and `poster` attributes.
+     * @returns {?(string|Object)} The media data, or `null` if there is no `src` attribute.
+     */
+    #getMediaData() {
+
+        const { src, poster } = this;
+
+        if (!src) return null;
+        if (!poster) return src;
+        return { src, overlays: [{ type: 'poster', src: poster }] };
+
+    }
+
+    /**
+     * Creates the player config from the `config` attribute and the other attributes related to configuration.
+     * @returns {Object} The player config.
+     */
+    #getConfig() {
+
+        let config = {};
+
+        try {
+            const parsed = JSON.parse(this.getAttribute('config') || '{}');
+            if (isObject(parsed)) config = parsed;
+        } catch {
+            console.error('[VisionPlayer] Invalid JSON in config attribute, ignoring.'); // eslint-disable-line no-console
+        }
+
+        // boolean attributes only enable options, so they do not override the config attribute if missing
+        const media = {};
+        if (this.autoplay) media.autoPlay = true;
+        if (this.hasAttribute('muted')) media.muted = true;
+        if (this.loop) media.loop = true;
+
+        if (Object.keys(media).length) config.media = extend(config.media, media);
+        if (this.lang) config.locale = extend(config.locale, { lang: this.lang });
+
+        return config;
+
+    }
+
+    /**
+     * Registers the custom element, using the provided Player class for creating instances. Does nothing if the element was already registered,
+     * or if custom elements are not supported (for example when rendering on the server).
+     * Registration is deferred to a microtask, so that builds extending this build can register their components before existing elements are upgraded.
+     * @param {module:src/core/Player} Player  The Player class, including all registered components.
+     */
+    static define(Player) {
+
+        if (typeof HTMLElement === 'undefined' || typeof customElements === 'undefined') return;
+
+        VisionPlayerElement.#Player = Player;
+
+        queueMicrotask(() => {
+            if (!customElements.get('vision-player')) customElements.define('vision-player', VisionPlayerElement);
+        });
+
+    }
+
+}
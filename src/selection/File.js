@@ -1,14 +1,17 @@
 import DomSmith from '../../lib/dom/DomSmith.js';
+import parsePlaylist from '../util/parsePlaylist.js';
 
 /**
  * The File component provides functionality to handle playing local media files.
  * Files can be selected via the standard file selector or by dragging & dropping.
  * It converts the selected files into binary blobs and passes them to the player where they can be played as usual.
  * If more than one file is selected, a corresponding playlist will be automatically generated.
+ * Playlist files (M3U, PLS and XSPF) are parsed and added to the playlist as well, entries referring to other selected files are played from those.
  * @exports module:src/selection/File
  * @requires lib/dom/DomSmith
+ * @requires src/util/parsePlaylist
  * @author   Frank Kudermann - alphanull
- * @version  1.0.0
+ * @version  1.1.0
  * @license  MIT
  */
 export default class File {
@@ -50,6 +53,12 @@ export default class File {
      */
     #blobs = [];
 
+    /**
+     * File extensions of playlists which are parsed instead of played.
+     * @type {string[]}
+     */
+    static #playlistExts = ['m3u', 'm3u8', 'pls', 'xspf'];
+
     /**
      * Creates an instance of the File component.
      * @param {module:src/core/Player}           player            Reference to the VisionPlayer instance.
@@ -90,7 +99,7 @@ export default class File {
                     type: 'file',
                     multiple: true,
                     ariaLabel: this.#player.locale.t('file.select'),
-                    accept: this.#config.fileSelectorAccept ? allowedExts.map(ext => `.${ext}`).join(',') : null,
+                    accept: this.#config.fileSelectorAccept ? [...new Set([...allowedExts, ...File.#playlistExts])].map(ext => `.${ext}`).join(',') : null,
                     change: this.#fileSelected
                 },
                 {
@@ -131,23 +140,29 @@ export default class File {
      * Handler for file selection via the file input or drag'n'drop event.
      * Creates an array of file objects with properties:
      * - title: File name.
-     * - ext: File extension.
      * - src: Blob URL created from the file.
-     * - type: MIME type of the file.
+     * - mimeType: MIME type of the file.
+     * Playlist files are parsed and their entries added instead, entries which refer to one of the selected files by name use the blob of that file.
      * Then sets the media data for the player by creating a playlist of the selcted files.
      * @param {Event} event  The change event from the file input.
      */
-    #fileSelected = event => {
+    #fileSelected = async event => {
 
         // remove old uploads first
         this.#blobs.forEach(url => URL.revokeObjectURL(url));
         this.#blobs = [];
 
-        const files = [];
+        const files = [],
+              playlistFiles = [],
+              blobsByName = {};
 
         for (const file of event.target.files) {
+
+            if (File.#playlistExts.includes(file.name.split('.').pop().toLowerCase())) playlistFiles.push(file);
+
             const url = URL.createObjectURL(file);
             this.#blobs.push(url);
+            blobsByName[file.name] = url;
             files.push({
                 title: file.name,
                 src: url,
@@ -155,9 +170,27 @@ export default class File {
             });
         }
 
+        const playlists = await Promise.all(playlistFiles.map(async file => ({
+            file,
+            playlist: parsePlaylist(await file.text(), { url: file.name, mimeType: file.type })
+        })));
+
+        const parsed = playlists.filter(({ playlist }) => playlist),
+              referenced = new Set(parsed.map(({ file }) => blobsByName[file.name]));
+
+        let media = parsed.flatMap(({ playlist }) => playlist.media.map(item => {
+            const name = File.#getFileName(item.src),
+                  src = blobsByName[name] ?? item.src;
+            referenced.add(src);
+            return { title: name, ...item, src };
+        }));
+
+        // add all remaining files which are not already part of a playlist
+        media = media.concat(files.filter(({ src }) => !referenced.has(src)));
+
         this.#player.data.setMediaData({
-            title: 'My File Upload',
-            media: files
+            title: parsed.length === 1 && parsed[0].playlist.title || 'My File Upload',
+            media
         }).catch(error => {
             if (error.name !== 'AbortError' && error.name !== 'DataError') throw error;
         });
@@ -256,6 +289,23 @@ export default class File {
 
     }
 
+    /**
+     * Extracts the (decoded) file name from a playlist entry, which may be an URL or a local path.
+     * @param   {string} src  The source of the playlist entry.
+     * @returns {string}      The file name.
+     */
+    static #getFileName(src) {
+
+        const name = src.split(/[?#]/)[0].split(/[/\\]/).pop();
+
+        try {
+            return decodeURIComponent(name);
+        } catch {
+            return name;
+        }
+
+    }
+
     /**
      * This method removes all events, subscriptions and DOM nodes created by this component.
      */
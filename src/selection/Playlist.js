@@ -1,4 +1,5 @@
 import DomSmith from '../../lib/dom/DomSmith.js';
+import { isObject, isString } from '../../lib/util/object.js';
 import Popup from '../util/PopupWrapper.js';
 
 const catcher = error => {
@@ -10,11 +11,15 @@ const catcher = error => {
  * It extends the player’s intrinsic ability to handle multiple media entries (see also the section describing the media format) by offering a user interface and additional functionality.
  * The component supports previous/next navigation and an optional popup menu listing all playlist items, including thumbnails and secondary titles — if available.
  * The Playlist menu also adds controls for looping, shuffling (with repetition avoidance), and continuous playback.
+ * With continuous playback, the next item is preloaded near the end of the current one, so that the switch happens without a noticeable gap.
+ * For audio playlists, a gapless mode can be enabled, in which the next item starts playing as soon as the current one ends,
+ * as well as crossfades between consecutive items, with the playlist switching to the next item at the midpoint of the crossfade.
  * @exports module:src/selection/Playlist
  * @requires lib/dom/DomSmith
+ * @requires lib/util/object
  * @requires lib/ui/Popup
  * @author   Frank Kudermann - alphanull
- * @version  1.0.1
+ * @version  1.3.0
  * @license  MIT
  */
 export default class Playlist {
@@ -22,13 +27,18 @@ export default class Playlist {
     /**
      * Holds the components' configuration options.
      * @type     {Object}
-     * @property {boolean} [loop=false]            Enables looping the playlist to the first item after reaching the last one.
-     * @property {boolean} [shuffle=false]         Randomizes playback order; avoids repetitions.
-     * @property {boolean} [continuous=true]       Enables automatic playback of the next item after media ends.
-     * @property {boolean} [showButtons=true]      Shows previous/next navigation buttons in the controller UI.
-     * @property {boolean} [showMenu=true]         Enables the playlist menu popup and displays the menu button in the controller.
-     * @property {boolean} [showMenuButtons=true]  Shows control buttons for playlist behavior (loop, shuffle, etc.) in the menu.
-     * @property {boolean} [showPoster=true]       Displays poster images for each media item in the playlist menu.
+     * @property {boolean} [loop=false]                   Enables looping the playlist to the first item after reaching the last one.
+     * @property {boolean} [shuffle=false]                Randomizes playback order; avoids repetitions.
+     * @property {boolean} [continuous=true]              Enables automatic playback of the next item after media ends.
+     * @property {boolean} [showButtons=true]             Shows previous/next navigation buttons in the controller UI.
+     * @property {boolean} [showMenu=true]                Enables the playlist menu popup and displays the menu button in the controller.
+     * @property {boolean} [showMenuButtons=true]         Shows control buttons for playlist behavior (loop, shuffle, etc.) in the menu.
+     * @property {boolean} [showPoster=true]              Displays poster images for each media item in the playlist menu.
+     * @property {boolean} [preload=true]                 Preloads the source, subtitles and images of the next item near the end of the current one (only with continuous playback, not in shuffle mode).
+     * @property {number}  [preloadTime=10]               Remaining time (in seconds) of the current item at which preloading the next item starts.
+     * @property {boolean} [gapless=false]                Starts the next item as soon as the current one ends (sample-accurate with AudioChain), if both items are audio items (only with continuous playback, not in shuffle mode).
+     * @property {number}  [crossfade=0]                  Duration (in seconds) of a crossfade between consecutive audio items, `0` disables crossfades. Requires the AudioChain component.
+     * @property {string}  [crossfadeCurve='equalPower']  The type of the fade curve, either 'linear', 'equalPower' or 'sCurve'.
      */
     #config = {
         loop: false,
@@ -37,7 +47,12 @@ export default class Playlist {
         showButtons: true,
         showMenu: true,
         showMenuButtons: true,
-        showPoster: true
+        showPoster: true,
+        preload: true,
+        preloadTime: 10,
+        gapless: false,
+        crossfade: 0,
+        crossfadeCurve: 'equalPower'
     };
 
     /**
@@ -101,6 +116,12 @@ export default class Playlist {
         currentMediaIndex: 0
     };
 
+    /**
+     * Index of the item which has been preloaded while playing the current item, or `-1` if nothing was preloaded yet.
+     * @type {number}
+     */
+    #preloadedIndex = -1;
+
     /**
      * Creates an instance of the Playlist component.
      * @param {module:src/core/Player}           player            Reference to the VisionPlayer instance.
@@ -110,7 +131,11 @@ export default class Playlist {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('playlist', this.#config);
+        this.#config = player.initConfig('playlist', this.#config, {
+            preloadTime: { min: 0 },
+            crossfade: { min: 0 },
+            crossfadeCurve: { enum: ['linear', 'equalPower', 'sCurve'] }
+        });
 
         if (!this.#config) return [false];
 
@@ -122,6 +147,7 @@ export default class Playlist {
             ['data/ready', this.#onDataReady],
             ['data/nomedia', () => { this.#buttons.wrapper.style.display = 'none'; }],
             ['media/ended', this.#onMediaEnded],
+            ['media/timeupdate', this.#onTimeUpdate],
             ['ui/resize', () => { this.#popup.layout(); }],
             ['ui/hide', () => { this.#popup.hide(null, { focus: false }); }]
         ].map(([event, handler]) => this.#player.subscribe(event, handler));
@@ -205,7 +231,8 @@ export default class Playlist {
               index = this.#data.currentMediaIndex,
               resolve = lang => (lang && typeof lang === 'object' ? lang[language] ?? Object.values(lang)[0] : lang),
               playlistTitle = resolve(this.#data.title) ?? this.#player.locale.t('playlist.playlist'),
-              playlistTitleSecondary = resolve(this.#data.titleSecondary) ?? null;
+              playlistTitleSecondary = resolve(this.#data.titleSecondary) ?? null,
+              hasResume = Boolean(this.#player.resume);
 
         let foundPoster;
 
@@ -287,6 +314,11 @@ export default class Playlist {
                             _tag: 'span',
                             className: 'vip-playlist-item-text',
                             _nodes: [titleSecondaryText]
+                        } : null,
+                        hasResume ? {
+                            _tag: 'span',
+                            className: 'vip-playlist-item-progress',
+                            _nodes: [{ _tag: 'span', className: 'vip-playlist-item-progress-bar' }]
                         } : null]
                     };
                 })
@@ -295,6 +327,8 @@ export default class Playlist {
 
         if (!foundPoster) this.#menu.menu.classList.add('has-no-poster');
 
+        this.#updateProgress();
+
         if (this.#config.shuffle && this.#shuffles.length === 0) requestAnimationFrame(() => this.#shuffle());
 
     };
@@ -305,6 +339,8 @@ export default class Playlist {
      */
     #onDataReady = () => {
 
+        this.#preloadedIndex = -1;
+
         if (this.#data.media.length < 2) return;
 
         const current = this.#player.data.getMediaData('index');
@@ -317,9 +353,28 @@ export default class Playlist {
 
         // update buttons
         this.#updatePrevNextButtons(current);
+        this.#updateProgress();
 
     };
 
+    /**
+     * Updates the progress indicators of all playlist items, based on the positions stored by the Resume component (if available).
+     */
+    #updateProgress() {
+
+        if (!this.#menu || !this.#player.resume) return;
+
+        Array.from(this.#menu.list.childNodes).forEach((el, index) => {
+            const { time, duration } = this.#player.resume.getPosition(this.#data.media[index]) ?? {},
+                  progress = time && duration ? Math.min(time / duration * 100, 100) : 0,
+                  bar = el.querySelector('.vip-playlist-item-progress-bar');
+
+            el.classList.toggle('has-progress', progress > 0);
+            if (bar) bar.style.width = `${progress}%`;
+        });
+
+    }
+
     /**
      * Updates the previous and next navigation buttons based on the current media index.
      * @param   {number} [current=this.#player.data.getMediaData("index")]  The current media index.
@@ -372,6 +427,7 @@ export default class Playlist {
      */
     #openPlaylist = event => {
 
+        this.#updateProgress();
         this.#popup.show(this.#popupContent, event, { parentElement: this.#player.dom.getElement(this.#apiKey) });
 
     };
@@ -459,6 +515,87 @@ export default class Playlist {
 
     };
 
+    /**
+     * Checks if the end of the current item is near, and if so, preloads the next item.
+     * @listens module:src/core/Media#media/timeupdate
+     */
+    #onTimeUpdate = () => {
+
+        const { preload, gapless, crossfade, preloadTime, continuous } = this.#config;
+
+        if (!preload && !gapless && !crossfade || !continuous || this.#preloadedIndex > -1) return;
+
+        const remainingTime = this.#player.getState('media.remainingTime');
+
+        // a crossfade starts earlier, so preloading has to start earlier as well
+        if (!(remainingTime <= preloadTime + crossfade) || this.#player.getState('media.loop') || this.#player.getState('media.liveStream')) return;
+
+        const index = this.#getNextIndex();
+        if (index > -1) this.#preloadItem(index);
+
+    };
+
+    /**
+     * Returns the index of the item which is played after the current one ends, using the same rules as `#onMediaEnded()`.
+     * @returns {number} The index of the next item, or `-1` if it cannot be determined in advance (as in shuffle mode) or if there is no next item.
+     */
+    #getNextIndex() {
+
+        const { media, currentMediaIndex } = this.#data;
+
+        if (this.#config.shuffle) return -1; // next item is chosen randomly when the current one ended
+        if (media.length > currentMediaIndex + 1) return currentMediaIndex + 1;
+        return this.#config.loop && media.length > 1 ? 0 : -1;
+
+    }
+
+    /**
+     * Warms up a media item, so it can be played almost instantly: its preferred source is preloaded by the Media component (or a streaming plugin),
+     * while subtitles, chapters, thumbnails and poster images are prefetched into the browser cache.
+     * If both the current and the next item are audio items, the source is preloaded for gapless playback or a crossfade (unless the current item disables crossfades).
+     * @param {number} index  The index of the item to preload.
+     */
+    #preloadItem(index) {
+
+        this.#preloadedIndex = index;
+
+        const mediaItem = this.#player.data.getMediaData(index);
+        if (!mediaItem) return;
+
+        const current = this.#player.data.getMediaData(),
+              metaData = this.#player.data.getPreferredMetaData({}, mediaItem),
+              { startTime, encoderDelay } = mediaItem,
+              isAudio = mediaItem.mediaType === 'audio' && current?.mediaType === 'audio',
+              gapless = isAudio && this.#config.gapless,
+              crossfade = isAudio && current.crossfade !== false ? this.#config.crossfade : 0;
+
+        if (metaData) {
+            this.#player.media.preload(metaData, gapless || crossfade ? { gapless, crossfade, curve: this.#config.crossfadeCurve, startTime, encoderDelay } : {});
+        }
+
+        const language = metaData?.language ?? this.#player.getConfig('locale.lang'),
+              localize = src => (isObject(src) ? src[language] ?? Object.values(src)[0] : src),
+              images = [
+                  mediaItem.poster,
+                  localize(mediaItem.thumbnails?.src),
+                  ...(mediaItem.overlays ?? []).filter(({ type }) => type === 'poster' || type === 'poster-end').map(({ src }) => src)
+              ],
+              files = [
+                  ...(mediaItem.text ?? []).map(({ src }) => ({ src, type: 'subtitles' })),
+                  { src: mediaItem.chapters, type: 'data' }
+              ];
+
+        images.filter(isString).forEach(src => {
+            const image = new Image();
+            image.src = src;
+        });
+
+        files.filter(({ src }) => isString(src)).forEach(({ src, type }) => {
+            this.#player.network.fetch(src, { type }).then(response => response.text()).catch(() => {});
+        });
+
+    }
+
     /**
      * This method removes all events, subscriptions and DOM nodes created by this component.
      */
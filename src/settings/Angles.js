@@ -0,0 +1,238 @@
+import Menu from '../util/Menu.js';
+import { isObject } from '../../lib/util/object.js';
+
+/**
+ * The Angles component provides a menu for switching between the camera angles of a media item, if its media data contains an `angles` section.
+ * Switching keeps the current position, the play state as well as the current language and quality. Optionally, each angle can display a thumbnail image in the menu,
+ * and the next angle can be preloaded in the background, so that switching to it is (almost) seamless.
+ * @exports module:src/settings/Angles
+ * @requires src/util/Menu
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class Angles {
+
+    /**
+     * Holds the configuration options for the Angles component.
+     * @type     {Object}
+     * @property {boolean} [showPlaceholder=false]  If enabled, display a 'not available' placeholder text if the media has no angles, otherwise completely hide the menu.
+     * @property {boolean} [showThumbnails=true]    If enabled, angles with a `thumbnail` display this image in the menu.
+     * @property {boolean} [preloadNext=false]      If enabled, the next angle is preloaded in the background. Only works with sources which can be played natively, not with streaming formats like HLS or DASH.
+     */
+    #config = {
+        showPlaceholder: false,
+        showThumbnails: true,
+        preloadNext: false
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * Reference to the angles menu.
+     * @type {module:src/util/Menu}
+     */
+    #menu;
+
+    /**
+     * The angles of the current media item.
+     * @type {module:src/core/Data~mediaItem_angle[]}
+     */
+    #angles = [];
+
+    /**
+     * The id of the currently active angle.
+     * @type {number|string}
+     */
+    #current;
+
+    /**
+     * Hidden media element used for preloading the next angle.
+     * @type {HTMLVideoElement}
+     */
+    #preloadEle;
+
+    /**
+     * Creates an instance of the Angles component.
+     * @param {module:src/core/Player} player            Reference to the media player instance.
+     * @param {module:src/ui/Popup}    parent            Reference to the parent instance (In this case the settings popup).
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        this.#config = player.initConfig('angles', this.#config);
+
+        if (!this.#config) return [false];
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+
+        this.#menu = new Menu(
+            this.#player,
+            {
+                target: parent.getElement('top'),
+                id: 'angles',
+                header: this.#player.locale.t('misc.angle'),
+                showPlaceholder: this.#config.showPlaceholder,
+                verticalMenuThreshold: 3,
+                selectMenuThreshold: 7,
+                onSelected: sel => { this.#select(this.#angles[sel].id); }
+            }
+        );
+
+        this.#subscriptions = [
+            ['data/ready', this.#onDataReady],
+            ['data/angle', this.#onAngle],
+            ['data/nomedia', this.#onDataReady],
+            ...this.#config.preloadNext ? [['media/ready', this.#preloadNext], ['media/seeked', this.#preloadNext]] : []
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+        this.#player.setState('angles.selected', { get: () => this.#current }, this.#apiKey);
+        this.#player.setApi('angles.select', this.#select, this.#apiKey);
+
+    }
+
+    /**
+     * Sets up the menu as soon as the media data is available.
+     * @param {module:src/core/Data~mediaItem} [mediaItem]  The current media item.
+     * @listens module:src/core/Data#data/ready
+     * @listens module:src/core/Data#data/nomedia
+     */
+    #onDataReady = ({ angles = [], currentAngle } = {}) => {
+
+        const lang = this.#player.getConfig('locale.lang');
+
+        this.#angles = angles;
+        this.#current = currentAngle;
+
+        this.#menu.create(angles.map(({ title, thumbnail }, index) => ({
+            label: (isObject(title) ? title[lang] ?? Object.values(title)[0] : title) || `${this.#player.locale.t('misc.angle')} ${index + 1}`,
+            image: this.#config.showThumbnails ? thumbnail : null
+        })));
+
+        this.#updateMenu();
+        this.#clearPreload();
+
+    };
+
+    /**
+     * Updates the menu when the angle was switched, either by this component or by using the `data.setAngle()` API.
+     * @param {module:src/core/Data~mediaItem_angle} angle  The new angle.
+     * @listens module:src/core/Data#data/angle
+     */
+    #onAngle = ({ id }) => {
+
+        this.#current = id;
+        this.#updateMenu();
+
+    };
+
+    /**
+     * Updates the angles menu to reflect the current angle.
+     */
+    #updateMenu() {
+
+        const selectedIndex = this.#angles.findIndex(angle => angle.id === this.#current);
+        if (selectedIndex > -1) this.#menu.setIndex(selectedIndex);
+
+    }
+
+    /**
+     * Selects an angle programmatically, just as if the user had chosen it from the menu.
+     * @param   {number|string} id  The id of the angle to select.
+     * @returns {boolean}           `true` if a new source is being loaded as a result, otherwise `false`.
+     */
+    #select = id => {
+
+        if (id === this.#current || !this.#angles.some(angle => angle.id === id)) return false;
+
+        this.#player.data.setAngle(id).catch(() => {}); // errors are already handled by the Data and Media components
+        return true;
+
+    };
+
+    /**
+     * Preloads the source of the next angle (that is, the angle following the current one) at the current position, using a hidden media element.
+     * @listens module:src/core/Media#media/ready
+     * @listens module:src/core/Media#media/seeked
+     */
+    #preloadNext = () => {
+
+        const index = this.#angles.findIndex(angle => angle.id === this.#current),
+              next = this.#angles.length > 1 ? this.#angles[(index + 1) % this.#angles.length] : null,
+              source = next && this.#player.data.getPreferredMetaData({}, next);
+
+        if (!source || source.drmSystem || !this.#getPreloadElement().canPlayType(source.mimeType ?? '')) {
+            this.#clearPreload();
+            return;
+        }
+
+        if (this.#preloadEle.getAttribute('src') !== source.src) this.#preloadEle.src = source.src;
+
+        try {
+            this.#preloadEle.currentTime = this.#player.getState('media.currentTime');
+        } catch {} // metadata not yet available, so the element just starts loading from the beginning
+
+    };
+
+    /**
+     * Returns the hidden element used for preloading, creating it if necessary.
+     * @returns {HTMLVideoElement} The preload element.
+     */
+    #getPreloadElement() {
+
+        if (!this.#preloadEle) {
+            this.#preloadEle = document.createElement('video');
+            this.#preloadEle.muted = true;
+            this.#preloadEle.preload = 'auto';
+        }
+
+        return this.#preloadEle;
+
+    }
+
+    /**
+     * Stops preloading and releases the resources of the preload element.
+     */
+    #clearPreload() {
+
+        if (!this.#preloadEle?.hasAttribute('src')) return;
+        this.#preloadEle.removeAttribute('src');
+        this.#preloadEle.load();
+
+    }
+
+    /**
+     * This method removes all events, subscriptions and DOM nodes created by this component.
+     */
+    destroy() {
+
+        this.#clearPreload();
+        this.#menu.destroy();
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeState('angles.selected', this.#apiKey);
+        this.#player.removeApi('angles.select', this.#apiKey);
+        this.#player = this.#menu = this.#preloadEle = this.#apiKey = null;
+
+    }
+
+}
@@ -1,4 +1,5 @@
 import DomSmith from '../../lib/dom/DomSmith.js';
+import { isArray, isNumber } from '../../lib/util/object.js';
 
 /**
  * The AudioControls component provides an equalizer for adjusting multiple frequency bands of the audio output.
@@ -6,6 +7,7 @@ import DomSmith from '../../lib/dom/DomSmith.js';
  * This component is part of the player’s extended audio feature set and attaches its UI to the 'controls' popup component.
  * @exports module:src/settings/AudioControls
  * @requires lib/dom/DomSmith
+ * @requires lib/util/object
  * @author   Frank Kudermann - alphanull
  * @version  1.0.0
  * @license  MIT
@@ -34,6 +36,12 @@ export default class AudioControls {
      */
     #apiKey;
 
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
     /**
      * Reference to the DomSmith instance. Displays UI elements for the equalizer.
      * @type {module:lib/dom/DomSmith}
@@ -198,6 +206,11 @@ export default class AudioControls {
         this.#player.audio.addNode(this.#input, this.#output, 10, this.#apiKey); // Register to the player's audio manager
         this.#applySettings(); // Initial Render
 
+        this.#subscriptions = [this.#player.subscribe('preferences/ready', this.#onPreferencesReady)];
+
+        this.#player.setState('audioControls.bands', { get: () => this.#config.bands.slice() }, this.#apiKey);
+        this.#player.setApi('audioControls.setBands', this.#setBands, this.#apiKey);
+
     }
 
     /**
@@ -352,6 +365,7 @@ export default class AudioControls {
 
             if (this.#config.bands[ref] === value) return; // Skip if no change
             this.#config.bands[ref] = value;
+            this.#player.preferences?.set('audioControls', this.#config.bands);
         }
 
         // Adjust individual band gains
@@ -406,6 +420,38 @@ export default class AudioControls {
         });
 
         this.#applySettings();
+        this.#player.preferences?.set('audioControls', this.#config.bands);
+
+    };
+
+    /**
+     * Sets all equalizer bands at once and updates the UI accordingly.
+     * The values are ignored if the number of bands does not match the current configuration, or if any value lies outside the `0..2` range.
+     * @param   {number[]} bands  The new band values, from low to high frequencies.
+     * @returns {boolean}         `true` if the values were applied, otherwise `false`.
+     */
+    #setBands = bands => {
+
+        if (!isArray(bands) || bands.length !== this.#config.bands.length || !bands.every(v => isNumber(v) && v >= 0 && v <= 2)) return false;
+
+        bands.forEach((value, index) => {
+            this.#dom[`band-${index}`].value = this.#config.bands[index] = value;
+        });
+
+        this.#applySettings();
+        return true;
+
+    };
+
+    /**
+     * Applies the band values stored in the user preferences.
+     * @param {Object}   preferences                  The stored preferences.
+     * @param {number[]} [preferences.audioControls]  The stored band values.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ audioControls }) => {
+
+        this.#setBands(audioControls);
 
     };
 
@@ -448,7 +494,9 @@ export default class AudioControls {
         this.#dom.destroy();
         this.#player.audio.removeNode(this.#input, this.#output, this.#apiKey);
         this.#disconnectAudio();
-        this.#player.unsubscribe(this.subscriptions);
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeState('audioControls.bands', this.#apiKey);
+        this.#player.removeApi('audioControls.setBands', this.#apiKey);
         this.#player = this.#dom = this.#audioCtx = this.#apiKey = null;
 
     }
@@ -101,12 +101,16 @@ export default class Language {
         this.#subscriptions = [
             ['data/source', this.#onDataSource],
             ['data/ready', this.#onDataReady],
+            ['data/angle', this.#onDataReady],
             ['data/nomedia', () => { this.#menu.create([]); }],
             ['media/ready', this.#updateMenu],
             ['language/active', this.#updateMenu],
             ['language/update', this.#onLanguageUpdate]
         ].map(([event, handler]) => this.#player.subscribe(event, handler));
 
+        this.#player.setState('language.selected', { get: () => ({ language: this.#current.language, langId: this.#current.langId }) }, this.#apiKey);
+        this.#player.setApi('language.select', this.#select, this.#apiKey);
+
     }
 
     /**
@@ -125,6 +129,7 @@ export default class Language {
      * @param {Object} mediaData           The data object containing media variants.
      * @param {Array}  mediaData.variants  Array of variants.
      * @listens module:src/core/Data#data/ready
+     * @listens module:src/core/Data#data/angle
      */
     #onDataReady = ({ variants }) => {
 
@@ -200,9 +205,26 @@ export default class Language {
 
     };
 
+    /**
+     * Selects a language programmatically, just as if the user had chosen it from the menu.
+     * @param   {string}        language  The language code to select.
+     * @param   {number|string} [langId]  The id of the language track, only needed for streams which provide multiple tracks with the same language.
+     * @returns {boolean}                 `true` if a new source is being loaded as a result, otherwise `false`.
+     */
+    #select = (language, langId) => {
+
+        const index = this.#languages.findIndex(lang => (typeof lang.langId === 'undefined' || typeof langId === 'undefined' ? lang.value === language : lang.langId === langId));
+        if (index === -1) return false;
+
+        this.#menu.setIndex(index);
+        return this.#toggleLanguage(this.#languages[index]);
+
+    };
+
     /**
      * Handler called when the user changes language in the menu.
-     * @param {module:src/settings/Language~langObj} langObj  The language code to set.
+     * @param   {module:src/settings/Language~langObj} langObj  The language code to set.
+     * @returns {boolean}                                       `true` if a new source is being loaded, otherwise `false`.
      * @fires  module:src/settings/Language#language/selected
      * @fires  module:src/settings/Quality#quality/language/refresh
      */
@@ -210,11 +232,11 @@ export default class Language {
 
         const { value, langId } = langObj;
 
-        if (value === this.#current.language && langId === this.#current.langId) return;
+        if (value === this.#current.language && langId === this.#current.langId) return false;
 
         this.#player.publish('language/selected', langObj, this.#apiKey);
 
-        if (this.#isExternalUpdate) return;
+        if (this.#isExternalUpdate) return false;
 
         this.#player.publish('quality/language/refresh', langObj, this.#apiKey);
 
@@ -225,6 +247,7 @@ export default class Language {
 
         this.#player.setConfig({ data: { preferredLanguage: value } });
         this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true, play: !this.#player.getState('media.paused') });
+        return true;
 
     }
 
@@ -235,6 +258,8 @@ export default class Language {
 
         this.#menu.destroy();
         this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeState('language.selected', this.#apiKey);
+        this.#player.removeApi('language.select', this.#apiKey);
         this.#player = this.#parent = this.#menu = this.#apiKey = null;
 
     }
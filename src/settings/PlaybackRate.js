@@ -46,7 +46,9 @@ export default class PlaybackRate {
      */
     constructor(player, parent) {
 
-        this.#config = player.initConfig('playbackRate', this.#config);
+        this.#config = player.initConfig('playbackRate', this.#config, {
+            speed: { min: 0 }
+        });
 
         if (!this.#config || !this.#config.allowedValues.includes(this.#config.speed)) return [false];
 
@@ -78,8 +80,8 @@ export default class PlaybackRate {
                         value: this.#config.opacity,
                         ariaLabel: this.#player.locale.t('misc.playbackrate'),
                         className: 'has-center-line',
-                        change: ({ target }) => { this.#toggleSpeed(this.#config.allowedValues[target.value]); },
-                        input: ({ target }) => { this.#toggleSpeed(this.#config.allowedValues[target.value]); }
+                        change: this.#onSliderInput,
+                        input: this.#onSliderInput
                     }
                 ]
             }]
@@ -88,6 +90,7 @@ export default class PlaybackRate {
         this.#subscriptions = [
             ['media/ready', this.#onMediaReady],
             ['media/ratechange', this.#onRateChange],
+            ['preferences/ready', this.#onPreferencesReady],
             ['data/nomedia', this.#disable],
             ['media/error', this.#disable],
             ['media/canplay', this.#enable]
@@ -112,6 +115,33 @@ export default class PlaybackRate {
 
     };
 
+    /**
+     * Applies the playback rate stored in the user preferences, but only if it is one of the allowed values.
+     * @param {Object} preferences                 The stored preferences.
+     * @param {number} [preferences.playbackRate]  The stored playback rate.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ playbackRate }) => {
+
+        if (!this.#config.allowedValues.includes(playbackRate)) return;
+
+        this.#config.speed = playbackRate;
+        if (this.#player.getState('media.readyState') > 0) this.#onMediaReady();
+
+    };
+
+    /**
+     * Handles user input on the speed slider and stores the new speed in the user preferences.
+     * @param {Event}            event         The input or change event.
+     * @param {HTMLInputElement} event.target  The slider element.
+     */
+    #onSliderInput = ({ target }) => {
+
+        this.#toggleSpeed(this.#config.allowedValues[target.value]);
+        this.#player.preferences?.set('playbackRate', this.#config.speed);
+
+    };
+
     /**
      * Changes playback speed.
      * @param {number} value  The desired speed (1 is normal speed).
@@ -1,13 +1,16 @@
 import Menu from '../util/Menu.js';
+import BandwidthEstimator from '../util/BandwidthEstimator.js';
 
 /**
  * The Quality component provides a UI for changing video quality, either automatically or manually through a menu in the settings popup.
  * If multiple resolutions are available, it can adapt the stream to display size changes and downgrade quality automatically when stalling occurs.
  * It also reacts to language-based quality updates and supports advanced adaptive streaming logic.
+ * For progressive sources, the download throughput is estimated, so that the starting quality fits the connection and the quality can be switched proactively.
  * @exports module:src/settings/Quality
  * @requires src/util/Menu
+ * @requires src/util/BandwidthEstimator
  * @author Frank Kudermann - alphanull
- * @version 1.0.0
+ * @version 1.1.0
  * @license MIT
  */
 export default class Quality {
@@ -19,6 +22,13 @@ export default class Quality {
      * @property {boolean} [downgradeIfStalled=true]  If `true`, automatically downgrade quality after a stalling delay.
      * @property {number}  [downgradeDelay=10]        Time in seconds to wait before lowering quality after a stall.
      * @property {number}  [resizeDelay=2]            Time in seconds to delay resize-based quality logic, so resizes do not immediately affect quality selection.
+     * @property {boolean} [adaptToBandwidth=true]    If `true`, estimate the bandwidth and use it, together with the `bitRate` of each representation, to select the quality in auto mode.
+     * @property {number}  [bandwidthFactor=0.8]      Fraction of the estimated bandwidth the `bitRate` of a representation may use.
+     * @property {number}  [bandwidthDelay=5]         Minimum time in seconds between two bandwidth based quality switches.
+     * @property {number}  [bandwidthUpMargin=0.2]    Upgrades only happen if the usable bandwidth exceeds the `bitRate` of the better representation by at least this fraction.
+     * @property {number}  [bandwidthDownMargin=0.1]  Downgrades only happen if the `bitRate` of the current representation exceeds the usable bandwidth by more than this fraction.
+     * @property {number}  [bandwidthHold=15]         Time in seconds the estimate has to allow an upgrade continuously (without stalling) before the quality is actually upgraded.
+     * @property {boolean} [persistBandwidth=false]   If `true`, the estimate is persisted using the `storage` of the Preferences component, so it is remembered across loads. Otherwise, it is only kept in memory.
      * @property {boolean} [showPlaceholder=false]    If enabled, display a 'not available' placeholder if no qualities are available, otherwise completely hide the menu.
      */
     #config = {
@@ -27,6 +37,13 @@ export default class Quality {
         downgradeIfStalled: true,
         downgradeDelay: 10,
         resizeDelay: 2,
+        adaptToBandwidth: true,
+        bandwidthFactor: 0.8,
+        bandwidthDelay: 5,
+        bandwidthUpMargin: 0.2,
+        bandwidthDownMargin: 0.1,
+        bandwidthHold: 15,
+        persistBandwidth: false,
         showPlaceholder: false
     };
 
@@ -98,6 +115,24 @@ export default class Quality {
      */
     #resizeId = -1;
 
+    /**
+     * Estimates the available bandwidth, if `adaptToBandwidth` is enabled.
+     * @type {module:src/util/BandwidthEstimator|undefined}
+     */
+    #estimator;
+
+    /**
+     * Timestamp of the last bandwidth based quality switch (or stall based downgrade).
+     * @type {number}
+     */
+    #bandwidthSwitch = 0;
+
+    /**
+     * Timestamp since when the estimate continuously allows an upgrade, or `0` if it does not.
+     * @type {number}
+     */
+    #upgradeSince = 0;
+
     /**
      * Creates an instance of the Quality component.
      * @param {module:src/core/Player} player            Reference to the media player instance.
@@ -107,7 +142,15 @@ export default class Quality {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('quality', this.#config);
+        this.#config = player.initConfig('quality', this.#config, {
+            downgradeDelay: { min: 0 },
+            resizeDelay: { min: 0 },
+            bandwidthFactor: { min: 0, max: 1 },
+            bandwidthDelay: { min: 0 },
+            bandwidthUpMargin: { min: 0 },
+            bandwidthDownMargin: { min: 0 },
+            bandwidthHold: { min: 0 }
+        });
 
         if (!this.#config) return [false];
 
@@ -133,6 +176,7 @@ export default class Quality {
         this.#subscriptions = [
             ['data/source', this.#onDataSource],
             ['data/ready', this.#onDataReady],
+            ['data/angle', this.#onDataReady],
             ['data/nomedia', () => { this.#menu.create([]); }],
             ['media/ready', this.#updateMenu],
             ['quality/active', this.#updateMenu],
@@ -143,6 +187,16 @@ export default class Quality {
             ['media/stall/end', this.#onStallEnd]
         ].map(([event, handler]) => this.#player.subscribe(event, handler));
 
+        this.#player.setState('quality.selected', { get: () => this.#current }, this.#apiKey);
+        this.#player.setApi('quality.select', this.#select, this.#apiKey);
+
+        if (this.#config.adaptToBandwidth) {
+            const storage = this.#config.persistBandwidth ? this.#player.getConfig('preferences.storage') : null;
+            this.#estimator = new BandwidthEstimator(player, this.#onBandwidth, storage);
+            this.#player.setState('quality.bandwidth', { get: () => this.#estimator.getEstimate() }, this.#apiKey);
+            this.#player.setState('quality.maxBitRate', { get: this.#getMaxBitRate }, this.#apiKey);
+        }
+
     }
 
     /**
@@ -157,10 +211,11 @@ export default class Quality {
     };
 
     /**
-     * Called when player data is ready, or when a "quality/language/refresh" event arrives.
+     * Called when player data is ready or the angle was switched, or when a "quality/language/refresh" event arrives.
      * Collects the available quality levels from the stream data and sets up the menu.
      * @param {module:src/core/Data~mediaItem} mediaItem  Object containing media info.
      * @listens module:src/core/Data#data/ready
+     * @listens module:src/core/Data#data/angle
      * @listens module:src/settings/Quality#quality/language/refresh
      */
     #onDataReady = mediaItem => {
@@ -237,29 +292,50 @@ export default class Quality {
 
     };
 
+    /**
+     * Selects a quality programmatically, just as if the user had chosen it from the menu.
+     * @param   {?number|string} quality  The quality to select, or `null` for "auto".
+     * @returns {boolean}                 `true` if a new source is being loaded as a result, otherwise `false`.
+     */
+    #select = quality => {
+
+        const index = this.#qualities.findIndex(q => q.value === quality);
+        if (index === -1) return false;
+
+        const isLoading = this.#toggleQuality(this.#qualities[index]);
+        this.#current = quality;
+        this.#menu.setIndex(index);
+        return isLoading;
+
+    };
+
     /**
      * Switches to a new quality if it differs from the current.
      * Publishes "quality/selected" and tries to switch streams if needed.
-     * @param {number|string} quality  The chosen quality value.
+     * @param   {number|string} quality  The chosen quality value.
+     * @returns {boolean}                `true` if a new source is being loaded, otherwise `false`.
      * @fires module:src/settings/Quality#quality/selected
      */
     #toggleQuality(quality) {
 
         this.#currentSource = this.#player.media.getMetaData();
 
-        if (quality.value === this.#currentSource.quality) return;
+        if (quality.value === this.#currentSource.quality) return false;
 
         this.#current = quality.value;
         this.#player.publish('quality/selected', { quality: quality.value }, this.#apiKey);
 
-        if (this.#isExternalUpdate) return;
+        if (this.#isExternalUpdate) return false;
 
         const result = this.#player.data.getPreferredMetaData({ preferredQuality: quality.value });
         if (!result) this.#player.data.error('[Quality] Did not find quality in stream Data');
 
         this.#player.setConfig({ media: { preferredQuality: result.quality } });
 
-        if (result.src !== this.#currentSource.src) this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true });
+        if (result.src === this.#currentSource.src) return false;
+
+        this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true });
+        return true;
 
     }
 
@@ -297,12 +373,72 @@ export default class Quality {
 
     };
 
+    /**
+     * Returns the maximum bit rate a representation should have to be played without stalling, based on the estimated bandwidth.
+     * Used by the Data component when selecting a representation in auto mode.
+     * @returns {number} The maximum bit rate in bits per second, or `0` if there is no limit (no estimate yet, or a quality was selected manually).
+     */
+    #getMaxBitRate = () => {
+
+        const bandwidth = this.#estimator.getEstimate();
+        return this.#current === null && bandwidth ? Math.round(bandwidth * this.#config.bandwidthFactor) : 0;
+
+    };
+
+    /**
+     * Called when the bandwidth estimate was updated. In auto mode, checks whether another representation fits the bandwidth better,
+     * so the quality is upgraded or downgraded proactively. This only applies to progressive sources with a known `bitRate`.
+     * To avoid switching back and forth, the estimate has to pass the `bandwidthUpMargin` or `bandwidthDownMargin`, upgrades only happen
+     * after the estimate allowed them for `bandwidthHold` seconds, and there are at least `bandwidthDelay` seconds between two switches.
+     * @param {number} bandwidth  The new estimate in bits per second.
+     * @fires module:src/settings/Quality#quality/bandwidth
+     */
+    #onBandwidth = bandwidth => {
+
+        this.#player.publish('quality/bandwidth', { bandwidth }, this.#apiKey);
+
+        if (this.#current !== null || this.#isExternalUpdate || !this.#currentSource?.bitRate) return;
+
+        const { bandwidthFactor, bandwidthUpMargin, bandwidthDownMargin, bandwidthHold, bandwidthDelay } = this.#config,
+              usable = bandwidth * bandwidthFactor,
+              { bitRate } = this.#currentSource,
+              result = this.#player.data.getPreferredMetaData({ preferredQuality: null }),
+              now = Date.now();
+
+        if (!result?.bitRate || result.src === this.#currentSource.src) {
+            this.#upgradeSince = 0;
+            return;
+        }
+
+        if (result.bitRate > bitRate) {
+            if (result.bitRate * (1 + bandwidthUpMargin) > usable) {
+                this.#upgradeSince = 0;
+                return;
+            }
+            if (!this.#upgradeSince) this.#upgradeSince = now;
+            if (now - this.#upgradeSince < bandwidthHold * 1000) return;
+        } else {
+            this.#upgradeSince = 0;
+            if (bitRate <= usable * (1 + bandwidthDownMargin)) return;
+        }
+
+        if (now - this.#bandwidthSwitch < bandwidthDelay * 1000) return;
+
+        this.#bandwidthSwitch = now;
+        this.#upgradeSince = 0;
+        this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true });
+
+    };
+
     /**
      * Called when stalling begins. If configured, schedules a possible quality downgrade after a delay.
+     * Also restarts the time the estimate has to allow an upgrade, so that an upgrade does not revert the downgrade right away.
      * @listens module:src/core/Media#media/stall/begin
      */
     #onStallBegin = () => {
 
+        this.#upgradeSince = 0;
+
         if (!this.#config.downgradeIfStalled) return;
 
         const stallIntervalEnd = () => {
@@ -310,7 +446,10 @@ export default class Quality {
             const downgrade = this.#qualities.sort((a, b) => b - a).find(q => q < this.#currentSource.quality);
             if (downgrade) {
                 const result = this.#player.data.getPreferredMetaData({ preferredQuality: downgrade });
-                if (result.src !== this.#currentSource.src) this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true });
+                if (result.src !== this.#currentSource.src) {
+                    this.#bandwidthSwitch = Date.now();
+                    this.#player.media.load(result, { rememberState: true, ignoreAutoplay: true });
+                }
             }
         };
 
@@ -320,12 +459,13 @@ export default class Quality {
     };
 
     /**
-     * Called when stalling ends, canceling any queued downgrade.
+     * Called when stalling ends, canceling any queued downgrade and restarting the time the estimate has to allow an upgrade.
      * @listens module:src/core/Media#media/stall/end
      */
     #onStallEnd = () => {
 
         clearTimeout(this.#stallId);
+        this.#upgradeSince = 0;
 
     };
 
@@ -336,9 +476,13 @@ export default class Quality {
 
         clearTimeout(this.#resizeId);
         clearTimeout(this.#stallId);
+        this.#estimator?.destroy();
         this.#menu.destroy();
         this.#player.unsubscribe(this.#subscriptions);
-        this.#player = this.#parent = this.#menu = this.#apiKey = null;
+        this.#player.removeState('quality.selected', this.#apiKey);
+        if (this.#estimator) this.#player.removeState(['quality.bandwidth', 'quality.maxBitRate'], this.#apiKey);
+        this.#player.removeApi('quality.select', this.#apiKey);
+        this.#player = this.#parent = this.#menu = this.#estimator = this.#apiKey = null;
 
     }
 
@@ -372,6 +516,13 @@ export default class Quality {
  * @param {string|number} quality      The newly selected quality.
  */
 
+/**
+ * Fired when the bandwidth estimate was updated.
+ * @event  module:src/settings/Quality#quality/bandwidth
+ * @param {Object} info            The bandwidth information.
+ * @param {number} info.bandwidth  The estimated bandwidth in bits per second.
+ */
+
 /**
  * Fired when the component performs a resize-based logic, providing updated width/height info.
  * @event  module:src/settings/Quality#quality/resize
@@ -1,4 +1,5 @@
 import { convertRange } from '../../lib/util/math.js';
+import { isObject, isNumber } from '../../lib/util/object.js';
 import DomSmith from '../../lib/dom/DomSmith.js';
 
 /**
@@ -9,6 +10,7 @@ import DomSmith from '../../lib/dom/DomSmith.js';
  * @exports module:src/settings/VideoControls
  * @requires lib/dom/DomSmith
  * @requires lib/util/math
+ * @requires lib/util/object
  * @author   Frank Kudermann - alphanull
  * @version  1.0.0
  * @license  MIT
@@ -82,7 +84,13 @@ export default class VideoControls {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('videoControls', this.#config);
+        this.#config = player.initConfig('videoControls', this.#config, {
+            brightness: { min: 0, max: 2 },
+            contrast: { min: 0, max: 2 },
+            sharpen: { min: 0, max: 2 },
+            saturate: { min: 0, max: 2 },
+            hue: { min: 0, max: 2 }
+        });
 
         if (!this.#config) return [false];
 
@@ -169,7 +177,13 @@ export default class VideoControls {
             }]
         }, this.#player.dom.getElement(apiKey));
 
-        this.#subscriptions = [this.#player.subscribe('media/ready', this.#onMediaReady)];
+        this.#subscriptions = [
+            ['media/ready', this.#onMediaReady],
+            ['preferences/ready', this.#onPreferencesReady]
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+        this.#player.setState('videoControls.values', { get: () => ({ ...this.#controls }) }, this.#apiKey);
+        this.#player.setApi('videoControls.setValues', this.#setValues, this.#apiKey);
 
     }
 
@@ -203,6 +217,7 @@ export default class VideoControls {
             const value = Number(target.value),
                   ref = target.getAttribute('data-ref');
             this.#controls[ref] = value;
+            this.#player.preferences?.set('videoControls', this.#controls);
         }
 
         const controls = Object.entries(this.#controls);
@@ -250,10 +265,40 @@ export default class VideoControls {
     #resetFilter = () => {
 
         Object.entries(this.#controls).forEach(([name]) => {
-            this.#dom[name].value = this.#controls[name] = this.#dom[name].defaultValue;
+            this.#dom[name].value = this.#controls[name] = Number(this.#dom[name].defaultValue);
         });
 
         this.#updateFilter();
+        this.#player.preferences?.set('videoControls', this.#controls);
+
+    };
+
+    /**
+     * Sets one or more picture controls and updates the UI and the filter accordingly. Unknown controls or values outside the `0..2` range are ignored.
+     * @param {Object<string, number>} values  Object with control names as keys, for example `{ brightness: 1.2, contrast: 0.8 }`.
+     */
+    #setValues = values => {
+
+        if (!isObject(values)) return;
+
+        Object.entries(values).forEach(([name, value]) => {
+            if (!Object.hasOwn(this.#controls, name) || !isNumber(value) || value < 0 || value > 2) return;
+            this.#dom[name].value = this.#controls[name] = value;
+        });
+
+        if (this.#player.getState('media.readyState') > 0) this.#updateFilter();
+
+    };
+
+    /**
+     * Applies the control values stored in the user preferences.
+     * @param {Object}                 preferences                  The stored preferences.
+     * @param {Object<string, number>} [preferences.videoControls]  The stored control values.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ videoControls }) => {
+
+        this.#setValues(videoControls);
 
     };
 
@@ -306,6 +351,8 @@ export default class VideoControls {
         this.#dom.destroy();
         this.#svg.destroy();
         this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeState('videoControls.values', this.#apiKey);
+        this.#player.removeApi('videoControls.setValues', this.#apiKey);
         this.#player = this.#dom = this.#svg = this.#apiKey = null;
 
     }
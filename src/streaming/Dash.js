@@ -1,3 +1,4 @@
+import { isFunction } from '../../lib/util/object.js';
 import ExtendedMediaError from '../util/ExtendedMediaError.js';
 
 let DashJs = window.dashjs,
@@ -6,10 +7,12 @@ let DashJs = window.dashjs,
 /**
  * The Dash component integrates dash.js into the player's plugin architecture, allowing DASH streaming with optional DRM (Widevine/PlayReady).
  * Supports Subtitles, Quality and Language selection.
+ * Sources can also be preloaded, in which case a dash.js instance starts loading in advance, and is attached to the media element once the source is loaded.
  * @exports module:src/streaming/Dash
+ * @requires lib/util/object
  * @requires src/util/ExtendedMediaError
  * @author Frank Kudermann - alphanull
- * @version 1.0.0
+ * @version 1.1.0
  * @license MIT
  */
 export default class Dash {
@@ -65,6 +68,14 @@ export default class Dash {
      */
     #dash;
 
+    /**
+     * A dash.js instance prepared by `preload()`, which has already started loading the next source.
+     * @type     {Object|null}
+     * @property {string}      src   The preloaded source.
+     * @property {Object}      dash  The prepared dash.js instance.
+     */
+    #preloaded = null;
+
     /**
      * Holds currently available audio and video tracks.
      * @type {Object}
@@ -89,6 +100,13 @@ export default class Dash {
      */
     #loadDashPromise;
 
+    /**
+     * Requests prepared by the request interceptors of the player, with the resulting url as key. Only used with dash.js 4,
+     * where url and headers are modified in two separate steps.
+     * @type {Map<string, module:src/core/Network~request>}
+     */
+    #preparedRequests = new Map();
+
     /**
      * Creates an instance of the Dash plugin.
      * @param {module:src/core/Player} player          Reference to the player instance.
@@ -97,7 +115,9 @@ export default class Dash {
      */
     constructor(player, mediaComponent, { apiKey }) {
 
-        this.#config = player.initConfig('dash', this.#config);
+        this.#config = player.initConfig('dash', this.#config, {
+            debug: { type: ['boolean', 'object'] }
+        });
 
         if (!this.#config) return [false];
 
@@ -161,26 +181,20 @@ export default class Dash {
             dash5 = DashJs?.Version.startsWith('5.');
         }
 
-        this.#dash = DashJs.MediaPlayer().create();
+        const { drm } = this.#player.data.getMediaData(),
+              autoPlay = this.#player.getConfig('media.autoPlay'),
+              preloaded = this.#preloaded?.src === src && !drm ? this.#preloaded.dash : null;
 
-        this.#dash.updateSettings({
-            streaming: {
-                abr: {
-                    autoSwitchBitrate: { audio: true, video: true },
-                    limitBitrateByPortal: true,
-                    usePixelRatioInLimitBitrateByPortal: true
-                },
-                text: {
-                    defaultEnabled: true,
-                    dispatchForManualRendering: true
-                },
-                buffer: {
-                    fastSwitchEnabled: true
-                }
-            }
-        });
+        if (preloaded) this.#preloaded = null; else this.#discardPreload();
 
-        this.#dash.initialize(this.#player.media.getElement(this.#apiKey), src, this.#player.getConfig('media.autoPlay'));
+        if (preloaded) {
+            this.#dash = preloaded;
+            this.#dash.setAutoPlay(autoPlay);
+            this.#dash.attachView(this.#player.media.getElement(this.#apiKey));
+        } else {
+            this.#dash = this.#createDash();
+            this.#dash.initialize(this.#player.media.getElement(this.#apiKey), src, autoPlay);
+        }
 
         if (this.#config.debug === true || this.#config.debug?.enabled) {
             // If debug is enabled, attach all dash events for logging
@@ -200,8 +214,6 @@ export default class Dash {
             }
         }
 
-        const { drm } = this.#player.data.getMediaData();
-
         if (DashJs.Protection && drm && (drm.Widevine || drm.PlayReady)) {
 
             this.#dash.on(DashJs.Protection.events.INTERNAL_KEY_STATUS_CHANGED, this.#onDrmKeyStatus);
@@ -241,6 +253,127 @@ export default class Dash {
 
     }
 
+    /**
+     * Prepares a dash.js instance for a source which is about to be played. The manifest (and, where supported by dash.js, the first segments) are loaded
+     * without a media element, which is attached as soon as the source is actually loaded. Sources with DRM are not preloaded.
+     * @param   {module:src/core/Media~metaData} metaData      The source to preload.
+     * @param   {string}                         metaData.src  The DASH URL to preload.
+     * @returns {Promise}                                      A promise which resolves when the instance was prepared.
+     */
+    async preload({ src }) {
+
+        if (!DashJs) {
+            await this.#loadDashJs();
+            if (!DashJs) DashJs = window.dashjs;
+            dash5 = DashJs?.Version.startsWith('5.');
+        }
+
+        if (!this.#player || this.#preloaded?.src === src) return; // destroyed or already preloaded in the meantime
+
+        this.#discardPreload();
+
+        const dash = this.#createDash();
+        dash.initialize(null, src, false);
+        if (isFunction(dash.preload)) dash.preload();
+        this.#preloaded = { src, dash };
+
+    }
+
+    /**
+     * Destroys the preloaded dash.js instance (if any).
+     */
+    #discardPreload() {
+
+        this.#preloaded?.dash.destroy();
+        this.#preloaded = null;
+
+    }
+
+    /**
+     * Creates and configures a new dash.js instance, including the request interceptors of the player.
+     * @returns {Object} The dash.js MediaPlayer instance.
+     */
+    #createDash() {
+
+        const dash = DashJs.MediaPlayer().create();
+
+        // apply request interceptors of the player, dash.js 5 supports async interceptors, while earlier versions only allow synchronous request modifiers
+        if (isFunction(dash.addRequestInterceptor)) dash.addRequestInterceptor(this.#onDashRequest);
+        else dash.extend('RequestModifier', () => ({ modifyRequestURL: this.#modifyRequestUrl, modifyRequestHeader: this.#modifyRequestHeader }), true);
+
+        dash.updateSettings({
+            streaming: {
+                abr: {
+                    autoSwitchBitrate: { audio: true, video: true },
+                    limitBitrateByPortal: true,
+                    usePixelRatioInLimitBitrateByPortal: true
+                },
+                text: {
+                    defaultEnabled: true,
+                    dispatchForManualRendering: true
+                },
+                buffer: {
+                    fastSwitchEnabled: true
+                }
+            }
+        });
+
+        return dash;
+
+    }
+
+    /**
+     * Request interceptor for dash.js 5, applies the request interceptors of the player.
+     * @param   {Object}          request  The request object of dash.js.
+     * @returns {Promise<Object>}          A promise resolving with the modified request.
+     */
+    #onDashRequest = async request => {
+
+        const { url, method, headers, credentials } = await this.#player.network.prepare({
+            url: request.url,
+            type: 'stream',
+            method: request.method,
+            headers: request.headers,
+            credentials: request.credentials
+        });
+
+        return Object.assign(request, { url, method, headers, credentials });
+
+    };
+
+    /**
+     * Request modifier for dash.js 4, applies the (synchronous) request interceptors of the player and returns the modified url.
+     * The prepared request is stored, so that headers can be applied in `#modifyRequestHeader()` without invoking the interceptors again.
+     * @param   {string} url  The original url.
+     * @returns {string}      The modified url.
+     */
+    #modifyRequestUrl = url => {
+
+        const prepared = this.#player.network.prepareSync({ url, type: 'stream' });
+        this.#preparedRequests.set(prepared.url, prepared);
+        return prepared.url;
+
+    };
+
+    /**
+     * Request modifier for dash.js 4, applies headers and credentials of the prepared request.
+     * @param   {XMLHttpRequest} xhr          The request created by dash.js.
+     * @param   {Object}         context      Additional information.
+     * @param   {string}         context.url  The (already modified) url of the request.
+     * @returns {XMLHttpRequest}              The modified request.
+     */
+    #modifyRequestHeader = (xhr, { url }) => {
+
+        const { headers, credentials } = this.#preparedRequests.get(url) ?? this.#player.network.prepareSync({ url, type: 'stream' });
+
+        this.#preparedRequests.delete(url);
+        if (credentials === 'include') xhr.withCredentials = true;
+        if (isFunction(xhr.setRequestHeader)) Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+        return xhr;
+
+    };
+
     /**
      * Loads dash.js via CDN if not present.
      * Ensures only one load attempt per instance.
@@ -252,10 +385,10 @@ export default class Dash {
 
         if (this.#loadDashPromise) return this.#loadDashPromise;
 
-        this.#loadDashPromise = new Promise((resolve, reject) => {
+        this.#loadDashPromise = this.#player.network.prepare({ url: this.#config.libUrl, type: 'library' }).then(({ url }) => new Promise((resolve, reject) => {
 
             // Falls schon ein Script-Tag existiert (z.B. durch anderen Player), warte auf dessen Load
-            const existing = document.querySelector(`script[src="${this.#config.libUrl}"]`);
+            const existing = document.querySelector(`script[src="${url}"]`);
             if (existing) {
                 if (existing.dataset.loaded) {
                     resolve();
@@ -267,7 +400,7 @@ export default class Dash {
             }
 
             const script = document.createElement('script');
-            script.src = this.#config.libUrl;
+            script.src = url;
             script.async = true;
             script.dataset.loaded = '';
 
@@ -290,7 +423,7 @@ export default class Dash {
             };
 
             document.head.appendChild(script);
-        });
+        }));
 
         return this.#loadDashPromise;
     }
@@ -677,6 +810,7 @@ export default class Dash {
             this.#dash.off(DashJs.MediaPlayer.events.ERROR, this.#onDashError);
             this.#dash.destroy();
             this.#dash = null;
+            this.#preparedRequests.clear();
 
             this.#player.unsubscribe(this.#subscriptions);
         }
@@ -690,6 +824,7 @@ export default class Dash {
         this.#mediaComponent.unregisterPlugin(this);
         this.#player.unsubscribe('data/ready', this.#removeDash);
         this.#removeDash();
+        this.#discardPreload();
         this.#loadDashPromise = null;
         this.#player = this.#dash = this.#mediaComponent = this.#apiKey = null;
 
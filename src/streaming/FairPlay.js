@@ -168,7 +168,7 @@ export default class FairPlay {
                 target.addEventListener(type, resolve, { once: true });
             });
 
-            const cert = certificate ? base64DecodeUint8Array(certificate) : await FairPlay.#loadCertificate(certificateUrl);
+            const cert = certificate ? base64DecodeUint8Array(certificate) : await this.#loadCertificate(certificateUrl);
             this.#videoEle.src = src;
             const event = await waitFor(this.#videoEle, 'webkitneedkey');
             await this.#encrypted(event, cert);
@@ -228,7 +228,7 @@ export default class FairPlay {
     #keyMessage = async event => {
 
         try {
-            const response = await FairPlay.#getLicense(event, this.#licenseUrl, this.#headers);
+            const response = await this.#getLicense(event, this.#licenseUrl, this.#headers);
             this.#keySession.update(new Uint8Array(response));
         } catch (e) { // eslint-disable-line no-unused-vars
             this.#player.publish('media/error', { error: new ExtendedMediaError(99, '[FairPlay Plugin] Error loading license') }, this.#apiKey);
@@ -276,10 +276,10 @@ export default class FairPlay {
      * @param   {string}              certificateUrl  URL to the DRM certificate.
      * @returns {Promise<Uint8Array>}                 The fetched certificate as Uint8Array.
      */
-    static async #loadCertificate(certificateUrl) {
+    async #loadCertificate(certificateUrl) {
 
         try {
-            const response = await fetch(certificateUrl, { mode: 'cors' });
+            const response = await this.#player.network.fetch(certificateUrl, { mode: 'cors', type: 'certificate' });
             const text = await response.text();
             return base64DecodeUint8Array(text); // apparently we need to base64DecodeUint8Array this
         } catch (e) {
@@ -335,11 +335,12 @@ export default class FairPlay {
      * @param   {Object<string, string>} headers  HTTP headers for the license request.
      * @returns {Promise<Uint8Array>}             The license data.
      */
-    static async #getLicense(event, spcPath, headers) {
+    async #getLicense(event, spcPath, headers) {
 
-        const licenseResponse = await fetch(spcPath, {
+        const licenseResponse = await this.#player.network.fetch(spcPath, {
+            type: 'license',
             method: 'POST',
-            headers: new Headers(headers),
+            headers,
             body: `spc=${base64EncodeUint8Array(new Uint8Array(event.message))}`
         });
 
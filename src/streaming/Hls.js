@@ -5,10 +5,11 @@ let HlsJs;
 /**
  * The Hls component integrates the [hls.js](https://github.com/video-dev/hls.js) library into the player for MPEG-HLS streaming, adding Widevine (and optional Fairplay) DRM support.
  * It allows adaptive streaming, real-time error handling, subtitle, language and quality control integration, and reacts to various stream metadata updates.
+ * Sources can also be preloaded, in which case an hls.js instance is prepared in advance, and attached to the media element once the source is loaded.
  * @exports module:src/streaming/Hls
  * @requires src/util/ExtendedMediaError
  * @author    Frank Kudermann - alphanull
- * @version   1.0.0
+ * @version   1.1.0
  * @license   MIT
  */
 export default class Hls {
@@ -56,6 +57,14 @@ export default class Hls {
      */
     #hls;
 
+    /**
+     * An hls.js instance prepared by `preload()`, which has already loaded the manifest of the next source.
+     * @type     {Object|null}
+     * @property {string}      src  The preloaded source.
+     * @property {Object}      hls  The prepared hls.js instance.
+     */
+    #preloaded = null;
+
     /**
      * Reference to the Async Task instance. Used to handle async tasks, which can be cancelled, resolved or rejected.
      * @type {module:lib/util/AsyncTask}
@@ -152,15 +161,11 @@ export default class Hls {
             })
         ];
 
-        const qualityConfig = this.#player.getConfig('quality'),
-              { drm } = this.#player.data.getMediaData(),
-              config = {
-                  enableWorker: true,
-                  lowLatencyMode: true,
-                  backBufferLength: 90,
-                  capLevelToPlayerSize: qualityConfig.adaptToSize,
-                  ignoreDevicePixelRatio: !qualityConfig.useDeviceRatio
-              };
+        const { drm } = this.#player.data.getMediaData(),
+              preloaded = this.#preloaded?.src === src && !drm ? this.#preloaded.hls : null,
+              config = this.#getHlsConfig();
+
+        if (preloaded) this.#preloaded = null; else this.#discardPreload();
 
         if (drm) {
 
@@ -172,18 +177,12 @@ export default class Hls {
                     audioRobustness: 'SW_SECURE_CRYPTO',
                     videoRobustness: 'SW_SECURE_CRYPTO'
                 };
-                config.licenseXhrSetup = xhr => {
-                    if (drm.Widevine.header) {
-                        Object.entries(drm.Widevine.header).forEach(([key, value]) => {
-                            xhr.setRequestHeader(key, value);
-                        });
-                    }
-                };
+                config.licenseXhrSetup = (xhr, url) => this.#setupXhr(xhr, { url, type: 'license', method: 'POST', headers: drm.Widevine.header });
 
             } else throw new Error('[Hls] Unknown DRM Scheme');
         }
 
-        this.#hls = new HlsJs(config);
+        this.#hls = preloaded ?? new HlsJs(config);
         this.#hls.on(HlsJs.Events.ERROR, this.#onHlsError);
         this.#hls.on(HlsJs.Events.AUDIO_TRACK_SWITCHED, this.#onHlsAudioSwitch);
         this.#hls.on(HlsJs.Events.LEVEL_SWITCHED, this.#onHlsQualitySwitch);
@@ -191,7 +190,14 @@ export default class Hls {
 
         this.#hls.subtitleDisplay = false;
         this.#hls.attachMedia(this.#player.media.getElement(this.#apiKey));
-        this.#hls.loadSource(src);
+
+        if (!preloaded) {
+            this.#hls.loadSource(src);
+        } else if (preloaded.levels?.length) {
+            preloaded.startLoad();
+        } else {
+            preloaded.once(HlsJs.Events.MANIFEST_PARSED, () => preloaded.startLoad());
+        }
 
         if (this.#config.debug) {
             Object.keys(HlsJs.Events).forEach(key => this.#hls.on(HlsJs.Events[key], this.#onLogEvent));
@@ -204,7 +210,78 @@ export default class Hls {
     }
 
     /**
-     * Loads dash.js via CDN if not present.
+     * Prepares an hls.js instance for a source which is about to be played, and loads its manifest.
+     * Loading segments starts as soon as the source is actually loaded, and the instance is attached to the media element.
+     * Sources with DRM are not preloaded.
+     * @param   {module:src/core/Media~metaData} metaData      The source to preload.
+     * @param   {string}                         metaData.src  The HLS URL to preload.
+     * @returns {Promise}                                      A promise which resolves when the instance was prepared.
+     */
+    async preload({ src }) {
+
+        if (!HlsJs) {
+            await this.#loadHlsJs();
+            if (!HlsJs) HlsJs = window.Hls;
+        }
+
+        if (!this.#player || this.#preloaded?.src === src) return; // destroyed or already preloaded in the meantime
+
+        this.#discardPreload();
+
+        const hls = new HlsJs({ ...this.#getHlsConfig(), autoStartLoad: false });
+        hls.loadSource(src);
+        this.#preloaded = { src, hls };
+
+    }
+
+    /**
+     * Destroys the preloaded hls.js instance (if any).
+     */
+    #discardPreload() {
+
+        this.#preloaded?.hls.destroy();
+        this.#preloaded = null;
+
+    }
+
+    /**
+     * Returns the basic configuration for hls.js, without DRM settings.
+     * @returns {Object} The hls.js configuration.
+     */
+    #getHlsConfig() {
+
+        const qualityConfig = this.#player.getConfig('quality');
+
+        return {
+            enableWorker: true,
+            lowLatencyMode: true,
+            backBufferLength: 90,
+            capLevelToPlayerSize: qualityConfig.adaptToSize,
+            ignoreDevicePixelRatio: !qualityConfig.useDeviceRatio,
+            xhrSetup: (xhr, url) => this.#setupXhr(xhr, { url, type: 'stream' })
+        };
+
+    }
+
+    /**
+     * Used as `xhrSetup` for hls.js, opens the request after applying the request interceptors of the player.
+     * Since the request is opened here, hls.js does not open it again, so the (possibly modified) url, method, headers and credentials are used.
+     * @param   {XMLHttpRequest}                  xhr      The request created by hls.js.
+     * @param   {module:src/core/Network~request} request  The request as seen by hls.js.
+     * @returns {Promise}                                  A promise which resolves when the request was opened.
+     */
+    async #setupXhr(xhr, request) {
+
+        const { url, method, headers, credentials } = await this.#player.network.prepare(request);
+
+        xhr.open(method, url, true);
+        if (credentials === 'include') xhr.withCredentials = true;
+        Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+    }
+
+    /**
+     * Loads hls.js via CDN if not present.
      * Ensures only one load attempt per instance.
      * @returns {Promise<void>}
      */
@@ -214,9 +291,9 @@ export default class Hls {
 
         if (this.#loadHlsPromise) return this.#loadHlsPromise;
 
-        this.#loadHlsPromise = new Promise((resolve, reject) => {
+        this.#loadHlsPromise = this.#player.network.prepare({ url: this.#config.libUrl, type: 'library' }).then(({ url }) => new Promise((resolve, reject) => {
 
-            const existing = document.querySelector(`script[src="${this.#config.libUrl}"]`);
+            const existing = document.querySelector(`script[src="${url}"]`);
             if (existing) {
                 if (existing.dataset.loaded) {
                     resolve();
@@ -228,7 +305,7 @@ export default class Hls {
             }
 
             const script = document.createElement('script');
-            script.src = this.#config.libUrl;
+            script.src = url;
             script.async = true;
             script.dataset.loaded = '';
 
@@ -251,7 +328,7 @@ export default class Hls {
             };
 
             document.head.appendChild(script);
-        });
+        }));
 
         return this.#loadHlsPromise;
 
@@ -514,6 +591,7 @@ export default class Hls {
     destroy() {
 
         this.#removeHls();
+        this.#discardPreload();
         this.#mediaComponent.unregisterPlugin(this);
         this.#player.unsubscribe(this.#subscriptions);
         this.#player = this.#hls = this.#mediaComponent = this.#apiKey = null;
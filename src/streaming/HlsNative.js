@@ -0,0 +1,367 @@
+/**
+ * Parses the attribute list of an M3U8 tag, like `BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"`.
+ * @private
+ * @memberof module:src/streaming/HlsNative
+ * @param   {string}                 list  The attribute list (everything after the colon of the tag).
+ * @returns {Object<string, string>}       The attributes, with quotes removed from quoted values.
+ */
+const parseAttributes = list => {
+
+    const attributes = {},
+          regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+    let match;
+    while ((match = regex.exec(list)) !== null) {
+        attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+
+    return attributes;
+
+};
+
+/**
+ * Parses an M3U8 master playlist, extracting all variant streams (`EXT-X-STREAM-INF`) as well as audio and subtitle renditions (`EXT-X-MEDIA`).
+ * @private
+ * @memberof module:src/streaming/HlsNative
+ * @param   {string}                                     text     The content of the playlist.
+ * @param   {string}                                     baseUrl  The URL of the playlist, used for resolving relative URIs.
+ * @returns {module:src/streaming/HlsNative~master|null}          The parsed master playlist, or `null` if this is not a master playlist.
+ */
+const parseMasterPlaylist = (text, baseUrl) => {
+
+    const lines = text.split(/\r?\n/).map(line => line.trim()),
+          master = { variants: [], audio: [], subtitles: [] };
+
+    if (!lines[0]?.startsWith('#EXTM3U')) return null;
+
+    lines.forEach((line, index) => {
+
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+
+            const attributes = parseAttributes(line.slice(18)),
+                  uri = lines.slice(index + 1).find(next => next && !next.startsWith('#')),
+                  [width, height] = (attributes.RESOLUTION ?? '').split('x').map(Number);
+
+            if (!uri) return;
+
+            const variant = {
+                src: new URL(uri, baseUrl).href,
+                bandwidth: Number(attributes.BANDWIDTH) || 0,
+                codecs: attributes.CODECS,
+                audio: attributes.AUDIO,
+                subtitles: attributes.SUBTITLES
+            };
+
+            if (width && height) Object.assign(variant, { width, height });
+            if (attributes['FRAME-RATE']) variant.frameRate = Number(attributes['FRAME-RATE']);
+
+            master.variants.push(variant);
+
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+
+            const attributes = parseAttributes(line.slice(13)),
+                  type = attributes.TYPE === 'AUDIO' ? 'audio' : attributes.TYPE === 'SUBTITLES' ? 'subtitles' : null;
+
+            if (!type) return;
+
+            const rendition = {
+                groupId: attributes['GROUP-ID'],
+                language: attributes.LANGUAGE,
+                name: attributes.NAME,
+                default: attributes.DEFAULT === 'YES'
+            };
+
+            if (attributes.URI) rendition.src = new URL(attributes.URI, baseUrl).href;
+
+            master[type].push(rendition);
+
+        }
+
+    });
+
+    return master.variants.length ? master : null;
+
+};
+
+/**
+ * The HlsNative component adds lightweight support for HLS streams which are played natively by the browser (like in Safari), without loading the hls.js library.
+ * As soon as an HLS source is selected which is not handled by a plugin (like the Hls component using hls.js), its master playlist is loaded and parsed,
+ * and the resulting resolutions and audio renditions are used to populate the quality and language menus.
+ * Selecting a quality then switches to the media playlist of the matching variant, while selecting a language switches the audio track of the media element.
+ * Subtitle renditions are exposed by the browser as text tracks, which are then picked up by the subtitles menu.
+ * If the source is handled by the Hls component, but the hls.js library is still being loaded, the menus are populated in the meantime, while switching is left to the Hls component.
+ * @exports module:src/streaming/HlsNative
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class HlsNative {
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Reference to the parent media component, used to check if a source is handled by a plugin.
+     * @type {module:src/core/Media}
+     */
+    #media;
+
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * The URL of the master playlist of the current media.
+     * @type {?string}
+     */
+    #masterSrc = null;
+
+    /**
+     * The parsed master playlist of the current media, or `null` if there is none (yet).
+     * @type {?module:src/streaming/HlsNative~master}
+     */
+    #master = null;
+
+    /**
+     * Creates an instance of the HlsNative component.
+     * @param {module:src/core/Player} player            Reference to the player instance.
+     * @param {module:src/core/Media}  parent            Reference to the media component.
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        if (!player.initConfig('hlsNative', true)) return [false];
+
+        this.#player = player;
+        this.#media = parent;
+        this.#apiKey = apiKey;
+
+        // the format may have been added by the Hls component already
+        if (!this.#player.constructor.getFormats().some(({ extensions }) => extensions?.includes('m3u8'))) {
+            this.#player.constructor.addFormat({
+                extensions: ['m3u8'],
+                mimeTypeAudio: ['application/x-mpegURL'],
+                mimeTypeVideo: ['application/x-mpegURL']
+            });
+        }
+
+        this.#subscriptions = [
+            ['data/source', this.#onDataSource],
+            ['data/nomedia', this.#reset],
+            ['media/ready', this.#onMediaReady],
+            ['quality/selected', this.#onQualitySelected],
+            ['language/selected', this.#onLanguageSelected]
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+    }
+
+    /**
+     * Called when a new source was selected. If this is an HLS source which is played natively (and not by a plugin like hls.js),
+     * its master playlist is loaded and parsed, and the menus are populated right away. This also applies if hls.js is still being loaded,
+     * so the menus are not empty until the Hls component is ready and takes over.
+     * @param {module:src/core/Media~metaData} metaData  The selected source.
+     * @listens module:src/core/Data#data/source
+     */
+    #onDataSource = async metaData => {
+
+        const { src, mimeType } = metaData,
+              hasPlugin = this.#media.hasPlugin(metaData),
+              isPending = hasPlugin && !window.Hls; // the Hls component publishes the menus itself, but only after hls.js has been loaded
+
+        if (mimeType !== 'application/x-mpegURL' && !/\.m3u8($|[?#])/i.test(src ?? '') || hasPlugin && !isPending) {
+            this.#reset();
+            return;
+        }
+
+        if (src === this.#masterSrc) return;
+
+        this.#reset();
+        this.#masterSrc = src;
+
+        let master = null;
+
+        try {
+            const res = await this.#player.network.fetch(src, { type: 'stream' });
+            if (res.ok) master = parseMasterPlaylist(await res.text(), res.url || src);
+        } catch {} // the media component reports errors with the actual source, so the menus just stay empty
+
+        if (src !== this.#masterSrc || !master || isPending && window.Hls) return;
+
+        this.#master = master;
+
+        if (!this.#player.media.getElement(this.#apiKey).currentSrc.startsWith('blob:')) this.#publishUpdates();
+
+    };
+
+    /**
+     * Called when the media is ready. If the stream is played natively, the menus are updated to reflect the current quality and language.
+     * @listens module:src/core/Media#media/ready
+     */
+    #onMediaReady = () => {
+
+        if (!this.#isNative()) return;
+
+        const videoEle = this.#player.media.getElement(this.#apiKey);
+
+        this.#publishUpdates();
+        this.#player.publish('subtitles/update', null, { async: false }, this.#apiKey);
+
+        videoEle.textTracks.removeEventListener('addtrack', this.#onAddTrack);
+        videoEle.textTracks.addEventListener('addtrack', this.#onAddTrack);
+
+    };
+
+    /**
+     * Publishes the qualities and languages found in the master playlist, so that the respective menus are updated.
+     * @fires module:src/settings/Quality#quality/update
+     * @fires module:src/settings/Language#language/update
+     */
+    #publishUpdates() {
+
+        const { src } = this.#player.media.getMetaData() ?? {},
+              variant = this.#master.variants.find(entry => entry.src === src),
+              current = variant?.height ?? this.#player.media.getElement(this.#apiKey).videoHeight,
+              qualityData = Array.from(this.#master.variants.reduce((acc, { height }) => (height ? acc.add(height) : acc), new Set([null]))),
+              languages = this.#getLanguages();
+
+        if (qualityData.length > 1) {
+            this.#player.publish('quality/update', { qualityData, current: { value: current } }, { async: false }, this.#apiKey);
+            if (current) this.#player.publish('quality/active', { value: current }, this.#apiKey);
+        }
+
+        if (languages.length > 1) {
+            const activeTrack = Array.from(this.#player.media.getElement(this.#apiKey).audioTracks ?? []).find(track => track.enabled),
+                  currentLang = languages.find(lang => lang.language === activeTrack?.language) ?? languages.find(lang => lang.default) ?? languages[0];
+            this.#player.publish('language/update', { languages, current: currentLang }, { async: false }, this.#apiKey);
+        }
+
+    }
+
+    /**
+     * Returns the audio renditions of the master playlist as language objects, omitting duplicates found in several rendition groups.
+     * @returns {Array<module:src/settings/Language~langObj>} The languages found.
+     */
+    #getLanguages() {
+
+        return this.#master.audio.reduce((acc, { language, name, default: isDefault }) => {
+            if (language && !acc.some(lang => lang.language === language && lang.langName === name)) {
+                acc.push({ language, langId: acc.length, langName: name, default: isDefault });
+            }
+            return acc;
+        }, []);
+
+    }
+
+    /**
+     * Called when a quality was selected in the menu. When playing natively, switches to the media playlist of the best variant with this height,
+     * or back to the master playlist if `auto` was selected. Variants which use separate audio renditions are not switched to, as their media playlist contains no audio.
+     * @param {Object}         data          The event data.
+     * @param {?number|string} data.quality  The selected quality (height), or `null` for auto.
+     * @listens module:src/settings/Quality#quality/selected
+     */
+    #onQualitySelected = ({ quality }) => {
+
+        if (!this.#isNative()) return;
+
+        const muxedAudio = ({ audio }) => !audio || this.#master.audio.every(rendition => rendition.groupId !== audio || !rendition.src),
+              variant = this.#master.variants
+                  .filter(entry => entry.height === quality && muxedAudio(entry))
+                  .sort((a, b) => b.bandwidth - a.bandwidth)[0],
+              src = quality === null ? this.#masterSrc : variant?.src,
+              metaData = this.#player.media.getMetaData();
+
+        if (!src || src === metaData.src) return;
+
+        this.#player.media.load({ ...metaData, src }, { rememberState: true, ignoreAutoplay: true, play: !this.#player.getState('media.paused') });
+
+    };
+
+    /**
+     * Called when a language was selected in the menu. When playing natively, enables the matching audio track of the media element.
+     * @param {module:src/settings/Language~langObj} langObj  The selected language.
+     * @fires   module:src/settings/Language#language/active
+     * @listens module:src/settings/Language#language/selected
+     */
+    #onLanguageSelected = ({ value, langId }) => {
+
+        if (!this.#isNative()) return;
+
+        const language = this.#getLanguages().find(lang => lang.langId === langId) ?? { language: value },
+              tracks = Array.from(this.#player.media.getElement(this.#apiKey).audioTracks ?? []),
+              track = tracks.find(entry => entry.language === language.language && entry.label === language.langName)
+                ?? tracks.find(entry => entry.language === language.language);
+
+        if (!track) return;
+
+        tracks.forEach(entry => { entry.enabled = entry === track; });
+        this.#player.publish('language/active', { language: language.language, langId: language.langId, langName: language.langName }, this.#apiKey);
+
+    };
+
+    /**
+     * Called when the browser adds a text track (like a subtitle rendition of the stream), so that the subtitles menu is updated.
+     * @fires module:src/text/Subtitles#subtitles/update
+     */
+    #onAddTrack = () => {
+
+        this.#player.publish('subtitles/update', null, this.#apiKey);
+
+    };
+
+    /**
+     * Checks if the current stream is played natively, meaning that the media element directly plays the master playlist (or one of its variants) instead of a media source provided by hls.js.
+     * @returns {boolean} `true` if the current stream is played natively.
+     */
+    #isNative() {
+
+        const { src } = this.#player.media.getMetaData() ?? {},
+              { currentSrc } = this.#player.media.getElement(this.#apiKey);
+
+        return Boolean(this.#master && currentSrc && !currentSrc.startsWith('blob:')
+          && (src === this.#masterSrc || this.#master.variants.some(variant => variant.src === src)));
+
+    }
+
+    /**
+     * Resets the component when a different source is selected.
+     */
+    #reset = () => {
+
+        this.#master = this.#masterSrc = null;
+        this.#player.media.getElement(this.#apiKey).textTracks.removeEventListener('addtrack', this.#onAddTrack);
+
+    };
+
+    /**
+     * This method removes all events and subscriptions created by this component.
+     */
+    destroy() {
+
+        this.#reset();
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player = this.#media = this.#apiKey = null;
+
+    }
+
+}
+
+/**
+ * The parsed master playlist.
+ * @typedef  {Object} module:src/streaming/HlsNative~master
+ * @property {Object[]} variants   The variant streams, each with `src`, `bandwidth` and (if available) `width`, `height`, `frameRate`, `codecs`, as well as the `audio` and `subtitles` group ids.
+ * @property {Object[]} audio      The audio renditions, each with `groupId`, `language`, `name`, `default` and `src` (if the rendition is not muxed into the variant streams).
+ * @property {Object[]} subtitles  The subtitle renditions, with the same properties as audio renditions.
+ */
@@ -1,4 +1,5 @@
 import DomSmith from '../../lib/dom/DomSmith.js';
+import { isUndefined } from '../../lib/util/object.js';
 import Menu from '../util/Menu.js';
 import srt2webvtt from './srtParser.js';
 
@@ -8,6 +9,7 @@ import srt2webvtt from './srtParser.js';
  * and also supports a subtitle menu with font size selection and adaptive layout behavior.
  * @exports module:src/text/Subtitles
  * @requires lib/dom/DomSmith
+ * @requires lib/util/object
  * @requires src/text/srtParser
  * @requires src/util/Menu
  * @author   Frank Kudermann - alphanull
@@ -145,7 +147,13 @@ export default class Subtitles {
 
         const htmlDefault = this.#config.allowHTML;
 
-        this.#config = player.initConfig('subtitles', this.#config);
+        this.#config = player.initConfig('subtitles', this.#config, {
+            mode: { enum: ['custom', 'native'] },
+            allowHTML: { enum: ['none', 'basic', 'all'] },
+            fontSize: { enum: ['small', 'medium', 'big'] },
+            preferredSubtitles: { type: ['boolean', 'string'] },
+            background: { type: 'string' }
+        });
 
         if (!this.#config) return [false];
 
@@ -175,7 +183,7 @@ export default class Subtitles {
                 highlighted: 0,
                 verticalMenuThreshold: 2,
                 selectMenuThreshold: 3,
-                onSelected: sel => { this.#toggleSubTitle(sel - 1); }
+                onSelected: this.#onMenuSelected
             }
         );
 
@@ -196,7 +204,8 @@ export default class Subtitles {
             ['data/ready', this.#onDataReady],
             ['data/nomedia', () => { this.#menu.create([]); }],
             ['media/ready', this.#onMediaReady],
-            ['subtitles/update', this.#onSubtitleUpdate]
+            ['subtitles/update', this.#onSubtitleUpdate],
+            ['preferences/ready', this.#onPreferencesReady]
         ];
 
         const hasFullscreen = 'fullscreenEnabled' in document || 'webkitFullscreenEnabled' in document;
@@ -210,6 +219,8 @@ export default class Subtitles {
         this.#subscriptions = subs.map(([event, handler]) => this.#player.subscribe(event, handler));
 
         this.#player.setState('media.activeTextTrack', { get: () => this.#currentSubtitle }, this.#apiKey);
+        this.#player.setState('subtitles.language', { get: () => this.#subtitleData[this.#currentSubtitle]?.language ?? null }, this.#apiKey);
+        this.#player.setApi('subtitles.select', this.#select, this.#apiKey);
 
     }
 
@@ -234,6 +245,10 @@ export default class Subtitles {
         let preferredSubtitles = this.#player.getConfig('subtitles.preferredSubtitles');
         if (preferredSubtitles === true) preferredSubtitles = this.#player.getConfig('locale.lang');
 
+        // a language stored in the user preferences overrides the config, `null` means subtitles were switched off
+        const storedLanguage = this.#player.preferences?.get('subtitleLanguage');
+        if (!isUndefined(storedLanguage)) preferredSubtitles = storedLanguage;
+
         // clear old events first
         this.#subtitleData.forEach(entry => {
             if (entry.trackEle) this.#removeTextTrackEvents(entry.trackEle);
@@ -265,7 +280,7 @@ export default class Subtitles {
 
                     if (preferredSubtitles) {
                         if (track.language === preferredSubtitles) selected = i;
-                    } else if (track.default && selected === null) selected = i;
+                    } else if (track.default && selected === null && storedLanguage !== null) selected = i;
                 }
             }
         }
@@ -299,7 +314,8 @@ export default class Subtitles {
                     mode: 'hidden',
                     label: this.#translate(sub.language),
                     lang: sub.language,
-                    index: i.toString()
+                    index: i.toString(),
+                    format: sub.format
                 });
                 sub.loading = true;
                 sub.track = loadTrack.track;
@@ -311,6 +327,54 @@ export default class Subtitles {
 
     };
 
+    /**
+     * Applies subtitle language and font size stored in the user preferences.
+     * This is only relevant if the preferences were loaded after the media data, otherwise they were already considered in `#onDataReady`.
+     * @param {Object}      preferences                     The stored preferences.
+     * @param {string|null} [preferences.subtitleLanguage]  The stored subtitle language, or `null` if subtitles were switched off.
+     * @param {string}      [preferences.subtitleFontSize]  The stored font size.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ subtitleLanguage, subtitleFontSize }) => {
+
+        const fontIndex = this.#fontSizes.indexOf(subtitleFontSize);
+
+        if (fontIndex > -1 && subtitleFontSize !== this.#currentFontSize) {
+            this.#fontMenu?.setIndex(fontIndex);
+            this.#changeFontSize(fontIndex, { value: subtitleFontSize });
+        }
+
+        this.#select(subtitleLanguage);
+
+    };
+
+    /**
+     * Selects a subtitle track by its language, just as if the user had chosen it from the menu. Unknown languages are ignored.
+     * @param {?string} subtitleLanguage  The language of the subtitle track to select, or `null` to switch subtitles off.
+     */
+    #select = subtitleLanguage => {
+
+        if (isUndefined(subtitleLanguage) || !this.#subtitleData.length) return;
+
+        const index = subtitleLanguage === null ? -1 : this.#subtitleData.findIndex(({ language }) => language === subtitleLanguage);
+        if (index === this.#currentSubtitle || index === -1 && subtitleLanguage !== null) return;
+
+        if (this.#player.getState('media.readyState') > 0) this.#toggleSubTitle(index);
+        else this.#currentSubtitle = index; // will be applied on media/ready
+
+    };
+
+    /**
+     * Called when the user selects an entry in the subtitle menu. Also stores the selected language in the user preferences.
+     * @param {number} index  The index of the selected menu item, with `0` being "off".
+     */
+    #onMenuSelected = index => {
+
+        this.#toggleSubTitle(index - 1);
+        this.#player.preferences?.set('subtitleLanguage', index > 0 ? this.#subtitleData[index - 1].language : null);
+
+    };
+
     /**
      * Called when "subtitles/update" is published, e.g. After external changes in textTracks.
      * Rebuilds the menu and toggles the correct track if needed.
@@ -380,7 +444,8 @@ export default class Subtitles {
                     kind: 'subtitles',
                     label: this.#translate(selected.language),
                     lang: selected.language,
-                    index: index.toString()
+                    index: index.toString(),
+                    format: selected.format
                 });
 
                 selected.loading = true;
@@ -409,24 +474,25 @@ export default class Subtitles {
 
     /**
      * Loads (and creates) a new text track. (see also {@link https://developer.mozilla.org/de/docs/Web/HTML/Element/track}).
-     * @param   {string}                                                    [src]            The URL from where the text track should be loaded. If omitted, a new blank text track is created.
-     * @param   {Object}                                                    [options]        Additional options.
-     * @param   {string}                                                    [options.kind]   The kind of text track to create. Can be 'subtitles', 'captions', 'descriptions', 'chapters' or 'metadata'.
-     * @param   {string}                                                    [options.lang]   Language of the track text data. It must be a valid BCP 47 language tag. If the kind attribute is set to subtitles, then lang must be defined.
-     * @param   {string}                                                    [options.label]  A user-readable title of the text track which is used by the browser when listing available text tracks.
-     * @param   {Object}                                                    [options.index]  The current id / index of the track.
-     * @returns {Promise<{ track: TextTrack, trackEle: HTMLTrackElement }>}                  The newly created text track.
-     * @throws  {Error}                                                                      Throws if attempting to load text tracks before the loadedmetadata event.
-     */
-    #loadTextTrack = async(src, { kind = 'captions', label, lang, index } = {}) => {
+     * @param   {string}                                                    [src]             The URL from where the text track should be loaded. If omitted, a new blank text track is created.
+     * @param   {Object}                                                    [options]         Additional options.
+     * @param   {string}                                                    [options.kind]    The kind of text track to create. Can be 'subtitles', 'captions', 'descriptions', 'chapters' or 'metadata'.
+     * @param   {string}                                                    [options.lang]    Language of the track text data. It must be a valid BCP 47 language tag. If the kind attribute is set to subtitles, then lang must be defined.
+     * @param   {string}                                                    [options.label]   A user-readable title of the text track which is used by the browser when listing available text tracks.
+     * @param   {Object}                                                    [options.index]   The current id / index of the track.
+     * @param   {string}                                                    [options.format]  The format of the text track (`vtt` or `srt`), detected by the file extension if omitted.
+     * @returns {Promise<{ track: TextTrack, trackEle: HTMLTrackElement }>}                   The newly created text track.
+     * @throws  {Error}                                                                       Throws if attempting to load text tracks before the loadedmetadata event.
+     */
+    #loadTextTrack = async(src, { kind = 'captions', label, lang, index, format } = {}) => {
 
         let source = src;
 
-        const ext = src.split(/[#?]/)[0].split('.').pop().trim().toLowerCase();
+        const ext = format || src.split(/[#?]/)[0].split('.').pop().trim().toLowerCase();
         if (ext === 'srt') {
             // convert srt to vtt
             try {
-                const response = await fetch(src),
+                const response = await this.#player.network.fetch(src, { type: 'subtitles' }),
                       text = await response.text(),
                       vtt = srt2webvtt(text),
                       blob = new Blob([vtt], { type: 'text/vtt' });
@@ -434,6 +500,9 @@ export default class Subtitles {
             } catch (e) {
                 console.error(e); // eslint-disable-line no-console
             }
+        } else if (!src.startsWith('blob:')) {
+            // loaded by the track element, so only the url can be changed by interceptors
+            ({ url: source } = await this.#player.network.prepare({ url: source, type: 'subtitles' }));
         }
 
         if (!source) {
@@ -609,6 +678,7 @@ export default class Subtitles {
         this.#currentFontSize = value ?? this.#config.fontSize;
         this.#dom.root.classList.add(`font-${this.#currentFontSize.toLowerCase()}`);
         this.#player.publish('subtitles/fontsize', { fontSize: this.#currentFontSize }, this.#apiKey);
+        this.#player.preferences?.set('subtitleFontSize', this.#currentFontSize);
 
     };
 
@@ -655,7 +725,8 @@ export default class Subtitles {
         this.#menu.destroy();
         this.#currentCues.clear();
         this.#player.unsubscribe(this.#subscriptions);
-        this.#player.removeState('media.activeTextTrack', this.#apiKey);
+        this.#player.removeState(['media.activeTextTrack', 'subtitles.language'], this.#apiKey);
+        this.#player.removeApi('subtitles.select', this.#apiKey);
         this.#player = this.#dom = this.#parent = this.#renderers = this.#apiKey = null;
 
     }
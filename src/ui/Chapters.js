@@ -9,7 +9,7 @@ import DomSmith from '../../lib/dom/DomSmith.js';
  * @requires lib/util/object
  * @requires lib/dom/DomSmith
  * @author   Frank Kudermann - alphanull
- * @version  1.0.1
+ * @version  1.1.0
  * @license  MIT
  */
 export default class Chapters {
@@ -165,6 +165,7 @@ export default class Chapters {
 
         this.#subscriptions = [
             this.#player.subscribe('data/ready', this.#onDataReady),
+            this.#player.subscribe('data/chapters', this.#onChaptersLoaded),
             this.#player.subscribe('data/nomedia', this.#disable),
             this.#player.subscribe('media/error', this.#disable),
             this.#player.subscribe('media/canplay', this.#enable)
@@ -174,21 +175,30 @@ export default class Chapters {
 
     /**
      * Called when the media data is ready. This obtains the "chapters" array if present,
-     * and sets up or hides the relevant UI elements.
-     * @param {module:src/core/Data~mediaItem}           mediaItem             Object containing media type info.
-     * @param {module:src/core/Data~mediaItem_chapter[]} [mediaItem.chapters]  The array of chapters from the media data.
+     * and sets up or hides the relevant UI elements. If the media item defines a clip range, only chapters within this range are used,
+     * and their start times are converted to be relative to the start of the clip.
+     * @param {module:src/core/Data~mediaItem}           mediaItem                     Object containing media type info.
+     * @param {module:src/core/Data~mediaItem_chapter[]} [mediaItem.chapters]          The array of chapters from the media data.
+     * @param {number}                                   [mediaItem.startTime=0]       Start of the clip range.
+     * @param {number}                                   [mediaItem.endTime=Infinity]  End of the clip range.
      * @listens  module:src/core/Data#data/ready
      */
-    #onDataReady = ({ chapters }) => {
+    #onDataReady = ({ chapters: chaptersArg, startTime = 0, endTime = Infinity }) => {
 
-        const hasChapters = chapters && isArray(chapters) && chapters.length;
+        const chapters = isArray(chaptersArg)
+                  ? [...chaptersArg]
+                      .sort((a, b) => a.start - b.start)
+                      .filter(({ start }, index, sorted) => start < endTime && (sorted[index + 1]?.start ?? Infinity) > startTime)
+                      .map(chapter => ({ ...chapter, start: Math.max(chapter.start - startTime, 0) }))
+                  : [],
+              hasChapters = chapters.length > 0;
 
         this.#player.unsubscribe(this.#subs);
         this.#subs = [];
 
         if (hasChapters) this.#subs.push(this.#player.subscribe('media/ready', this.#onMediaReady));
 
-        this.#chapters = hasChapters ? [...chapters].sort((a, b) => a.start - b.start) : [];
+        this.#chapters = chapters;
 
         // switch off controls when no chapter data present
 
@@ -208,6 +218,19 @@ export default class Chapters {
 
     };
 
+    /**
+     * Called when chapters referenced by URL have been loaded after the media data was already ready.
+     * Sets up the UI again, and also places the chapters on the scrubber if the media is ready already.
+     * @param {module:src/core/Data~mediaItem} mediaItem  The current media item, including the loaded chapters.
+     * @listens module:src/core/Data#data/chapters
+     */
+    #onChaptersLoaded = mediaItem => {
+
+        this.#onDataReady(mediaItem);
+        if (this.#player.getState('media.readyState') > 0) this.#onMediaReady();
+
+    };
+
     /**
      * Called when the media is ready. This places the chapter segments on the scrubber if needed,
      * and triggers a time update to set the initial UI.
@@ -0,0 +1,536 @@
+import DomSmith from '../../lib/dom/DomSmith.js';
+import { clone, isArray, isFunction, isNumber, isObject, isString } from '../../lib/util/object.js';
+import convertTime from '../util/convertTime.js';
+import getStorage from '../util/storage.js';
+
+/**
+ * The Resume component remembers the last playback position of each media item ("continue watching").
+ * When a media item with a stored position is loaded, the user is offered to either resume playback from this position or to start over.
+ * Positions are keyed by the `id` of the media item (or the source of its first encoding if no id was specified), so this also works for each item of a playlist.
+ * Positions near the start or the end of the media are not stored, and finished media is removed from the store.
+ * The storage backend is pluggable, similar to the Preferences component, and the published events can be used to sync positions with a backend.
+ * As positions are persisted (by default in `localStorage`), this component is opt-in: it is only launched if the `resume` config is set to `true` or an object.
+ * @exports module:src/ui/Resume
+ * @requires lib/dom/DomSmith
+ * @requires lib/util/object
+ * @requires src/util/convertTime
+ * @requires src/util/storage
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class Resume {
+
+    /**
+     * Holds the instance configuration for this component.
+     * @type     {Object}
+     * @property {'local'|'session'|'memory'|module:src/util/storage~storageAdapter} [storage='local']          The storage backend to use. Either one of the built-in backends or a custom adapter object.
+     * @property {string}                                                            [storageKey='vip-resume']  The key under which all positions are stored.
+     * @property {boolean}                                                           [autoResume=false]         If `true`, playback is resumed without asking the user.
+     * @property {number}                                                            [skipStart=10]             Positions (in seconds) before this time are not stored, and no resume is offered.
+     * @property {number}                                                            [skipEnd=20]               Positions (in seconds) this close to the end are not stored, and the media is considered finished.
+     * @property {number}                                                            [saveInterval=5]           Minimum interval (in seconds) between two writes to the storage during playback.
+     * @property {number}                                                            [maxItems=100]             Maximum number of stored positions. If exceeded, the oldest positions are removed.
+     * @property {boolean}                                                           [allowSecure=false]        If `true`, positions are also stored when the player runs in secure mode.
+     */
+    #config = {
+        storage: 'local',
+        storageKey: 'vip-resume',
+        autoResume: false,
+        skipStart: 10,
+        skipEnd: 20,
+        saveInterval: 5,
+        maxItems: 100,
+        allowSecure: false
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Reference to the DomSmith Instance for the resume dialog.
+     * @type {module:lib/dom/DomSmith}
+     */
+    #dom;
+
+    /**
+     * The storage adapter used for reading and writing positions.
+     * @type {module:src/util/storage~storageAdapter}
+     */
+    #storage;
+
+    /**
+     * Holds all known positions, with the media id as key.
+     * @type {Object<string, module:src/ui/Resume~position>}
+     */
+    #positions = {};
+
+    /**
+     * Indicates if the stored positions have already been loaded.
+     * @type {boolean}
+     */
+    #loaded = false;
+
+    /**
+     * Indicates if positions were changed since the last write.
+     * @type {boolean}
+     */
+    #dirty = false;
+
+    /**
+     * Timestamp of the last write to the storage.
+     * @type {number}
+     */
+    #lastSave = 0;
+
+    /**
+     * The id of the currently loaded media item, or `null` if the item cannot be identified (or is a live stream).
+     * @type {?string}
+     */
+    #currentId = null;
+
+    /**
+     * The currently pending offer, or `null` if nothing is offered.
+     * @type {?{id: string, time: number, duration: number}}
+     */
+    #offer = null;
+
+    /**
+     * Creates an instance of the Resume component.
+     * @param {module:src/core/Player} player            Reference to the VisionPlayer instance.
+     * @param {module:src/ui/UI}       parent            Reference to the parent instance, in this case the UI.
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        // opt-in only, since positions are written to the storage
+        if (!player.getConfig('resume')) return [false];
+
+        this.#config = player.initConfig('resume', this.#config, {
+            storage: { type: ['string', 'object'], enum: ['local', 'session', 'memory'] },
+            skipStart: { min: 0 },
+            skipEnd: { min: 0 },
+            saveInterval: { min: 0 },
+            maxItems: { min: 1 }
+        });
+
+        if (!this.#config) return [false];
+
+        // do not leave any traces in secure mode, unless explicitly allowed
+        if (apiKey && !this.#config.allowSecure) return [false];
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+        this.#storage = getStorage(this.#config.storage);
+
+        this.#dom = new DomSmith({
+            _ref: 'wrapper',
+            className: 'vip-resume',
+            'data-sort': 25,
+            role: 'dialog',
+            ariaHidden: 'true',
+            _nodes: [{
+                _tag: 'p',
+                _nodes: [this.#player.locale.t('resume.message')]
+            }, {
+                className: 'vip-resume-buttons',
+                _nodes: [{
+                    _tag: 'button',
+                    _ref: 'resume',
+                    className: 'vip-resume-button',
+                    click: this.#accept,
+                    _nodes: [{ _ref: 'resumeText', _text: '' }]
+                }, {
+                    _tag: 'button',
+                    _ref: 'startOver',
+                    className: 'vip-resume-button',
+                    click: this.#decline,
+                    _nodes: [this.#player.locale.t('resume.startOver')]
+                }]
+            }]
+        }, parent.getElement());
+
+        this.#subscriptions = [
+            ['data/ready', this.#onDataReady],
+            ['data/nomedia', this.#hide],
+            ['media/ready', this.#onMediaReady],
+            ['media/timeupdate', this.#onTimeUpdate],
+            ['media/pause', this.#save],
+            ['media/ended', this.#onMediaEnded]
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+        window.addEventListener('pagehide', this.#save);
+
+        this.#player.setApi('resume.getPosition', this.#getPosition, apiKey);
+        this.#player.setApi('resume.setPosition', this.#setPosition, apiKey);
+        this.#player.setApi('resume.removePosition', this.#removePosition, apiKey);
+
+        this.#load();
+
+    }
+
+    /**
+     * Reads the stored positions. Supports both synchronous and asynchronous storage adapters.
+     */
+    #load() {
+
+        try {
+            const stored = this.#storage.getItem(this.#config.storageKey);
+            if (isFunction(stored?.then)) stored.then(this.#onLoaded).catch(() => this.#onLoaded(null));
+            else this.#onLoaded(stored);
+        } catch {
+            this.#onLoaded(null);
+        }
+
+    }
+
+    /**
+     * Handler invoked once the stored positions have been read.
+     * If the media data is already available at this point, checks if resume can be offered for the current item.
+     * @param {?string} stored  The stored (JSON) string, or `null` if nothing was found.
+     */
+    #onLoaded = stored => {
+
+        if (!this.#player) return; // destroyed in the meantime
+
+        let parsed;
+
+        try {
+            parsed = stored ? JSON.parse(stored) : {};
+        } catch {
+            parsed = {}; // ignore corrupt data
+        }
+
+        // positions which were already updated during loading are more recent, so keep those
+        this.#positions = { ...isObject(parsed) ? parsed : {}, ...this.#positions };
+        this.#loaded = true;
+        this.#checkOffer();
+
+    };
+
+    /**
+     * Called when a new media item was assigned. Stores the position of the previous item and checks if resume can be offered for the new one.
+     * @param {module:src/core/Data~mediaItem} mediaItem  The new media item.
+     * @listens module:src/core/Data#data/ready
+     */
+    #onDataReady = mediaItem => {
+
+        this.#save();
+        this.#hide();
+        this.#currentId = Resume.#getId(mediaItem);
+        this.#checkOffer();
+
+    };
+
+    /**
+     * Called when the media is ready. Live streams are excluded from resuming.
+     * @listens module:src/core/Media#media/ready
+     */
+    #onMediaReady = () => {
+
+        if (!this.#player.getState('media.liveStream')) return;
+
+        this.#currentId = null;
+        this.#hide();
+
+    };
+
+    /**
+     * Checks if there is a stored position for the current media item, and if so, offers to resume playback.
+     * @fires module:src/ui/Resume#resume/offered
+     */
+    #checkOffer() {
+
+        if (!this.#loaded || !this.#currentId || this.#offer) return;
+
+        const { time, duration } = this.#positions[this.#currentId] ?? {};
+
+        if (!this.#isResumable(time, duration)) return;
+
+        // the user already started playback in the meantime (for example with slow async storages)
+        if (this.#player.getState('media.currentTime') >= this.#config.skipStart) return;
+
+        this.#offer = { id: this.#currentId, time, duration };
+        this.#player.publish('resume/offered', { ...this.#offer }, this.#apiKey);
+
+        if (this.#config.autoResume) {
+            this.#accept();
+            return;
+        }
+
+        const { h, m, s } = convertTime(time).smpte,
+              pad = val => String(val).padStart(2, '0'),
+              timeString = h ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+
+        this.#dom.resumeText.nodeValue = this.#player.locale.t('resume.resume', { time: timeString });
+        this.#dom.resume.setAttribute('aria-label', `${this.#player.locale.t('resume.resume', { time: '' })} ${this.#player.locale.getLocalizedTime(time)}`);
+        this.#dom.wrapper.classList.add('is-visible');
+        this.#dom.wrapper.removeAttribute('aria-hidden');
+
+    }
+
+    /**
+     * Accepts the current offer and resumes playback from the stored position, which is restored using the saved state of the Media component.
+     * If the media is not ready yet, it is therefore applied as soon as the media is loaded.
+     * @param {Event} [event]  The click event, if the user accepted the offer. In this case playback is started as well.
+     * @fires module:src/ui/Resume#resume/accepted
+     */
+    #accept = event => {
+
+        if (!this.#offer) return;
+
+        const { id, time } = this.#offer;
+
+        this.#hide();
+        this.#player.publish('resume/accepted', { id, time }, this.#apiKey);
+
+        this.#player.media.restorePosition(time);
+
+        if (event) this.#player.media.play();
+
+    };
+
+    /**
+     * Declines the current offer, removes the stored position and starts playback from the beginning.
+     * @param {Event} [event]  The click event which triggered this handler.
+     * @fires module:src/ui/Resume#resume/declined
+     */
+    #decline = event => {
+
+        if (!this.#offer) return;
+
+        const { id, time } = this.#offer;
+
+        this.#hide();
+        this.#removePosition(id);
+        this.#player.publish('resume/declined', { id, time }, this.#apiKey);
+
+        if (this.#player.getState('media.currentTime') > 0) this.#player.media.seek(0);
+        if (event) this.#player.media.play();
+
+    };
+
+    /**
+     * Hides the resume dialog and clears any pending offer.
+     * @listens module:src/core/Data#data/nomedia
+     */
+    #hide = () => {
+
+        this.#offer = null;
+        this.#dom.wrapper.classList.remove('is-visible');
+        this.#dom.wrapper.setAttribute('aria-hidden', 'true');
+
+    };
+
+    /**
+     * Updates the position of the current media item during playback, and writes it to the storage in regular intervals.
+     * Also hides a pending offer if the user started playback instead of choosing.
+     * @listens module:src/core/Media#media/timeupdate
+     */
+    #onTimeUpdate = () => {
+
+        if (!this.#currentId || this.#player.getState('media.seeking')) return;
+
+        const time = this.#player.getState('media.currentTime'),
+              duration = this.#player.getState('media.duration');
+
+        if (time < this.#config.skipStart) return;
+
+        if (this.#offer) this.#hide(); // user just started playing, so implicitly ignore the offer
+
+        if (this.#isResumable(time, duration)) {
+            this.#positions[this.#currentId] = { time: Math.floor(time), duration: Math.floor(duration), updated: Date.now() };
+        } else {
+            delete this.#positions[this.#currentId]; // near the end, so consider this as finished
+        }
+
+        this.#dirty = true;
+
+        if (Date.now() - this.#lastSave >= this.#config.saveInterval * 1000) this.#save();
+
+    };
+
+    /**
+     * Removes the position of finished media.
+     * @listens module:src/core/Media#media/ended
+     */
+    #onMediaEnded = () => {
+
+        if (this.#currentId) this.#removePosition(this.#currentId);
+
+    };
+
+    /**
+     * Checks if a position is suitable for resuming, meaning it is not too close to the start or the end of the media.
+     * @param   {number}  time        The position in seconds.
+     * @param   {number}  [duration]  The duration of the media in seconds.
+     * @returns {boolean}             `true` if the position can be resumed.
+     */
+    #isResumable(time, duration) {
+
+        if (!isNumber(time) || time < this.#config.skipStart) return false;
+        return !isNumber(duration) || !isFinite(duration) || time <= duration - this.#config.skipEnd;
+
+    }
+
+    /**
+     * Returns the stored position of a media item.
+     * @param   {string|module:src/core/Data~mediaItem} idOrItem  Either the media id, or the media item itself.
+     * @returns {?module:src/ui/Resume~position}                  The stored position, or `null` if nothing was found.
+     */
+    #getPosition = idOrItem => {
+
+        const id = isString(idOrItem) ? idOrItem : Resume.#getId(idOrItem),
+              position = id ? this.#positions[id] : null;
+
+        return position ? clone(position) : null;
+
+    };
+
+    /**
+     * Sets the position of a media item, for example when syncing positions from a backend.
+     * @param {string} id          The media id.
+     * @param {number} time        The position in seconds.
+     * @param {number} [duration]  The duration of the media in seconds.
+     */
+    #setPosition = (id, time, duration) => {
+
+        if (!isString(id) || !isNumber(time)) return;
+
+        this.#positions[id] = { time, duration, updated: Date.now() };
+        this.#dirty = true;
+        this.#save();
+
+        if (id === this.#currentId) this.#checkOffer();
+
+    };
+
+    /**
+     * Removes the stored position of a media item.
+     * @param {string} id  The media id.
+     */
+    #removePosition = id => {
+
+        if (!this.#positions[id]) return;
+
+        delete this.#positions[id];
+        this.#dirty = true;
+        this.#save();
+
+    };
+
+    /**
+     * Writes the positions to the storage, removing the oldest entries if `maxItems` is exceeded.
+     * @listens module:src/core/Media#media/pause
+     */
+    #save = () => {
+
+        if (!this.#dirty || !this.#loaded) return;
+
+        const entries = Object.entries(this.#positions);
+
+        if (entries.length > this.#config.maxItems) {
+            entries.sort(([, a], [, b]) => b.updated - a.updated);
+            this.#positions = Object.fromEntries(entries.slice(0, this.#config.maxItems));
+        }
+
+        this.#dirty = false;
+        this.#lastSave = Date.now();
+
+        try {
+            const result = this.#storage.setItem(this.#config.storageKey, JSON.stringify(this.#positions));
+            if (isFunction(result?.catch)) result.catch(() => {});
+        } catch {} // quota exceeded or storage not accessible
+
+    };
+
+    /**
+     * Returns a stable id for a media item, which is either its `id` property or the source of the first encoding found.
+     * Blob URLs are not stable across page loads, so those are ignored.
+     * @param   {module:src/core/Data~mediaItem} mediaItem  The media item to identify.
+     * @returns {?string}                                   The media id, or `null` if none could be determined.
+     */
+    static #getId(mediaItem) {
+
+        if (!isObject(mediaItem)) return null;
+        if (mediaItem.id) return String(mediaItem.id);
+
+        const findSrc = item => {
+            if (isString(item)) return item;
+            if (!isObject(item)) return null;
+            if (item.src) return item.src;
+            const children = item.variants ?? item.representations ?? item.encodings;
+            return isArray(children) && children.length ? findSrc(children[0]) : null;
+        };
+
+        const src = findSrc(mediaItem);
+        return src && !src.startsWith('blob:') ? src : null;
+
+    }
+
+    /**
+     * This method removes all events, subscriptions and DOM nodes created by this component.
+     * Pending positions are written to the storage before.
+     */
+    destroy() {
+
+        this.#save();
+        window.removeEventListener('pagehide', this.#save);
+        this.#dom.destroy();
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeApi(['resume.getPosition', 'resume.setPosition', 'resume.removePosition'], this.#apiKey);
+        this.#player = this.#dom = this.#storage = this.#positions = this.#apiKey = null;
+
+    }
+
+}
+
+/**
+ * A stored playback position.
+ * @typedef  {Object} module:src/ui/Resume~position
+ * @property {number} time        The position in seconds.
+ * @property {number} [duration]  The duration of the media in seconds.
+ * @property {number} updated     Timestamp of the last update.
+ */
+
+/**
+ * Fired when resuming playback is offered for the current media item.
+ * @event module:src/ui/Resume#resume/offered
+ * @param {Object} offer             Offer data.
+ * @param {string} offer.id          The media id.
+ * @param {number} offer.time        The stored position in seconds.
+ * @param {number} [offer.duration]  The stored duration of the media in seconds.
+ */
+
+/**
+ * Fired when the user (or the `autoResume` option) accepted to resume playback.
+ * @event module:src/ui/Resume#resume/accepted
+ * @param {Object} resume       Resume info.
+ * @param {string} resume.id    The media id.
+ * @param {number} resume.time  The position playback resumes from.
+ */
+
+/**
+ * Fired when the user chose to start over. The stored position is removed in this case.
+ * @event module:src/ui/Resume#resume/declined
+ * @param {Object} resume       Resume info.
+ * @param {string} resume.id    The media id.
+ * @param {number} resume.time  The position which was offered.
+ */
@@ -58,7 +58,9 @@ export default class Spinner {
      */
     constructor(player, parent) {
 
-        this.#config = player.initConfig('spinner', this.#config);
+        this.#config = player.initConfig('spinner', this.#config, {
+            delay: { min: 0 }
+        });
 
         if (!this.#config) return [false];
 
@@ -9,7 +9,7 @@ import { isString, isObject } from '../../lib/util/object.js';
  * @requires lib/dom/DomSmith
  * @requires lib/util/object
  * @author   Frank Kudermann - alphanull
- * @version  1.0.2
+ * @version  1.1.0
  * @license  MIT
  */
 export default class Thumbnails {
@@ -67,6 +67,12 @@ export default class Thumbnails {
      */
     #data;
 
+    /**
+     * Start of the clip range of the current media item, added to the (clip relative) scrubber position when selecting a thumbnail.
+     * @type {number}
+     */
+    #clipStart = 0;
+
     /**
      * Internal object storing current thumbnail info (src, dimensions, etc.).
      * @type {module:src/core/Data~mediaItem_thumbnail}
@@ -129,11 +135,12 @@ export default class Thumbnails {
 
     /**
      * Called when the media data is ready, checks for "thumbnails" in the data, sets up events if found.
-     * @param {module:src/core/Data~mediaItem}           mediaItem               Object containing media data.
-     * @param {module:src/core/Data~mediaItem_thumbnail} [mediaItem.thumbnails]  The thumbnail configuration from the media data.
+     * @param {module:src/core/Data~mediaItem}           mediaItem                Object containing media data.
+     * @param {module:src/core/Data~mediaItem_thumbnail} [mediaItem.thumbnails]   The thumbnail configuration from the media data.
+     * @param {number}                                   [mediaItem.startTime=0]  Start of the clip range.
      * @listens module:src/core/Data#data/ready
      */
-    #onDataReady = ({ thumbnails }) => {
+    #onDataReady = ({ thumbnails, startTime = 0 }) => {
 
         this.#player.unsubscribe(this.#subs);
         this.#scrubber?.thumbWrapper.classList.remove('is-visible');
@@ -143,6 +150,7 @@ export default class Thumbnails {
         this.#scrubber?.thumbWrapper.classList.add('is-visible');
 
         this.#data = thumbnails;
+        this.#clipStart = startTime;
         this.#subs = [];
 
         if (this.#config.showInScrubber) {
@@ -180,11 +188,7 @@ export default class Thumbnails {
             if (this.#thumb.src === thumbnails.src) return; // dont load same img twice
 
             this.#thumb = { src: thumbnails.src };
-            this.#scrubber.thumbImg.src = thumbnails.src;
-
-            if (this.#config.showPreview) {
-                this.#preview.backdrop.style.backgroundImage = `url(${thumbnails.src})`;
-            }
+            this.#loadImage(thumbnails.src);
 
         } else if (isObject(thumbnails.src)) {
 
@@ -193,11 +197,7 @@ export default class Thumbnails {
                 if (this.#thumb.src === thumbnails.src[language]) return;
 
                 this.#thumb = { src: thumbnails.src[language] };
-                this.#scrubber.thumbImg.src = thumbnails.src[language];
-
-                if (this.#config.showPreview) {
-                    this.#preview.backdrop.style.backgroundImage = `url(${thumbnails.src[language]})`;
-                }
+                this.#loadImage(thumbnails.src[language]);
 
             } else {
                 this.#scrubber.thumbWrapper.classList.add('has-error');
@@ -217,6 +217,23 @@ export default class Thumbnails {
 
     };
 
+    /**
+     * Loads the thumbnail image, after applying the request interceptors of the player. Since the image is loaded by the browser, only the url can be changed by interceptors.
+     * @param {string} src  The url of the thumbnail image.
+     */
+    #loadImage(src) {
+
+        this.#player.network.prepare({ url: src, type: 'thumbnails' }).then(({ url }) => {
+            if (!this.#scrubber || this.#thumb.src !== src) return; // thumbnails changed or component destroyed in the meantime
+            this.#scrubber.thumbImg.src = url;
+            if (this.#config.showPreview) this.#preview.backdrop.style.backgroundImage = `url(${url})`;
+        }).catch(error => {
+            console.error(error); // eslint-disable-line no-console
+            this.#scrubber?.thumbWrapper.classList.add('has-error');
+        });
+
+    }
+
     #onTooltipVisible = () => {
 
         const { width } = this.#scrubber.thumbImg,
@@ -265,7 +282,7 @@ export default class Thumbnails {
 
         if (!this.#config.showInScrubber || !this.#thumb.width) return;
 
-        const currentTime = this.#player.getState('media.duration') * Math.min(Math.max(percent / 100, 0), 1),
+        const currentTime = this.#clipStart + this.#player.getState('media.duration') * Math.min(Math.max(percent / 100, 0), 1),
               frame = Math.floor(currentTime * 1 / this.#data.timeDelta),
               frameY = Math.floor(frame / this.#data.gridX),
               frameX = frame % this.#data.gridX;
@@ -286,7 +303,7 @@ export default class Thumbnails {
 
         this.#preview.backdrop.classList.remove('is-hidden');
 
-        const currentTime = this.#player.getState('media.duration') * Math.min(Math.max(percent / 100, 0), 1),
+        const currentTime = this.#clipStart + this.#player.getState('media.duration') * Math.min(Math.max(percent / 100, 0), 1),
               frame = Math.floor(currentTime * 1 / this.#data.timeDelta),
               frameY = Math.floor(frame / this.#data.gridX),
               frameX = frame % this.#data.gridX;
@@ -52,7 +52,9 @@ export default class Time {
      */
     constructor(player, parent) {
 
-        this.#config = player.initConfig('time', this.#config);
+        this.#config = player.initConfig('time', this.#config, {
+            display: { enum: ['current', 'remaining'] }
+        });
 
         if (!this.#config) return [false];
 
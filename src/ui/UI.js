@@ -1,4 +1,5 @@
 import DomSmith from '../../lib/dom/DomSmith.js';
+import { isNumber } from '../../lib/util/object.js';
 
 /**
  * The UI component serves as the parent container for all UI-related elements within the video player.
@@ -6,6 +7,7 @@ import DomSmith from '../../lib/dom/DomSmith.js';
  * Additionally, it implements basic responsive design features, allowing CSS and other components to adapt the layout based on viewport size changes.
  * @exports module:src/ui/UI
  * @requires lib/dom/DomSmith
+ * @requires lib/util/object
  * @author  Frank Kudermann - alphanull
  * @version 1.1.0
  * @license MIT
@@ -119,7 +121,11 @@ export default class UI {
      */
     constructor(player, parent, { apiKey }) {
 
-        this.#config = player.initConfig('ui', this.#config);
+        this.#config = player.initConfig('ui', this.#config, {
+            autoHide: { min: 0 },
+            iconStyle: { enum: ['default', 'filled'] },
+            uiScale: { min: 0.5 }
+        });
 
         if (!this.#config) return [false];
 
@@ -157,7 +163,8 @@ export default class UI {
             this.#player.subscribe('dom/ready', this.#onDomReady),
             this.#player.subscribe('data/ready', this.#onDataReady),
             this.#player.subscribe('popup/show', this.#disableAutoHide),
-            this.#player.subscribe('popup/hidden', this.#enableAutoHide)
+            this.#player.subscribe('popup/hidden', this.#enableAutoHide),
+            this.#player.subscribe('preferences/ready', this.#onPreferencesReady)
         ];
 
         // use ResizeObserver, if supported
@@ -202,10 +209,10 @@ export default class UI {
                             min: 0,
                             max: 2,
                             step: 0.1,
-                            value: this.#config.uiScale >= 1 ? this.#config.uiScale : 0.5 + this.#config.uiScale / 2,
+                            value: UI.#getSliderValue(this.#config.uiScale),
                             ariaLabel: this.#player.locale.t('misc.uiScale'),
                             className: 'has-center-line',
-                            change: this.#setUiScale
+                            change: this.#onScaleSliderChange
                         }
                     ]
                 }]
@@ -213,7 +220,7 @@ export default class UI {
         }
 
         if (this.#config.uiScale !== 1) {
-            this.#setUiScale({ target: { value: this.#config.uiScale } });
+            this.#setUiScale({ target: { value: UI.#getSliderValue(this.#config.uiScale) } });
         }
 
     };
@@ -232,6 +239,35 @@ export default class UI {
 
     };
 
+    /**
+     * Applies the UI scale stored in the user preferences.
+     * @param {Object} preferences            The stored preferences.
+     * @param {number} [preferences.uiScale]  The stored UI scale.
+     * @listens module:src/core/Preferences#preferences/ready
+     */
+    #onPreferencesReady = ({ uiScale }) => {
+
+        if (!isNumber(uiScale) || uiScale < 0.5 || uiScale > 2) return;
+
+        const sliderValue = UI.#getSliderValue(uiScale);
+
+        this.#config.uiScale = uiScale;
+        if (this.#menu) this.#menu.slider.value = sliderValue;
+        this.#setUiScale({ target: { value: sliderValue } });
+
+    };
+
+    /**
+     * Handles user changes of the scale slider and stores the new scale in the user preferences.
+     * @param {InputEvent} event  The input event which called this handler.
+     */
+    #onScaleSliderChange = event => {
+
+        this.#setUiScale(event);
+        this.#player.preferences?.set('uiScale', this.#state.scale);
+
+    };
+
     /**
      * Sets the UI scale.
      * @param {InputEvent} event  The input event which called this handler.
@@ -240,8 +276,12 @@ export default class UI {
 
         let value = Number(target.value);
         value = value >= 1 ? value : 0.5 + value / 2;
-        this.#menu.scaleLabel.textContent = ` (x${value})`;
-        this.#menu.slider.setAttribute('aria-valuetext', `x${value}`);
+
+        if (this.#menu) {
+            this.#menu.scaleLabel.textContent = ` (x${value})`;
+            this.#menu.slider.setAttribute('aria-valuetext', `x${value}`);
+        }
+
         this.#rootEle.style.setProperty('--vip-ui-scale', value);
         this.#state.scale = value;
         this.#player.publish('ui/resize', { width: this.#state.playerWidth, height: this.#state.playerHeight }, this.#apiKey);
@@ -504,6 +544,17 @@ export default class UI {
 
     }
 
+    /**
+     * Converts a UI scale factor to the corresponding scale slider value (inverse of the mapping used in `#setUiScale`).
+     * @param   {number} scale  The UI scale factor.
+     * @returns {number}        The slider value.
+     */
+    static #getSliderValue(scale) {
+
+        return scale >= 1 ? scale : (scale - 0.5) * 2;
+
+    }
+
     /**
      * This method removes all events, subscriptions and DOM nodes created by this component.
      */
@@ -1,11 +1,17 @@
+import BufferedAudio from './BufferedAudio.js';
+
 /**
  * The `AudioChain` component implements an own audio processing chain for the player, where other components can insert their own processing chains in order to add effects, filters, analyzers or other processing.
  * This component ensures that all audio is routed through a consistent and controllable flow and also automatically suspends or resumes audio processing based on the media's playback state.
  * If no external `AudioNode`s are attached, the audio is simply passed through. As soon as other modules insert nodes into the chain, they are automatically connected in a logical sequence,
  * and disconnected when removed. Please note that this component has some limitations when building the audio graph, so it is recommended to add `AudioNode`s early during initialization and not change the graph later on.
+ * Each media element is connected to the chain using its own gain node, so that the audio output can be handed over from one element to another, as needed for gapless playback,
+ * or crossfaded using one of several fade curves. Handovers can also be scheduled at an exact time of the audio clock. Together with media elements
+ * which play their source from an `AudioBuffer` (see `audio.bufferElement()`), this is used for sample-accurate gapless playback.
  * @exports module:src/util/AudioChain
+ * @requires src/util/BufferedAudio
  * @author Frank Kudermann - alphanull
- * @version 1.0.0
+ * @version 1.2.0
  * @license MIT
  */
 export default class AudioChain {
@@ -48,10 +54,28 @@ export default class AudioChain {
     #nodes = [];
 
     /**
-     * The MediaElementSourceNode connected to the video element. Will be set in `connectVideo()`.
-     * @type {MediaElementAudioSourceNode|null}
+     * The input node of the processing chain, which mixes the audio of all connected media elements.
+     * @type {GainNode}
+     */
+    #input;
+
+    /**
+     * The media elements connected to the chain. As a MediaElementSourceNode can only be created once per element, sources are kept until the element is released.
+     * @type {Map<HTMLMediaElement, { source: MediaElementAudioSourceNode, gain: GainNode, releaseId: number }>}
      */
-    #mediaSource = null;
+    #sources = new Map();
+
+    /**
+     * Media elements which play their source from an `AudioBuffer`, instead of using their own decoder.
+     * @type {WeakMap<HTMLMediaElement, module:src/util/BufferedAudio>}
+     */
+    #buffered = new WeakMap();
+
+    /**
+     * The media element which currently is audible.
+     * @type {HTMLMediaElement|null}
+     */
+    #current = null;
 
     /**
      * Timeout id delaying suspending.
@@ -77,15 +101,18 @@ export default class AudioChain {
         this.#masterGain.gain.value = 1;
         this.#masterGain.connect(this.#audioContext.destination);
 
+        this.#input = this.#audioContext.createGain();
+
         this.#apiKey = apiKey;
 
         this.#player = player;
         this.#player.setApi('audio.addNode', this.#addNode, this.#apiKey);
         this.#player.setApi('audio.removeNode', this.#removeNode, this.#apiKey);
         this.#player.setApi('audio.getContext', this.#getContext, this.#apiKey);
+        this.#player.setApi('audio.handover', this.#handover, this.#apiKey);
+        this.#player.setApi('audio.bufferElement', this.#bufferElement, this.#apiKey);
 
         this.#subscriptions = [
-            ['data/ready', this.#disconnectVideo],
             ['media/ready', this.#connectVideo],
             ['media/play', this.#resumeAudio],
             ['media/pause', this.#suspendAudio]
@@ -159,32 +186,143 @@ export default class AudioChain {
     };
 
     /**
-     * Connects the MediaElementAudioSourceNode to the Web Audio graph.
-     * Ensures that only one instance of mediaSource exists.
+     * Connects the current media element to the Web Audio graph and releases all other elements.
+     * If the element was already handed over (as with gapless playback or crossfades), a running fade is not interrupted.
      * @listens module:src/core/Media#media/ready
      */
     #connectVideo = () => {
 
-        if (this.#mediaSource) return;
-
-        const videoElem = this.#player.media.getElement(this.#apiKey);
-        this.#mediaSource = this.#audioContext.createMediaElementSource(videoElem); // Create exactly one MediaElementSource for the <video>
+        const element = this.#player.media.getElement(this.#apiKey);
+        if (element !== this.#current) this.#handover(element, {}, this.#apiKey);
         this.#connectAudio(); // Now wire all nodes in the chain
 
     };
 
     /**
-     * Disconnects the MediaElementAudioSourceNode.
-     * @listens module:src/core/Data#data/ready
+     * Turns a media element into one which plays its source from an `AudioBuffer` through this chain, instead of using its own decoder.
+     * Such an element can be started at an exact time of the audio clock, which is used by the Media component for sample-accurate gapless playback.
+     * This must be called before a source is assigned to the element.
+     * @param   {HTMLMediaElement}              element  The media element to turn into a buffered one.
+     * @param   {symbol}                        apiKey   Token needed to grant access in secure mode.
+     * @returns {module:src/util/BufferedAudio}          The instance controlling the element, which also allows scheduling playback.
+     * @throws  {Error}                                  If safe mode access was denied.
      */
-    #disconnectVideo = () => {
+    #bufferElement = (element, apiKey) => {
 
-        if (!this.#mediaSource) return;
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: access denied.');
+        }
+
+        const buffered = new BufferedAudio(element, this.#audioContext, (url, options) => this.#player.network.fetch(url, options));
+        this.#buffered.set(element, buffered);
+        return buffered;
 
-        this.#mediaSource.disconnect();
-        this.#mediaSource = null;
     };
 
+    /**
+     * Hands the audio output over to another media element, which is connected to the chain (if not already done) and made audible,
+     * while all other elements are silenced and released. Used by the Media component to start a preloaded element for gapless playback
+     * or crossfades, before this element actually becomes the current media element. With a `duration`, the elements are crossfaded,
+     * and the other elements are released when the fade is finished. With `when`, the handover takes place at this time of the audio clock.
+     * @param  {HTMLMediaElement}                           element    The media element which should be audible.
+     * @param  {module:src/util/AudioChain~handoverOptions} [options]  Options for crossfading.
+     * @param  {symbol}                                     apiKey     Token needed to grant access in secure mode.
+     * @throws {Error}                                                 If safe mode access was denied.
+     */
+    #handover = (element, options = {}, apiKey) => {
+
+        if (this.#apiKey && this.#apiKey !== apiKey) {
+            throw new Error('[Visionplayer] Secure mode: access denied.');
+        }
+
+        const { duration = 0, curve = 'linear', when = 0 } = options,
+              now = this.#audioContext.currentTime,
+              at = Math.max(when, now);
+
+        if (!this.#sources.has(element)) {
+            // buffered elements provide their own output, otherwise exactly one MediaElementSource per element
+            const source = this.#buffered.get(element)?.output ?? this.#audioContext.createMediaElementSource(element),
+                  gain = this.#audioContext.createGain();
+            gain.gain.value = 0;
+            source.connect(gain);
+            gain.connect(this.#input);
+            this.#sources.set(element, { source, gain });
+        }
+
+        this.#sources.forEach((entry, ele) => {
+
+            const { gain: { gain } } = entry,
+                  target = ele === element ? 1 : 0;
+
+            clearTimeout(entry.releaseId);
+
+            // start from the current value, as a previous fade might have been interrupted, and keep it until the handover takes place
+            const from = gain.value;
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(from, now);
+
+            if (duration > 0 && from !== target) {
+                gain.setValueCurveAtTime(AudioChain.#getFadeCurve(curve, from, target), at, duration);
+            } else {
+                gain.setValueAtTime(target, at);
+            }
+
+            if (ele === element) return;
+
+            // timers are not exactly in sync with the audio clock, so wait a little longer before disconnecting after a scheduled handover
+            const delay = at - now + duration + (at > now ? 0.1 : 0);
+            if (delay > 0) entry.releaseId = setTimeout(() => this.#releaseElement(ele), delay * 1000);
+            else this.#releaseElement(ele);
+
+        });
+
+        this.#current = element;
+
+    };
+
+    /**
+     * Calculates the gain values of a fade.
+     * @param   {'linear'|'equalPower'|'sCurve'} curve   The type of the fade curve. `equalPower` keeps the perceived loudness constant during a crossfade.
+     * @param   {number}                         from    The gain at the start of the fade.
+     * @param   {number}                         target  The gain at the end of the fade, `1` for fading in, `0` for fading out.
+     * @returns {Float32Array}                           The gain values, to be used with `setValueCurveAtTime()`.
+     */
+    static #getFadeCurve(curve, from, target) {
+
+        const shapes = {
+                  linear: x => x,
+                  equalPower: x => Math.sin(x * Math.PI / 2),
+                  sCurve: x => x * x * (3 - 2 * x)
+              },
+              shape = shapes[curve] ?? shapes.linear,
+              values = new Float32Array(64);
+
+        for (let i = 0; i < values.length; i += 1) {
+            const x = i / (values.length - 1);
+            // fading out mirrors the curve, so that an equal power fade out follows a cosine
+            values[i] = target > from ? from + (target - from) * shape(x) : target + (from - target) * shape(1 - x);
+        }
+
+        return values;
+
+    }
+
+    /**
+     * Disconnects a media element from the chain.
+     * @param {HTMLMediaElement} element  The element to release.
+     */
+    #releaseElement(element) {
+
+        const { source, gain, releaseId } = this.#sources.get(element) ?? {};
+
+        clearTimeout(releaseId);
+        source?.disconnect();
+        gain?.disconnect();
+        this.#sources.delete(element);
+        if (this.#current === element) this.#current = null;
+
+    }
+
     /**
      * Suspends the audio context with a delay after pausing.
      * @listens module:src/core/Media#media/pause
@@ -214,17 +352,17 @@ export default class AudioChain {
         // Sort nodes by order
         const sorted = [...this.#nodes].sort((a, b) => (a.order || 0) - (b.order || 0));
 
-        // If there are any nodes in the chain, attach them to mediaSource
+        // If there are any nodes in the chain, attach them to the input
         if (sorted.length) {
 
-            let prev = this.#mediaSource;
+            let prev = this.#input;
             for (const { input, output } of sorted) {
                 prev.connect(input);
                 prev = output || prev; // If output is null (e.g., AnalyserNode), prev remains the same
             }
             prev.connect(this.#masterGain);
 
-        } else this.#mediaSource.connect(this.#masterGain); // No additional nodes, directly connect mediaSource to masterGain
+        } else this.#input.connect(this.#masterGain); // No additional nodes, directly connect the input to masterGain
 
         // Close the chain by connecting masterGain to the output
 
@@ -237,14 +375,9 @@ export default class AudioChain {
     #disconnectAudio() {
 
         clearTimeout(this.#suspendDelayId);
-        this.#mediaSource?.disconnect();
+        this.#input.disconnect();
         this.#masterGain.disconnect();
 
-        // Remove only the first connection from mediaSource
-        this.#nodes.forEach(({ input }) => {
-            this.#mediaSource.disconnect(input);
-        });
-
         this.#nodes = [];
     }
 
@@ -255,13 +388,21 @@ export default class AudioChain {
     destroy() {
 
         this.#disconnectAudio();
-        this.#disconnectVideo();
+        this.#sources.forEach((source, element) => this.#releaseElement(element));
         this.#audioContext.close();
 
-        this.#player.removeApi(['audio.addNode', 'audio.removeNode', 'audio.getContext'], this.#apiKey);
+        this.#player.removeApi(['audio.addNode', 'audio.removeNode', 'audio.getContext', 'audio.handover', 'audio.bufferElement'], this.#apiKey);
         this.#player.unsubscribe(this.#subscriptions);
-        this.#player = this.#audioContext = this.#mediaSource = this.#apiKey = null;
+        this.#player = this.#audioContext = this.#input = this.#sources = this.#apiKey = null;
 
     }
 
 }
+
+/**
+ * Options for handing the audio output over to another media element.
+ * @typedef  {Object} module:src/util/AudioChain~handoverOptions
+ * @property {number}                         [duration=0]      Duration of the crossfade in seconds, `0` switches immediately.
+ * @property {'linear'|'equalPower'|'sCurve'} [curve='linear']  The type of the fade curve.
+ * @property {number}                         [when=0]          Time of the audio clock (as in `AudioContext.currentTime`) at which the handover takes place. Takes place immediately if this time has already passed.
+ */
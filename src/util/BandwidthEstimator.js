@@ -0,0 +1,277 @@
+import getStorage from './storage.js';
+
+/**
+ * The BandwidthEstimator measures the download throughput available to the player, which is used for choosing the quality of progressive sources.
+ * Samples are taken from the progress of the media element (using the growth of the buffered ranges and the bit rate of the current source),
+ * as well as from the Resource Timing API (using the transfer size and duration of larger downloads).
+ * The estimate is a moving average of these samples, which is shared by all players on the page. Only if a storage is provided, it is also persisted,
+ * so it is remembered across loads: the estimate (in bits per second) is written using the key `vip-bandwidth`, but only once an actual sample was measured.
+ * @exports module:src/util/BandwidthEstimator
+ * @requires src/util/storage
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class BandwidthEstimator {
+
+    /**
+     * The current estimate in bits per second, shared by all instances. `0` if no estimate is available yet.
+     * @type {number}
+     */
+    static #estimate = 0;
+
+    /**
+     * Timestamp of the last write to the storage.
+     * @type {number}
+     */
+    static #lastSave = 0;
+
+    /**
+     * Key under which the estimate is persisted.
+     * @type {string}
+     */
+    static #storageKey = 'vip-bandwidth';
+
+    /**
+     * Weight of a new sample in the moving average.
+     * @type {number}
+     */
+    static #weight = 0.3;
+
+    /**
+     * Minimum size (in bytes) of a resource to be used as a sample, since smaller downloads are dominated by latency.
+     * @type {number}
+     */
+    static #minTransferSize = 100000;
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Callback invoked with the new estimate whenever a sample was added.
+     * @type {Function}
+     */
+    #onUpdate;
+
+    /**
+     * Holds tokens of subscriptions to player events, for later unsubscribe.
+     * @type {number[]}
+     */
+    #subscriptions;
+
+    /**
+     * Observer for resource timing entries, if supported.
+     * @type {PerformanceObserver|undefined}
+     */
+    #observer;
+
+    /**
+     * The storage adapter used for persisting the estimate, or `null` if the estimate is only kept in memory.
+     * @type {module:src/util/storage~storageAdapter|null}
+     */
+    #storage = null;
+
+    /**
+     * Absolute url of the current source. Only resource timing entries for this url are used as samples.
+     * @type {string|null}
+     */
+    #src = null;
+
+    /**
+     * Bit rate of the current source, used for converting buffered seconds to bits.
+     * @type {number|undefined}
+     */
+    #bitRate;
+
+    /**
+     * The previous progress sample.
+     * @type     {Object|null}
+     * @property {number}      time      Timestamp of the sample in milliseconds.
+     * @property {number}      buffered  Total buffered duration in seconds.
+     */
+    #lastProgress = null;
+
+    /**
+     * Indicates if this instance has added samples which were not persisted yet.
+     * @type {boolean}
+     */
+    #hasUnsaved = false;
+
+    /**
+     * Creates a new estimator for a player.
+     * @param {module:src/core/Player}                                                 player      Reference to the player instance.
+     * @param {Function}                                                               [onUpdate]  Callback invoked with the new estimate (in bits per second) whenever a sample was added.
+     * @param {'local'|'session'|'memory'|module:src/util/storage~storageAdapter|null} [storage]   The storage used for persisting the estimate. If omitted, the estimate is only kept in memory.
+     */
+    constructor(player, onUpdate = () => {}, storage = null) {
+
+        this.#player = player;
+        this.#onUpdate = onUpdate;
+
+        if (storage) {
+            this.#storage = getStorage(storage);
+            if (!BandwidthEstimator.#estimate) this.#restore();
+        }
+
+        this.#subscriptions = [
+            ['media/ready', this.#onMediaReady],
+            ['media/seeking', this.#onSeeking],
+            ['media/progress', this.#onProgress]
+        ].map(([event, handler]) => this.#player.subscribe(event, handler));
+
+        if (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes?.includes('resource')) {
+            this.#observer = new PerformanceObserver(this.#onResourceEntries);
+            this.#observer.observe({ type: 'resource' });
+        }
+
+    }
+
+    /**
+     * Returns the current estimate.
+     * @returns {number} The estimated bandwidth in bits per second, or `0` if no estimate is available yet.
+     */
+    getEstimate() { // eslint-disable-line class-methods-use-this
+
+        return BandwidthEstimator.#estimate;
+
+    }
+
+    /**
+     * Resets the progress sampling when a new source is ready, and remembers its url and bit rate.
+     * @param {module:src/core/Media~metaData} metaData  The meta data of the new source.
+     * @listens module:src/core/Media#media/ready
+     */
+    #onMediaReady = ({ src, bitRate } = {}) => {
+
+        this.#bitRate = bitRate;
+        this.#lastProgress = null;
+
+        try {
+            this.#src = src ? new URL(src, document.baseURI).href : null;
+        } catch {
+            this.#src = null;
+        }
+
+    };
+
+    /**
+     * Resets the progress sampling when seeking, since the buffered ranges may change independently of the download.
+     * @listens module:src/core/Media#media/seeking
+     */
+    #onSeeking = () => {
+
+        this.#lastProgress = null;
+
+    };
+
+    /**
+     * Samples the throughput from the growth of the buffered ranges since the last progress event.
+     * Requires the bit rate of the current source, and ignores gaps between progress events (for example when the download was suspended).
+     * @listens module:src/core/Media#media/progress
+     */
+    #onProgress = () => {
+
+        if (!this.#bitRate) return;
+
+        const ranges = this.#player.getState('media.buffered'),
+              time = performance.now();
+
+        let buffered = 0;
+        for (let i = 0; i < (ranges?.length ?? 0); i += 1) buffered += ranges.end(i) - ranges.start(i);
+
+        const last = this.#lastProgress;
+        this.#lastProgress = { time, buffered };
+
+        if (!last || buffered <= last.buffered || time - last.time > 5000) return;
+
+        this.#addSample((buffered - last.buffered) * this.#bitRate / ((time - last.time) / 1000));
+
+    };
+
+    /**
+     * Samples the throughput from completed downloads of the current source reported by the Resource Timing API, so that other downloads on the page
+     * (which may come from other servers) do not affect the estimate. Only downloads larger than `#minTransferSize` with a known transfer size are used
+     * (cross origin resources without `Timing-Allow-Origin` report no size).
+     * @param {PerformanceObserverEntryList} list  The new resource timing entries.
+     */
+    #onResourceEntries = list => {
+
+        if (!this.#src) return;
+
+        list.getEntries().forEach(({ name, transferSize, requestStart, responseEnd }) => {
+            const duration = (responseEnd - requestStart) / 1000;
+            if (name === this.#src && transferSize >= BandwidthEstimator.#minTransferSize && requestStart > 0 && duration > 0) {
+                this.#addSample(transferSize * 8 / duration);
+            }
+        });
+
+    };
+
+    /**
+     * Adds a sample to the moving average, persists the estimate from time to time and notifies the callback.
+     * @param {number} bitsPerSecond  The measured throughput.
+     */
+    #addSample(bitsPerSecond) {
+
+        if (!isFinite(bitsPerSecond) || bitsPerSecond <= 0) return;
+
+        const weight = BandwidthEstimator.#weight,
+              estimate = BandwidthEstimator.#estimate;
+
+        BandwidthEstimator.#estimate = Math.round(estimate ? estimate * (1 - weight) + bitsPerSecond * weight : bitsPerSecond);
+
+        this.#hasUnsaved = Boolean(this.#storage);
+
+        if (this.#hasUnsaved && Date.now() - BandwidthEstimator.#lastSave > 5000) {
+            this.#save();
+            this.#hasUnsaved = false;
+        }
+
+        this.#onUpdate(BandwidthEstimator.#estimate);
+
+    }
+
+    /**
+     * Restores the persisted estimate. Supports both synchronous and asynchronous storage adapters.
+     * A restored value never overrides an estimate which was measured in the meantime.
+     */
+    async #restore() {
+
+        try {
+            const stored = Number(await this.#storage.getItem(BandwidthEstimator.#storageKey)) || 0;
+            if (!BandwidthEstimator.#estimate) BandwidthEstimator.#estimate = stored;
+        } catch {} // storage not accessible
+
+    }
+
+    /**
+     * Persists the current estimate, as long as there is one.
+     */
+    async #save() {
+
+        if (!BandwidthEstimator.#estimate) return;
+
+        BandwidthEstimator.#lastSave = Date.now();
+
+        try {
+            await this.#storage.setItem(BandwidthEstimator.#storageKey, String(BandwidthEstimator.#estimate));
+        } catch {} // quota exceeded or storage not accessible
+
+    }
+
+    /**
+     * Persists the estimate (if this instance added samples since the last write), and removes all subscriptions and observers.
+     */
+    destroy() {
+
+        if (this.#hasUnsaved) this.#save();
+        this.#observer?.disconnect();
+        this.#player.unsubscribe(this.#subscriptions);
+        this.#player = this.#observer = this.#onUpdate = null;
+
+    }
+
+}
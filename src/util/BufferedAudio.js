@@ -0,0 +1,521 @@
+import ExtendedMediaError from './ExtendedMediaError.js';
+
+/**
+ * The BufferedAudio class turns a media element into one which plays its source from an `AudioBuffer` using the Web Audio API, instead of using the decoder of the element.
+ * The whole source is downloaded and decoded in advance, so that playback can be started at an exact time of the audio clock, which is used for sample-accurate gapless playback.
+ * As with the MediaSimulator, the relevant properties and methods of the element (like `currentTime`, `paused`, `play()` or `load()`) are replaced, and the same events are dispatched
+ * as with a real element, while the element itself stays a regular DOM node. The audio is not played by the element, but by the `output` node, which has to be connected to the audio graph.
+ * **Note:** since the source is decoded as a whole, this needs considerably more memory than a regular media element (about 20 MB per minute of stereo audio at 44.1 kHz),
+ * and sources from other origins require CORS. Also, changing the playback rate changes the pitch as well.
+ * @exports module:src/util/BufferedAudio
+ * @requires src/util/ExtendedMediaError
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class BufferedAudio {
+
+    /**
+     * The media element which is replaced.
+     * @type {HTMLMediaElement}
+     */
+    #element;
+
+    /**
+     * The audio context used for decoding and playback.
+     * @type {AudioContext}
+     */
+    #context;
+
+    /**
+     * Function used for downloading the source, with the same signature as the `fetch` API of the Network component.
+     * @type {Function}
+     */
+    #fetch;
+
+    /**
+     * Gain node which applies volume and mute state, and which provides the audio output.
+     * @type {GainNode}
+     */
+    #output;
+
+    /**
+     * The decoded source.
+     * @type {AudioBuffer|null}
+     */
+    #buffer = null;
+
+    /**
+     * The source node currently playing the buffer, `null` if not playing. As a source node can only be started once, a new one is created each time playback starts.
+     * @type {AudioBufferSourceNode|null}
+     */
+    #source = null;
+
+    /**
+     * Controller used for aborting the download when another source is loaded.
+     * @type {AbortController|null}
+     */
+    #abortController = null;
+
+    /**
+     * Interval id for dispatching `timeupdate` events while playing.
+     * @type {number}
+     */
+    #timeUpdateId;
+
+    /**
+     * The state of the media element.
+     * @type     {Object}
+     * @property {string}                              src           The current source.
+     * @property {number}                              duration      The duration of the media, `NaN` until the source is decoded.
+     * @property {number}                              position      The position of the playhead when playback was started (or paused).
+     * @property {number}                              startedAt     Time of the audio clock at which playback was (or will be) started.
+     * @property {number}                              maxPlayed     The furthest position played so far.
+     * @property {boolean}                             paused        Whether the media is paused.
+     * @property {boolean}                             ended         Whether the media has ended.
+     * @property {boolean}                             seeking       Whether the media is seeking.
+     * @property {boolean}                             loop          Whether the media is looping.
+     * @property {number}                              readyState    The ready state, which changes from `0` to `4` as soon as the source is decoded.
+     * @property {number}                              networkState  The network state, `2` while downloading and decoding, `1` when done, `3` without source or after an error.
+     * @property {?module:src/util/ExtendedMediaError} error         The current error, if any.
+     * @property {number}                              volume        The current volume.
+     * @property {boolean}                             muted         Whether the media is muted.
+     * @property {number}                              playbackRate  The current playback rate.
+     */
+    #state = {
+        src: '',
+        duration: NaN,
+        position: 0,
+        startedAt: 0,
+        maxPlayed: 0,
+        paused: true,
+        ended: false,
+        seeking: false,
+        loop: false,
+        readyState: 0,
+        networkState: 0,
+        error: null,
+        volume: 1,
+        muted: false,
+        playbackRate: 1
+    };
+
+    /**
+     * Creates a new instance.
+     * @param {HTMLMediaElement} element  The element to replace. All relevant properties and methods are replaced on this instance.
+     * @param {AudioContext}     context  The audio context used for decoding and playback.
+     * @param {Function}         fetch    Function used for downloading the source, with the same signature as the `fetch` API of the Network component.
+     */
+    constructor(element, context, fetch) {
+
+        this.#element = element;
+        this.#context = context;
+        this.#fetch = fetch;
+        this.#output = context.createGain();
+
+        const state = this.#state,
+              getter = key => ({ get: () => state[key], configurable: true }),
+              method = fn => ({ value: fn, configurable: true, writable: true });
+
+        Object.defineProperties(element, {
+            src: { get: () => state.src, set: value => { state.src = String(value ?? ''); }, configurable: true },
+            currentSrc: getter('src'),
+            duration: getter('duration'),
+            paused: getter('paused'),
+            ended: getter('ended'),
+            seeking: getter('seeking'),
+            readyState: getter('readyState'),
+            networkState: getter('networkState'),
+            error: getter('error'),
+            currentTime: { get: () => this.#getCurrentTime(), set: value => { this.#seek(value); }, configurable: true },
+            loop: { get: () => state.loop, set: value => { state.loop = Boolean(value); }, configurable: true },
+            volume: { get: () => state.volume, set: value => { this.#setVolume(value); }, configurable: true },
+            muted: { get: () => state.muted, set: value => { this.#setMuted(value); }, configurable: true },
+            playbackRate: { get: () => state.playbackRate, set: value => { this.#setPlaybackRate(value); }, configurable: true },
+            buffered: { get: () => this.#getRanges(state.duration), configurable: true },
+            seekable: { get: () => this.#getRanges(state.duration), configurable: true },
+            played: { get: () => this.#getRanges(Math.max(state.maxPlayed, this.#getCurrentTime())), configurable: true },
+            load: method(() => this.#load()),
+            play: method(() => this.#play()),
+            pause: method(() => this.#pause())
+        });
+
+    }
+
+    /**
+     * The node providing the audio output, which has to be connected to the audio graph.
+     * @type {GainNode}
+     */
+    get output() {
+
+        return this.#output;
+
+    }
+
+    /**
+     * Starts playback at an exact time of the audio clock. Apart from that, this is the same as calling `play()` on the element.
+     * If the source is not decoded yet, playback starts as soon as it is.
+     * @param   {number}  when  Time of the audio clock (as in `AudioContext.currentTime`) at which playback starts.
+     * @returns {Promise}       A promise which resolves, or rejects if the media has an error or no source.
+     */
+    start(when) {
+
+        return this.#play(when);
+
+    }
+
+    /**
+     * Returns the time of the audio clock at which the playhead reaches a position of the media, provided that playback continues without interruption.
+     * @param   {number}      mediaTime  The position of the media in seconds.
+     * @returns {number|null}            The time of the audio clock, or `null` if the media is not playing.
+     */
+    getContextTime(mediaTime) {
+
+        const { position, startedAt, playbackRate } = this.#state;
+        return this.#source ? startedAt + (mediaTime - position) / playbackRate : null;
+
+    }
+
+    /**
+     * Stops playback and downloading, and releases the decoded source, without dispatching any events.
+     */
+    release() {
+
+        this.#reset();
+        Object.assign(this.#state, { src: '', duration: NaN, position: 0, paused: true, readyState: 0, networkState: 0 });
+
+    }
+
+    /**
+     * Loads the current source by downloading and decoding it. Previous downloads are aborted.
+     */
+    #load() {
+
+        this.#reset();
+
+        const state = this.#state,
+              { src } = state;
+
+        Object.assign(state, { duration: NaN, position: 0, maxPlayed: 0, paused: true, ended: false, seeking: false, readyState: 0, networkState: src ? 2 : 3, error: null });
+        this.#dispatch('loadstart');
+
+        if (!src) return;
+
+        const controller = new AbortController();
+        this.#abortController = controller;
+
+        this.#decode(src, controller.signal).then(buffer => {
+
+            if (controller.signal.aborted) return;
+
+            this.#buffer = buffer;
+            state.duration = buffer.duration;
+            state.readyState = 4;
+            state.networkState = 1;
+
+            ['durationchange', 'loadedmetadata', 'loadeddata', 'canplay', 'canplaythrough'].forEach(type => this.#dispatch(type));
+
+            // play() was called while decoding
+            if (!state.paused) {
+                this.#startSource();
+                this.#dispatch('playing');
+            }
+
+        }).catch(error => {
+
+            if (controller.signal.aborted) return;
+
+            state.error = error instanceof ExtendedMediaError ? error : new ExtendedMediaError(3, { message: error.message, cause: error });
+            state.networkState = 3;
+            this.#dispatch('error');
+
+        });
+
+    }
+
+    /**
+     * Downloads and decodes a source.
+     * @param   {string}                             src     The source to decode.
+     * @param   {AbortSignal}                        signal  Signal for aborting the download.
+     * @returns {Promise<AudioBuffer>}                       The decoded source.
+     * @throws  {module:src/util/ExtendedMediaError}         With code `2` if downloading failed.
+     */
+    async #decode(src, signal) {
+
+        let response;
+
+        try {
+            const credentials = this.#element.crossOrigin === 'use-credentials' ? 'include' : 'same-origin';
+            response = await this.#fetch(src, { type: 'media', signal, credentials });
+        } catch (error) {
+            throw new ExtendedMediaError(2, { message: error.message, cause: error });
+        }
+
+        if (!response.ok) throw new ExtendedMediaError(2, { status: response.status, message: `HTTP ERROR: ${response.status}` });
+
+        return this.#context.decodeAudioData(await response.arrayBuffer());
+
+    }
+
+    /**
+     * Starts playback.
+     * @param   {number}  [when]  Time of the audio clock at which playback starts, playback starts immediately if omitted.
+     * @returns {Promise}         A promise which resolves, or rejects if the media has an error or no source.
+     */
+    #play(when) {
+
+        const state = this.#state;
+
+        if (state.error || !state.src) return Promise.reject(new DOMException('The element has no supported sources.', 'NotSupportedError'));
+        if (state.ended) this.#seek(0);
+        if (!state.paused) return Promise.resolve();
+
+        state.paused = false;
+        this.#dispatch('play');
+
+        if (state.readyState >= 3) {
+            this.#startSource(when);
+            this.#dispatch('playing');
+        } else this.#dispatch('waiting');
+
+        return Promise.resolve();
+
+    }
+
+    /**
+     * Pauses playback.
+     */
+    #pause() {
+
+        if (this.#state.paused) return;
+
+        this.#stopSource();
+        this.#state.paused = true;
+        this.#dispatch('timeupdate');
+        this.#dispatch('pause');
+
+    }
+
+    /**
+     * Seeks to another position. If playing, playback continues from the new position immediately. The `seeked` event is dispatched asynchronously, as with a real element.
+     * @param  {number}    position  The position to seek to.
+     * @throws {TypeError}           If the position is not a finite number.
+     */
+    #seek(position) {
+
+        const state = this.#state,
+              time = Number(position);
+
+        if (!isFinite(time)) throw new TypeError(`The provided double value is non-finite: ${position}`);
+
+        const playing = Boolean(this.#source);
+
+        if (playing) this.#stopSource();
+        state.position = Math.min(Math.max(time, 0), isNaN(state.duration) ? Infinity : state.duration);
+        if (playing) this.#startSource();
+
+        if (!state.readyState) return;
+
+        state.ended = false;
+        state.seeking = true;
+        this.#dispatch('seeking');
+
+        queueMicrotask(() => {
+            if (!state.seeking) return;
+            state.seeking = false;
+            this.#dispatch('timeupdate');
+            this.#dispatch('seeked');
+            if (!state.paused) this.#dispatch('playing');
+        });
+
+    }
+
+    /**
+     * Creates a source node and starts it from the current position.
+     * @param {number} [when]  Time of the audio clock at which playback starts, playback starts immediately if omitted.
+     */
+    #startSource(when = 0) {
+
+        const state = this.#state,
+              source = this.#context.createBufferSource();
+
+        source.buffer = this.#buffer;
+        source.playbackRate.value = state.playbackRate;
+        source.connect(this.#output);
+        source.onended = () => { if (this.#source === source) this.#onEnd(); };
+
+        state.startedAt = Math.max(when, this.#context.currentTime);
+        source.start(state.startedAt, Math.min(state.position, state.duration));
+
+        this.#source = source;
+
+        clearInterval(this.#timeUpdateId);
+        this.#timeUpdateId = setInterval(() => this.#dispatch('timeupdate'), 250);
+
+    }
+
+    /**
+     * Stops and discards the current source node, and remembers the position at which it was stopped.
+     */
+    #stopSource() {
+
+        const source = this.#source;
+
+        clearInterval(this.#timeUpdateId);
+
+        if (!source) return;
+
+        const state = this.#state;
+
+        state.position = this.#getCurrentTime();
+        state.maxPlayed = Math.max(state.maxPlayed, state.position);
+
+        this.#source = null;
+        source.onended = null;
+        source.stop();
+        source.disconnect();
+
+    }
+
+    /**
+     * Called when the source node reached the end of the buffer. Either starts over if looping, or ends playback.
+     */
+    #onEnd() {
+
+        const state = this.#state;
+
+        this.#stopSource();
+        state.position = state.maxPlayed = state.duration;
+
+        if (state.loop) {
+            state.position = 0;
+            this.#startSource();
+            this.#dispatch('timeupdate');
+            return;
+        }
+
+        state.paused = true;
+        state.ended = true;
+        this.#dispatch('timeupdate');
+        this.#dispatch('pause');
+        this.#dispatch('ended');
+
+    }
+
+    /**
+     * Stops playback, aborts a running download and discards the decoded source.
+     */
+    #reset() {
+
+        this.#abortController?.abort();
+        this.#abortController = null;
+        this.#stopSource();
+        this.#buffer = null;
+
+    }
+
+    /**
+     * Returns the current position of the playhead, which is derived from the audio clock while playing.
+     * @returns {number} The current position in seconds.
+     */
+    #getCurrentTime() {
+
+        const { position, startedAt, playbackRate, duration } = this.#state;
+
+        if (!this.#source) return position;
+        return Math.min(position + Math.max(this.#context.currentTime - startedAt, 0) * playbackRate, duration);
+
+    }
+
+    /**
+     * Sets the volume, as with a real element values out of range throw an error.
+     * @param  {number}       value  The new volume.
+     * @throws {DOMException}        If the volume is outside of the range 0 to 1.
+     */
+    #setVolume(value) {
+
+        const volume = Number(value);
+
+        if (!(volume >= 0 && volume <= 1)) throw new DOMException(`The volume provided (${value}) is outside the range [0, 1].`, 'IndexSizeError');
+        if (volume === this.#state.volume) return;
+
+        this.#state.volume = volume;
+        this.#updateGain();
+        this.#dispatch('volumechange');
+
+    }
+
+    /**
+     * Mutes or unmutes the media.
+     * @param {boolean} value  If `true`, the media is muted.
+     */
+    #setMuted(value) {
+
+        if (Boolean(value) === this.#state.muted) return;
+
+        this.#state.muted = Boolean(value);
+        this.#updateGain();
+        this.#dispatch('volumechange');
+
+    }
+
+    /**
+     * Applies volume and mute state to the output node.
+     */
+    #updateGain() {
+
+        this.#output.gain.value = this.#state.muted ? 0 : this.#state.volume;
+
+    }
+
+    /**
+     * Sets the playback rate. While playing, the playhead continues from its current position with the new rate.
+     * @param {number} value  The new playback rate.
+     */
+    #setPlaybackRate(value) {
+
+        const state = this.#state,
+              rate = Number(value);
+
+        if (!(rate > 0) || rate === state.playbackRate) return;
+
+        if (this.#source && this.#context.currentTime > state.startedAt) {
+            state.position = this.#getCurrentTime();
+            state.startedAt = this.#context.currentTime;
+        }
+
+        state.playbackRate = rate;
+        if (this.#source) this.#source.playbackRate.value = rate;
+        this.#dispatch('ratechange');
+
+    }
+
+    /**
+     * Returns time ranges from the start of the media up to the given time, which is used for the buffered, seekable and played ranges,
+     * as the whole media is available as soon as it is decoded.
+     * @param   {number}     end  End of the range.
+     * @returns {TimeRanges}      The time ranges, which are empty as long as the source is not decoded.
+     */
+    #getRanges(end) {
+
+        const ranges = this.#state.readyState && end > 0 ? [[0, end]] : [];
+
+        return {
+            length: ranges.length,
+            start: index => ranges[index][0],
+            end: index => ranges[index][1]
+        };
+
+    }
+
+    /**
+     * Dispatches a native event on the element.
+     * @param {string} type  The event type.
+     */
+    #dispatch(type) {
+
+        this.#element.dispatchEvent(new Event(type));
+
+    }
+
+}
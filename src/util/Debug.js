@@ -1,11 +1,15 @@
 /* eslint-disable no-console */
+import { isObject, isArray, isString, isNode, isFunction } from '../../lib/util/object.js';
 
 /**
  * The Debug component provides internal diagnostics during player initialization and runtime.
  * It logs basic environment and state data and helps developers debug player behavior by monitoring events and inspecting supported media formats.
  * While not intended for end users, this component can be very useful during development, testing, or when troubleshooting media playback issues.
+ * In addition, the component can record all published events and periodic snapshots of the player state, which can be exported as JSON
+ * and replayed later on using `Debug.replay()`, for example in order to reproduce the state of the player described in a bug report.
  * Note that this component is usually not included in the regular production builds.
  * @exports module:src/util/Debug
+ * @requires lib/util/object
  * @author Frank Kudermann - alphanull
  * @version 1.0.0
  * @license MIT
@@ -15,14 +19,22 @@ export default class Debug {
     /**
      * Contains configuration options for this component.
      * @type     {Object}
-     * @property {boolean} [logMediaEvents=true]   Logs media related events, i.e. Event topic starts with `media`.
-     * @property {boolean} [logPlayerEvents=true]  Logs all other events, except for media related events, like `player/ready`.
-     * @property {boolean} [verboseLogging=false]  Enables verbose logging, i.e. Additional 'spammy' events like `media/progress` are logged via console.debug.
+     * @property {boolean} [logMediaEvents=true]       Logs media related events, i.e. Event topic starts with `media`.
+     * @property {boolean} [logPlayerEvents=true]      Logs all other events, except for media related events, like `player/ready`.
+     * @property {boolean} [verboseLogging=false]      Enables verbose logging, i.e. Additional 'spammy' events like `media/progress` are logged via console.debug.
+     * @property {boolean} [record=false]              If `true`, recording starts as soon as the player is initialized.
+     * @property {number}  [recordMaxEvents=5000]      Maximum number of events kept in a recording, older events are dropped if this limit is exceeded.
+     * @property {number}  [recordMaxSize=10000]       Maximum size (in characters of the JSON representation) of a single event payload, larger payloads are truncated.
+     * @property {number}  [recordStateInterval=1000]  Interval (in milliseconds) for recording snapshots of the player state, or `0` to disable state snapshots.
      */
     #config = {
         logMediaEvents: true,
         logPlayerEvents: true,
-        verboseLogging: false
+        verboseLogging: false,
+        record: false,
+        recordMaxEvents: 5000,
+        recordMaxSize: 10000,
+        recordStateInterval: 1000
     };
 
     /**
@@ -37,13 +49,51 @@ export default class Debug {
      */
     #subscriptions = [];
 
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * The current recording, or `null` if nothing was recorded yet.
+     * @type {?module:src/util/Debug~recording}
+     */
+    #recording = null;
+
+    /**
+     * Timestamp when the current recording was started, used for calculating relative times.
+     * @type {number}
+     */
+    #recordStart;
+
+    /**
+     * Token of the subscription used for recording events, or `null` if not recording.
+     * @type {?number}
+     */
+    #recordSubscription = null;
+
+    /**
+     * Id of the interval used for recording state snapshots.
+     * @type {number}
+     */
+    #stateIntervalId;
+
     /**
      * Creates an instance of the Debug component.
-     * @param {module:src/core/Player} player  Reference to the VisionPlayer instance.
+     * @param {module:src/core/Player} player            Reference to the VisionPlayer instance.
+     * @param {module:src/core/Player} parent            Reference to the parent instance.
+     * @param {Object}                 [options]         Additional options.
+     * @param {symbol}                 [options.apiKey]  Token for extended access to the player API.
      */
-    constructor(player) {
+    constructor(player, parent, { apiKey } = {}) {
 
-        this.#config = player.initConfig('debug', this.#config);
+        this.#config = player.initConfig('debug', this.#config, {
+            recordMaxEvents: { min: 1 },
+            recordMaxSize: { min: 0 },
+            recordStateInterval: { min: 0 }
+        });
 
         if (!this.#config) return [false];
 
@@ -54,9 +104,18 @@ export default class Debug {
 
         this.#player = player;
 
+        this.#apiKey = apiKey;
+
         // subscribe to all player events
         this.#subscriptions.push(this.#player.subscribe('*', this.#logEvent, { priority: 99 }));
 
+        this.#player.setApi('debug.startRecording', this.#startRecording, apiKey);
+        this.#player.setApi('debug.stopRecording', this.#stopRecording, apiKey);
+        this.#player.setApi('debug.getRecording', this.#getRecording, apiKey);
+        this.#player.setApi('debug.exportRecording', this.#exportRecording, apiKey);
+
+        if (this.#config.record) this.#startRecording();
+
     }
 
     /**
@@ -108,12 +167,207 @@ export default class Debug {
 
     };
 
+    /**
+     * Starts a new recording, discarding any previous one. All published events are recorded, as well as periodic snapshots of the player state.
+     */
+    #startRecording = () => {
+
+        this.#stopRecording();
+
+        this.#recordStart = Date.now();
+        this.#recording = {
+            version: 1,
+            created: new Date(this.#recordStart).toISOString(),
+            client: Debug.#serialize(this.#player.getClient()),
+            config: Debug.#serialize(this.#player.getConfig()),
+            events: [],
+            states: []
+        };
+
+        this.#recordSubscription = this.#player.subscribe('*', this.#recordEvent, { priority: 99 });
+
+        this.#recordState();
+        if (this.#config.recordStateInterval) this.#stateIntervalId = setInterval(this.#recordState, this.#config.recordStateInterval);
+
+    };
+
+    /**
+     * Stops the current recording. The recording is still available until a new one is started.
+     * @returns {?module:src/util/Debug~recording} The stopped recording, or `null` if nothing was recorded yet.
+     */
+    #stopRecording = () => {
+
+        if (this.#recordSubscription !== null) {
+            clearInterval(this.#stateIntervalId);
+            this.#recordState();
+            this.#player.unsubscribe(this.#recordSubscription);
+            this.#recordSubscription = null;
+        }
+
+        return this.#getRecording();
+
+    };
+
+    /**
+     * Returns a copy of the current recording, which might still be in progress.
+     * @returns {?module:src/util/Debug~recording} The recording, or `null` if nothing was recorded yet.
+     */
+    #getRecording = () => {
+
+        if (!this.#recording) return null;
+        return { ...this.#recording, events: [...this.#recording.events], states: [...this.#recording.states] };
+
+    };
+
+    /**
+     * Exports the current recording as JSON, for example to attach it to a bug report.
+     * @param   {number} [indent]  Number of spaces used for indenting the JSON, by default the JSON is not indented.
+     * @returns {string}           The recording as JSON, or `'null'` if nothing was recorded yet.
+     */
+    #exportRecording = indent => JSON.stringify(this.#recording, null, indent);
+
+    /**
+     * Adds a published event to the recording.
+     * @param {any}    data   The payload of the event.
+     * @param {string} topic  The full topic of the event.
+     */
+    #recordEvent = (data, topic) => {
+
+        const { events } = this.#recording;
+
+        events.push({
+            time: Date.now() - this.#recordStart,
+            topic: topic.replace(/^vip\/[^/]+\//, ''),
+            data: Debug.#serialize(data, this.#config.recordMaxSize)
+        });
+
+        if (events.length > this.#config.recordMaxEvents) events.shift();
+
+    };
+
+    /**
+     * Adds a snapshot of the current player state to the recording.
+     */
+    #recordState = () => {
+
+        this.#recording.states.push({
+            time: Date.now() - this.#recordStart,
+            state: Debug.#serialize(this.#player.getState())
+        });
+
+        if (this.#recording.states.length > this.#config.recordMaxEvents) this.#recording.states.shift();
+
+    };
+
     /**
      * Cleans up the Debug component by unsubscribing from events.
      */
     destroy() {
 
+        this.#stopRecording();
         this.#player.unsubscribe(this.#subscriptions);
+        this.#player.removeApi(['debug.startRecording', 'debug.stopRecording', 'debug.getRecording', 'debug.exportRecording'], this.#apiKey);
+        this.#player = this.#recording = this.#apiKey = null;
+
+    }
+
+    /**
+     * Replays a recording by publishing the recorded events on the given player, using the recorded timing.
+     * Use a player which contains the same components as the recorded one (like the dev build, which also exposes this method as `VisionPlayer.Debug.replay()`),
+     * so that the state of these components can be inspected after each event. Replayed `media/*` events only affect the components listening to them,
+     * but not the Media component itself, whose state still reflects the actual media element. Recorded state snapshots are not applied to the player,
+     * but can be compared to the actual state by using the `onState` callback.
+     * @param   {module:src/core/Player}                 player             The player to replay the recording on.
+     * @param   {module:src/util/Debug~recording|string} recording          The recording, either as object or as exported JSON.
+     * @param   {Object}                                 [options]          Additional options.
+     * @param   {number}                                 [options.speed=1]  Playback speed of the replay, use `Infinity` for replaying without any delays.
+     * @param   {Function}                               [options.filter]   Receives topic and payload of each event, only events for which this returns `true` are replayed.
+     * @param   {Function}                               [options.onState]  Invoked with each recorded state snapshot and its time, in the order of the recording.
+     * @param   {AbortSignal}                            [options.signal]   Signal for aborting the replay.
+     * @returns {Promise}                                                   A promise which resolves when the replay has finished, or rejects if it was aborted.
+     * @throws  {Error}                                                     If the recording is invalid.
+     */
+    static async replay(player, recording, { speed = 1, filter, onState, signal } = {}) {
+
+        const data = isString(recording) ? JSON.parse(recording) : recording;
+
+        if (!isObject(data) || !isArray(data.events)) throw new Error('[VisionPlayer] Debug.replay: invalid recording');
+
+        const entries = [
+            ...data.events.map(event => ({ ...event, isEvent: true })),
+            ...isArray(data.states) ? data.states : []
+        ].sort((a, b) => a.time - b.time);
+
+        let lastTime = entries[0]?.time ?? 0;
+
+        for (const entry of entries) {
+
+            const delay = (entry.time - lastTime) / speed;
+            lastTime = entry.time;
+
+            if (delay > 0) await Debug.#wait(delay, signal);
+            signal?.throwIfAborted();
+
+            if (!entry.isEvent) onState?.(entry.state, entry.time);
+            else if (!isFunction(filter) || filter(entry.topic, entry.data)) player.publish(entry.topic, entry.data, { async: false });
+
+        }
+
+    }
+
+    /**
+     * Returns a promise which resolves after the given delay, or rejects as soon as the signal is aborted.
+     * @param   {number}      delay     The delay in milliseconds.
+     * @param   {AbortSignal} [signal]  Signal for aborting the delay.
+     * @returns {Promise}               The promise waiting for the delay.
+     */
+    static #wait(delay, signal) {
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timeoutId); // eslint-disable-line no-use-before-define
+                reject(signal.reason);
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+
+    }
+
+    /**
+     * Creates a JSON compatible copy of a value. Circular references, DOM nodes and functions are replaced with placeholders and errors are converted to plain objects.
+     * Only references to an ancestor of the current value count as circular, so objects which are referenced several times are still copied each time.
+     * If the JSON representation exceeds the maximum size, it is replaced by an object containing a truncated preview.
+     * @param   {any}    value      The value to serialize.
+     * @param   {number} [maxSize]  Maximum size of the JSON representation, in characters.
+     * @returns {any}               The serialized value.
+     */
+    static #serialize(value, maxSize = Infinity) {
+
+        const seen = new WeakSet(); // only holds the ancestors of the value currently being copied
+
+        const copy = val => {
+            if (isFunction(val)) return '[Function]';
+            if (isNode(val)) return `[${val.nodeName}]`;
+            if (val instanceof Error) return { name: val.name, message: val.message, code: val.code };
+            if (isFunction(val?.toJSON)) return copy(val.toJSON());
+            if (!isObject(val) && !isArray(val)) return val;
+            if (seen.has(val)) return '[Circular]';
+            seen.add(val);
+            const result = isArray(val) ? val.map(copy) : Object.fromEntries(Object.entries(val).map(([key, entry]) => [key, copy(entry)]));
+            seen.delete(val);
+            return result;
+        };
+
+        const json = JSON.stringify(copy(value));
+
+        if (typeof json === 'undefined') return null;
+        if (json.length > maxSize) return { truncated: true, size: json.length, preview: json.slice(0, maxSize) };
+
+        return JSON.parse(json);
 
     }
 
@@ -144,3 +398,14 @@ export default class Debug {
     }
 
 }
+
+/**
+ * A recording of published events and state snapshots, as created by the Debug component.
+ * @typedef  {Object} module:src/util/Debug~recording
+ * @property {number}                                          version  The version of the recording format, currently `1`.
+ * @property {string}                                          created  Date and time when the recording was started, as ISO string.
+ * @property {Object}                                          client   Information about the client, as returned by `player.getClient()`.
+ * @property {Object}                                          config   The player config at the start of the recording.
+ * @property {Array<{time: number, topic: string, data: any}>} events   The recorded events, with `time` being the milliseconds since the start of the recording and `topic` without the player prefix.
+ * @property {Array<{time: number, state: Object}>}            states   The recorded state snapshots.
+ */
@@ -0,0 +1,465 @@
+import { isFunction, isString } from '../../lib/util/object.js';
+import ExtendedMediaError from './ExtendedMediaError.js';
+
+/**
+ * The MediaSimulator turns a media element into a simulated one, which does not need a decoder or network access at all.
+ * This is done by replacing the relevant properties and methods of the element (like `currentTime`, `paused`, `play()` or `load()`), while the element itself stays a regular DOM node.
+ * Time is controlled by a virtual clock which only moves forward when `advance()` is called, so that playback is fully deterministic. While advancing,
+ * the same events are dispatched as with a real element (like `timeupdate`, `waiting` or `ended`), and scripted scenario steps (like stalls or errors) are triggered when the playhead reaches them.
+ * Used by the SimulatedMedia component, but can also be used on its own.
+ * @exports module:src/util/MediaSimulator
+ * @requires lib/util/object
+ * @requires src/util/ExtendedMediaError
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class MediaSimulator {
+
+    /**
+     * The simulated media element.
+     * @type {HTMLMediaElement}
+     */
+    #element;
+
+    /**
+     * Function returning the current simulation options, so that changes of the options are picked up when the next media is loaded.
+     * @type {function(): module:src/util/MediaSimulator~options}
+     */
+    #getOptions;
+
+    /**
+     * The simulated state of the media element.
+     * @type     {Object}
+     * @property {string}                              src           The current source.
+     * @property {number}                              duration      The duration of the media, `NaN` until metadata is loaded.
+     * @property {number}                              currentTime   The position of the playhead.
+     * @property {number}                              maxPlayed     The furthest position played so far.
+     * @property {boolean}                             paused        Whether the media is paused.
+     * @property {boolean}                             ended         Whether the media has ended.
+     * @property {boolean}                             seeking       Whether the media is seeking.
+     * @property {boolean}                             loop          Whether the media is looping.
+     * @property {number}                              readyState    The simulated ready state.
+     * @property {number}                              networkState  The simulated network state.
+     * @property {?module:src/util/ExtendedMediaError} error         The current error, if any.
+     * @property {number}                              volume        The current volume.
+     * @property {boolean}                             muted         Whether the media is muted.
+     * @property {number}                              playbackRate  The current playback rate.
+     * @property {number}                              stall         The remaining duration of a scripted stall, `0` if not stalled.
+     */
+    #state = {
+        src: '',
+        duration: NaN,
+        currentTime: 0,
+        maxPlayed: 0,
+        paused: true,
+        ended: false,
+        seeking: false,
+        loop: false,
+        readyState: 0,
+        networkState: 0,
+        error: null,
+        volume: 1,
+        muted: false,
+        playbackRate: 1,
+        stall: 0
+    };
+
+    /**
+     * Scenario steps already triggered for the current source. Reset when loading new media or when looping.
+     * @type {Set<module:src/util/MediaSimulator~scenarioStep>}
+     */
+    #triggered = new Set();
+
+    /**
+     * The minimum interval of `timeupdate` events in virtual seconds. Smaller (or invalid) intervals are raised to this value, so that advancing always terminates.
+     * @type {number}
+     */
+    static #minInterval = 0.01;
+
+    /**
+     * Creates a new simulator.
+     * @param {HTMLMediaElement}                                   element     The element to simulate. All relevant properties and methods are replaced on this instance.
+     * @param {function(): module:src/util/MediaSimulator~options} getOptions  Function returning the current simulation options. Only called when media is loaded or played.
+     */
+    constructor(element, getOptions) {
+
+        this.#element = element;
+        this.#getOptions = getOptions;
+
+        const state = this.#state,
+              getter = key => ({ get: () => state[key], configurable: true }),
+              method = fn => ({ value: fn, configurable: true, writable: true });
+
+        Object.defineProperties(element, {
+            src: { get: () => state.src, set: value => { state.src = String(value ?? ''); }, configurable: true },
+            currentSrc: getter('src'),
+            duration: getter('duration'),
+            paused: getter('paused'),
+            ended: getter('ended'),
+            seeking: getter('seeking'),
+            readyState: getter('readyState'),
+            networkState: getter('networkState'),
+            error: getter('error'),
+            currentTime: { get: () => state.currentTime, set: value => { this.#seek(value); }, configurable: true },
+            loop: { get: () => state.loop, set: value => { state.loop = Boolean(value); }, configurable: true },
+            volume: { get: () => state.volume, set: value => { this.#setVolume(value); }, configurable: true },
+            muted: { get: () => state.muted, set: value => { this.#setMuted(value); }, configurable: true },
+            playbackRate: { get: () => state.playbackRate, set: value => { this.#setPlaybackRate(value); }, configurable: true },
+            videoWidth: { get: () => state.readyState ? this.#getOptions().width : 0, configurable: true },
+            videoHeight: { get: () => state.readyState ? this.#getOptions().height : 0, configurable: true },
+            buffered: { get: () => this.#getBuffered(), configurable: true },
+            seekable: { get: () => this.#getSeekable(), configurable: true },
+            played: { get: () => MediaSimulator.#createTimeRanges(state.maxPlayed > 0 ? [[0, state.maxPlayed]] : []), configurable: true },
+            canPlayType: method(type => (isString(type) && /^(video|audio)\//.test(type) ? 'maybe' : '')),
+            load: method(() => this.#load()),
+            play: method(() => this.#play()),
+            pause: method(() => this.#pause())
+        });
+
+    }
+
+    /**
+     * Advances the virtual clock. If the media is playing, the playhead moves accordingly (taking the playback rate into account),
+     * `timeupdate` events are dispatched in the configured interval, and scenario steps are triggered as soon as the playhead reaches them.
+     * @param {number} seconds  The amount of (virtual) seconds to advance.
+     */
+    advance(seconds) {
+
+        const state = this.#state,
+              interval = Math.max(Number(this.#getOptions().timeUpdateInterval) || 0, MediaSimulator.#minInterval);
+
+        let remaining = Math.max(Number(seconds) || 0, 0);
+
+        while (remaining > 0) {
+
+            const step = Math.min(remaining, interval);
+            remaining -= step;
+
+            if (state.stall > 0) {
+                state.stall -= step;
+                if (state.stall <= 0) this.#endStall();
+                continue;
+            }
+
+            if (state.paused || state.ended || state.error || state.readyState < 3) break;
+
+            const from = state.currentTime,
+                  to = Math.min(from + step * state.playbackRate, state.duration),
+                  scripted = this.#getNextStep(from, to);
+
+            state.currentTime = scripted ? scripted.time : to;
+            state.maxPlayed = Math.max(state.maxPlayed, state.currentTime);
+            this.#dispatch('timeupdate');
+
+            if (scripted) this.#trigger(scripted);
+            else if (state.currentTime >= state.duration) this.#onEnd();
+
+        }
+
+    }
+
+    /**
+     * Simulates loading the current source. Metadata is "loaded" asynchronously (in a microtask), unless the scenario contains an error step at position `0`,
+     * which lets loading fail instead.
+     */
+    #load() {
+
+        const state = this.#state,
+              { src } = state;
+
+        Object.assign(state, { duration: NaN, currentTime: 0, maxPlayed: 0, paused: true, ended: false, seeking: false, readyState: 0, networkState: src ? 2 : 3, error: null, stall: 0 });
+        this.#triggered.clear();
+        this.#dispatch('loadstart');
+
+        if (!src) return;
+
+        queueMicrotask(() => {
+
+            if (state.src !== src) return;
+
+            const failure = this.#getSteps().find(step => step.type === 'error' && !(step.time > 0));
+
+            if (failure) {
+                this.#trigger(failure);
+                return;
+            }
+
+            const { duration } = this.#getOptions();
+
+            state.duration = isFunction(duration) ? duration(src) : duration;
+            state.readyState = 4;
+            state.networkState = 1;
+
+            ['durationchange', 'loadedmetadata', 'loadeddata', 'canplay', 'canplaythrough'].forEach(type => this.#dispatch(type));
+
+        });
+
+    }
+
+    /**
+     * Simulates starting playback.
+     * @returns {Promise} A promise which resolves, or rejects if the media has an error or no source.
+     */
+    #play() {
+
+        const state = this.#state;
+
+        if (state.error || !state.src) return Promise.reject(new DOMException('The element has no supported sources.', 'NotSupportedError'));
+        if (state.ended) this.#seek(0);
+        if (!state.paused) return Promise.resolve();
+
+        state.paused = false;
+        this.#dispatch('play');
+        this.#dispatch(state.readyState >= 3 && !state.stall ? 'playing' : 'waiting');
+
+        return Promise.resolve();
+
+    }
+
+    /**
+     * Simulates pausing playback.
+     */
+    #pause() {
+
+        if (this.#state.paused) return;
+
+        this.#state.paused = true;
+        this.#dispatch('timeupdate');
+        this.#dispatch('pause');
+
+    }
+
+    /**
+     * Simulates seeking. The `seeked` event is dispatched asynchronously, as with a real element. Seeking also ends a scripted stall.
+     * @param  {number}    position  The position to seek to.
+     * @throws {TypeError}           If the position is not a finite number.
+     */
+    #seek(position) {
+
+        const state = this.#state,
+              time = Number(position);
+
+        if (!isFinite(time)) throw new TypeError(`The provided double value is non-finite: ${position}`);
+
+        state.currentTime = Math.min(Math.max(time, 0), isNaN(state.duration) ? Infinity : state.duration);
+
+        if (!state.readyState) return;
+
+        state.ended = false;
+        state.seeking = true;
+        this.#dispatch('seeking');
+
+        if (state.stall) {
+            state.stall = 0;
+            state.readyState = 4;
+        }
+
+        queueMicrotask(() => {
+            if (!state.seeking) return;
+            state.seeking = false;
+            this.#dispatch('timeupdate');
+            this.#dispatch('seeked');
+            if (!state.paused) this.#dispatch('playing');
+        });
+
+    }
+
+    /**
+     * Sets the volume, as with a real element values out of range throw an error.
+     * @param  {number}       value  The new volume.
+     * @throws {DOMException}        If the volume is outside of the range 0 to 1.
+     */
+    #setVolume(value) {
+
+        const volume = Number(value);
+
+        if (!(volume >= 0 && volume <= 1)) throw new DOMException(`The volume provided (${value}) is outside the range [0, 1].`, 'IndexSizeError');
+        if (volume === this.#state.volume) return;
+
+        this.#state.volume = volume;
+        this.#dispatch('volumechange');
+
+    }
+
+    /**
+     * Mutes or unmutes the media.
+     * @param {boolean} value  If `true`, the media is muted.
+     */
+    #setMuted(value) {
+
+        if (Boolean(value) === this.#state.muted) return;
+
+        this.#state.muted = Boolean(value);
+        this.#dispatch('volumechange');
+
+    }
+
+    /**
+     * Sets the playback rate.
+     * @param {number} value  The new playback rate.
+     */
+    #setPlaybackRate(value) {
+
+        if (Number(value) === this.#state.playbackRate) return;
+
+        this.#state.playbackRate = Number(value);
+        this.#dispatch('ratechange');
+
+    }
+
+    /**
+     * Called when the playhead reached the end of the media. Either starts over if looping, or ends playback.
+     */
+    #onEnd() {
+
+        const state = this.#state;
+
+        if (state.loop) {
+            this.#triggered.clear();
+            this.#seek(0);
+            return;
+        }
+
+        state.paused = true;
+        state.ended = true;
+        this.#dispatch('pause');
+        this.#dispatch('ended');
+
+    }
+
+    /**
+     * Triggers a scenario step.
+     * @param {module:src/util/MediaSimulator~scenarioStep} step  The step to trigger.
+     */
+    #trigger(step) {
+
+        const state = this.#state;
+
+        this.#triggered.add(step);
+
+        if (step.type === 'stall') {
+            state.stall = step.duration ?? Infinity;
+            state.readyState = 2;
+            this.#dispatch('waiting');
+            return;
+        }
+
+        state.error = new ExtendedMediaError(step.code ?? 2, { message: step.message ?? 'Simulated media error' });
+        state.readyState = Math.min(state.readyState, 1);
+        state.networkState = 3;
+        state.stall = 0;
+        this.#dispatch('error');
+
+    }
+
+    /**
+     * Ends a scripted stall, so that playback continues.
+     */
+    #endStall() {
+
+        this.#state.stall = 0;
+        this.#state.readyState = 4;
+        this.#dispatch('canplay');
+        if (!this.#state.paused) this.#dispatch('playing');
+
+    }
+
+    /**
+     * Returns all scenario steps which apply to the current source.
+     * @returns {module:src/util/MediaSimulator~scenarioStep[]} The matching steps.
+     */
+    #getSteps() {
+
+        const { scenario = [] } = this.#getOptions();
+        return scenario.filter(step => !step.src || this.#state.src.includes(step.src));
+
+    }
+
+    /**
+     * Finds the earliest scenario step within a range of the playhead, which has not been triggered yet.
+     * @param   {number}                                                from  Start of the range.
+     * @param   {number}                                                to    End of the range.
+     * @returns {module:src/util/MediaSimulator~scenarioStep|undefined}       The step, or `undefined` if there is none.
+     */
+    #getNextStep(from, to) {
+
+        return this.#getSteps()
+            .filter(step => !this.#triggered.has(step) && step.time >= from && step.time <= to)
+            .sort((a, b) => a.time - b.time)[0];
+
+    }
+
+    /**
+     * Returns the buffered ranges. Media is considered to be fully buffered, except while stalling.
+     * @returns {TimeRanges} The buffered ranges.
+     */
+    #getBuffered() {
+
+        const { readyState, duration, currentTime, stall } = this.#state;
+
+        if (!readyState) return MediaSimulator.#createTimeRanges([]);
+        return MediaSimulator.#createTimeRanges([[0, stall || !isFinite(duration) ? currentTime : duration]]);
+
+    }
+
+    /**
+     * Returns the seekable ranges. For media with an infinite duration (like live streams), everything up to the current position is seekable.
+     * @returns {TimeRanges} The seekable ranges.
+     */
+    #getSeekable() {
+
+        const { readyState, duration, currentTime } = this.#state;
+
+        if (!readyState) return MediaSimulator.#createTimeRanges([]);
+        return MediaSimulator.#createTimeRanges([[0, isFinite(duration) ? duration : currentTime]]);
+
+    }
+
+    /**
+     * Dispatches a native event on the element.
+     * @param {string} type  The event type.
+     */
+    #dispatch(type) {
+
+        this.#element.dispatchEvent(new Event(type));
+
+    }
+
+    /**
+     * Creates an object with the same interface as `TimeRanges`.
+     * @param   {Array<number[]>} ranges  List of ranges, each consisting of start and end.
+     * @returns {TimeRanges}              The time ranges.
+     */
+    static #createTimeRanges(ranges) {
+
+        return {
+            length: ranges.length,
+            start: index => ranges[index][0],
+            end: index => ranges[index][1]
+        };
+
+    }
+
+}
+
+/**
+ * Options of the simulation.
+ * @typedef  {Object} module:src/util/MediaSimulator~options
+ * @property {number|Function}                               duration            The duration of simulated media in seconds, use `Infinity` for simulating a live stream. Can also be a function receiving the source and returning the duration.
+ * @property {number}                                        width               The simulated video width.
+ * @property {number}                                        height              The simulated video height.
+ * @property {number}                                        timeUpdateInterval  Interval of `timeupdate` events in virtual seconds.
+ * @property {module:src/util/MediaSimulator~scenarioStep[]} [scenario]          Scripted steps, triggered when the playhead reaches them.
+ */
+
+/**
+ * A scripted scenario step.
+ * @typedef  {Object} module:src/util/MediaSimulator~scenarioStep
+ * @property {number} time        The position of the playhead (in seconds) at which the step is triggered. Error steps at `0` let loading fail.
+ * @property {string} type        Either `stall` or `error`.
+ * @property {number} [duration]  Stalls only: duration of the stall in virtual seconds. Stalls last until the next seek if omitted.
+ * @property {number} [code]      Errors only: the media error code, defaults to `2` (network error).
+ * @property {string} [message]   Errors only: the error message.
+ * @property {string} [src]       If present, the step only applies to sources containing this string.
+ */
@@ -50,8 +50,8 @@ export default class Menu {
     };
 
     /**
-     * Contains menu data.
-     * @type {Array<{ value: any, label: string }>}
+     * Contains menu data. Items with an `image` display a thumbnail image next to the label, if the button variant of the menu is used.
+     * @type {Array<{ value: any, label: string, image: ?string }>}
      */
     #data;
 
@@ -255,7 +255,13 @@ export default class Menu {
                     className,
                     'aria-current': ariaCurrent,
                     'data-index': index,
-                    _nodes: [menuItem.label]
+                    _nodes: [menuItem.image ? {
+                        _tag: 'img',
+                        className: 'vip-menu-image',
+                        src: menuItem.image,
+                        alt: '',
+                        loading: 'lazy'
+                    } : null, menuItem.label]
 
                 };
             })
@@ -278,7 +284,9 @@ export default class Menu {
      * Extracts the quality setting from the data attribute of the selected menu entry and invokes the toggleMenu method.
      * @param {Event} event  The click event which invoked this handler.
      */
-    #menuSelected = ({ target }) => {
+    #menuSelected = ({ target: eventTarget }) => {
+
+        const target = eventTarget.tagName === 'IMG' ? eventTarget.parentNode : eventTarget;
 
         if (target.tagName !== 'BUTTON' && target.tagName !== 'SELECT') return;
 
@@ -0,0 +1,192 @@
+import Media from '../core/Media.js';
+import MediaSimulator from './MediaSimulator.js';
+import { isArray, isObject } from '../../lib/util/object.js';
+
+/**
+ * The SimulatedMedia component is a drop-in replacement for the Media component, meant for testing integrations in environments where media cannot be played, like jsdom.
+ * It behaves exactly like the Media component and fires the same `media/*` events, but uses a simulated media element which is driven by a virtual clock.
+ * In addition, scripted scenarios (like a stall at 12 seconds, or a network error at 30 seconds) can be injected, so that components reacting to those situations can be tested without a real decoder.
+ * It is not part of any player build, but available from the testing entry point. Replace the Media component by registering this one using `Player.addComponent('media', SimulatedMedia)` before creating any player instances.
+ * @exports module:src/util/SimulatedMedia
+ * @requires src/core/Media
+ * @requires src/util/MediaSimulator
+ * @requires lib/util/object
+ * @augments module:src/core/Media
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class SimulatedMedia extends Media {
+
+    /**
+     * Holds the instance configuration for the simulation.
+     * @type     {Object}
+     * @property {number|Function} [duration=60]              The duration of simulated media in seconds, use `Infinity` for simulating a live stream. Can also be a function which receives the source and returns the duration.
+     * @property {number}          [width=1280]               The simulated video width.
+     * @property {number}          [height=720]               The simulated video height.
+     * @property {number}          [timeUpdateInterval=0.25]  Interval of `timeupdate` events in virtual seconds, values below `0.01` are raised to this minimum.
+     * @property {boolean}         [autoAdvance=false]        If `true`, the virtual clock advances in real time. Otherwise, the clock only advances when calling `simulation.advance()`, which keeps tests deterministic.
+     * @property {Array}           [scenario=[]]              Scripted scenario steps, see `simulation.addStep()`.
+     */
+    #config = {
+        duration: 60,
+        width: 1280,
+        height: 720,
+        timeUpdateInterval: 0.25,
+        autoAdvance: false,
+        scenario: []
+    };
+
+    /**
+     * Reference to the main player instance.
+     * @type {module:src/core/Player}
+     */
+    #player;
+
+    /**
+     * Secret key only known to the player instance and initialized components.
+     * Used to be able to restrict access to API methods in conjunction with secure mode.
+     * @type {symbol}
+     */
+    #apiKey;
+
+    /**
+     * The virtual clock, which is the total amount of seconds the simulation was advanced.
+     * @type {number}
+     */
+    #clock = 0;
+
+    /**
+     * Id of the interval used when the clock advances automatically.
+     * @type {number}
+     */
+    #intervalId;
+
+    /**
+     * Maps media elements to their simulators.
+     * @type {WeakMap<HTMLMediaElement, module:src/util/MediaSimulator>}
+     */
+    static #simulators = new WeakMap();
+
+    /**
+     * Creates an instance of the SimulatedMedia component.
+     * @param  {module:src/core/Player} player            The player instance.
+     * @param  {module:src/core/Player} parent            Reference to the parent instance.
+     * @param  {Object}                 [options]         Additional options.
+     * @param  {symbol}                 [options.apiKey]  Token for extended access to the player API.
+     * @throws {Error}                                    If trying to disable this component.
+     */
+    constructor(player, parent, { apiKey }) {
+
+        super(player, parent, { apiKey });
+
+        this.#config = player.initConfig('simulation', this.#config, {
+            duration: { type: ['number', 'function'], min: 0 },
+            width: { min: 0 },
+            height: { min: 0 },
+            timeUpdateInterval: { min: 0.01 }
+        });
+
+        if (!this.#config) throw new Error('[Visionplayer] Cannot disable the simulation of the SimulatedMedia component by configuration.');
+
+        this.#player = player;
+        this.#apiKey = apiKey;
+
+        // intervals below the minimum would stall (or never end) the simulation, so clamp it
+        this.#config.timeUpdateInterval = Math.max(Number(this.#config.timeUpdateInterval) || 0, 0.01);
+
+        this.#config.scenario.forEach(SimulatedMedia.#validateStep);
+
+        this.#player.setApi('simulation.advance', this.#advance, apiKey);
+        this.#player.setApi('simulation.getClock', this.#getClock, apiKey);
+        this.#player.setApi('simulation.addStep', this.#addStep, apiKey);
+        this.#player.setApi('simulation.setScenario', this.#setScenario, apiKey);
+
+        if (this.#config.autoAdvance) {
+            const interval = this.#config.timeUpdateInterval;
+            this.#intervalId = setInterval(() => this.#advance(interval), interval * 1000);
+        }
+
+    }
+
+    /**
+     * Creates a simulated media element instead of a real one.
+     * @returns {HTMLMediaElement} A video element with simulated playback.
+     */
+    createElement() {
+
+        const element = super.createElement();
+        // options are resolved lazily, as the first element is created before the config of this class is initialized
+        SimulatedMedia.#simulators.set(element, new MediaSimulator(element, () => this.#config));
+        return element;
+
+    }
+
+    /**
+     * Advances the virtual clock, moving the playhead if the media is playing and triggering scenario steps when reached.
+     * @param {number} seconds  The amount of (virtual) seconds to advance.
+     */
+    #advance = seconds => {
+
+        this.#clock += Math.max(Number(seconds) || 0, 0);
+        SimulatedMedia.#simulators.get(this.#player.media.getElement(this.#apiKey))?.advance(seconds);
+
+    };
+
+    /**
+     * Returns the current value of the virtual clock.
+     * @returns {number} The total amount of seconds the simulation was advanced.
+     */
+    #getClock = () => this.#clock;
+
+    /**
+     * Adds a scenario step. Steps apply to the current and all subsequently loaded media (unless restricted using `src`), but are only triggered once per load.
+     * @param  {module:src/util/MediaSimulator~scenarioStep} step  The step to add, for example `{ time: 12, type: 'stall', duration: 3 }`.
+     * @throws {Error}                                             If the step is invalid.
+     */
+    #addStep = step => {
+
+        SimulatedMedia.#validateStep(step);
+        this.#config.scenario.push(step);
+
+    };
+
+    /**
+     * Replaces all scenario steps.
+     * @param  {module:src/util/MediaSimulator~scenarioStep[]} steps  The new scenario steps, use an empty array to remove all steps.
+     * @throws {Error}                                                If one of the steps is invalid.
+     */
+    #setScenario = steps => {
+
+        if (!isArray(steps)) throw new Error('[VisionPlayer] simulation.setScenario: steps must be an array');
+        steps.forEach(SimulatedMedia.#validateStep);
+        this.#config.scenario = [...steps];
+
+    };
+
+    /**
+     * Checks if a scenario step is valid.
+     * @param  {module:src/util/MediaSimulator~scenarioStep} step  The step to check.
+     * @throws {Error}                                             If the step is invalid.
+     */
+    static #validateStep(step) {
+
+        if (!isObject(step) || !['stall', 'error'].includes(step.type) || !(step.time >= 0)) {
+            throw new Error('[VisionPlayer] simulation: scenario steps must be objects with a type of "stall" or "error" and a time of 0 or above');
+        }
+
+    }
+
+    /**
+     * This method removes all API methods and the interval added by this component, and destroys the underlying Media component.
+     */
+    destroy() {
+
+        clearInterval(this.#intervalId);
+        this.#player.removeApi(['simulation.advance', 'simulation.getClock', 'simulation.addStep', 'simulation.setScenario'], this.#apiKey);
+        super.destroy();
+        this.#player = this.#apiKey = null;
+
+    }
+
+}
@@ -0,0 +1,390 @@
+import { extend } from '../../lib/util/object.js';
+
+/**
+ * The SyncController binds several player instances to the clock of one master player, for example for multi camera replays or side by side videos of a lecture and its slides.
+ * Followers mirror play, pause, seek and rate changes of the master. Remaining drift is corrected by slightly nudging the `playbackRate` of followers,
+ * using the timestamps provided by `requestVideoFrameCallback` where available, while larger differences are corrected by seeking.
+ * If any player of the group stalls, all other players are paused until it has recovered.
+ * The controller lives outside of the component tree of any player, and only uses the public player API and events.
+ * @exports module:src/util/SyncController
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+export default class SyncController {
+
+    /**
+     * Holds the options of this controller.
+     * @type     {Object}
+     * @property {number} [tolerance=0.02]     Drift (in seconds) which is tolerated without any correction.
+     * @property {number} [maxNudge=0.05]      Maximum relative change of the playback rate used for correcting drift, for example `0.05` allows rates between 95% and 105% of the master rate.
+     * @property {number} [seekThreshold=1]    Drift (in seconds) above which followers are corrected by seeking instead of nudging the playback rate.
+     * @property {number} [checkInterval=250]  Interval (in milliseconds) for checking drift if `requestVideoFrameCallback` is not available.
+     */
+    #options = {
+        tolerance: 0.02,
+        maxNudge: 0.05,
+        seekThreshold: 1,
+        checkInterval: 250
+    };
+
+    /**
+     * The master, which is the main member all other members follow.
+     * @type {module:src/util/SyncController~member}
+     */
+    #master;
+
+    /**
+     * All following members.
+     * @type {Map<module:src/core/Player, module:src/util/SyncController~member>}
+     */
+    #followers = new Map();
+
+    /**
+     * The playback rate of the master, which is the base rate for all followers.
+     * @type {number}
+     */
+    #rate = 1;
+
+    /**
+     * Members which are currently stalling.
+     * @type {Set<module:src/util/SyncController~member>}
+     */
+    #stalled = new Set();
+
+    /**
+     * Members which were paused because another member stalled, and which are resumed as soon as no member is stalling anymore.
+     * @type {Set<module:src/util/SyncController~member>}
+     */
+    #held = new Set();
+
+    /**
+     * Creates a new controller.
+     * @param {module:src/core/Player}   master       The master player, all other players follow its clock.
+     * @param {module:src/core/Player[]} [followers]  The players following the master.
+     * @param {Object}                   [options]    Options for drift correction, see `#options`.
+     */
+    constructor(master, followers = [], options = {}) {
+
+        this.#options = extend(this.#options, options);
+        this.#master = this.#createMember(master);
+        this.#rate = master.getState('media.playbackRate') ?? 1;
+
+        this.#master.subscriptions.push(...[
+            ['media/play', this.#onMasterPlay],
+            ['media/pause', this.#onMasterPause],
+            ['media/seeking', this.#onMasterSeek],
+            ['media/ratechange', this.#onMasterRateChange]
+        ].map(([event, handler]) => master.subscribe(event, handler)));
+
+        followers.forEach(player => this.add(player));
+
+    }
+
+    /**
+     * Adds a following player, which is aligned to the master right away.
+     * @param {module:src/core/Player} player  The player to add.
+     */
+    add(player) {
+
+        if (player === this.#master.player || this.#followers.has(player)) return;
+
+        const member = this.#createMember(player);
+
+        member.subscriptions.push(player.subscribe('media/ready', () => this.#align(member)));
+        this.#followers.set(player, member);
+        this.#align(member);
+
+    }
+
+    /**
+     * Removes a following player. Its playback rate is reset to the rate of the master, otherwise it keeps playing independently.
+     * @param {module:src/core/Player} player  The player to remove.
+     */
+    remove(player) {
+
+        const member = this.#followers.get(player);
+
+        if (!member) return;
+
+        this.#followers.delete(player);
+        this.#stalled.delete(member);
+        this.#held.delete(member);
+        SyncController.#removeMember(member);
+        if (member.nudged) player.media.playbackRate(this.#rate);
+
+    }
+
+    /**
+     * Returns the current drift of all followers, positive values mean a follower is ahead of the master.
+     * @returns {Array<{player: module:src/core/Player, drift: number}>} The drift (in seconds) of each follower.
+     */
+    getDrift() {
+
+        return Array.from(this.#followers.values(), member => ({ player: member.player, drift: member.drift }));
+
+    }
+
+    /**
+     * Called when the master starts playing. Followers are aligned and start playing as well.
+     * @listens module:src/core/Media#media/play
+     */
+    #onMasterPlay = () => {
+
+        if (this.#stalled.size) return;
+        this.#followers.forEach(member => this.#align(member));
+
+    };
+
+    /**
+     * Called when the master is paused. Followers are paused and aligned to the exact position of the master, unless the master was paused because another member stalled.
+     * @listens module:src/core/Media#media/pause
+     */
+    #onMasterPause = () => {
+
+        if (this.#held.has(this.#master)) return;
+        this.#followers.forEach(member => this.#align(member));
+
+    };
+
+    /**
+     * Called when the master seeks, followers seek to the same position.
+     * @listens module:src/core/Media#media/seeking
+     */
+    #onMasterSeek = () => {
+
+        const time = this.#master.player.getState('media.currentTime');
+        this.#master.frame = null;
+        this.#followers.forEach(member => {
+            member.frame = null;
+            member.player.media.seek(time);
+        });
+
+    };
+
+    /**
+     * Called when the playback rate of the master changes, which becomes the new base rate of all followers.
+     * @listens module:src/core/Media#media/ratechange
+     */
+    #onMasterRateChange = () => {
+
+        this.#rate = this.#master.player.getState('media.playbackRate');
+        this.#followers.forEach(member => {
+            member.nudged = false;
+            member.player.media.playbackRate(this.#rate);
+        });
+
+    };
+
+    /**
+     * Called when a member starts stalling. All other playing members are paused, while the stalled member keeps buffering.
+     * @param {module:src/util/SyncController~member} member  The stalling member.
+     * @listens module:src/core/Media#media/stall/begin
+     */
+    #onStall = member => {
+
+        this.#stalled.add(member);
+        this.#held.delete(member);
+
+        [this.#master, ...this.#followers.values()].forEach(other => {
+            if (this.#stalled.has(other) || other.player.getState('media.paused')) return;
+            this.#held.add(other);
+            other.player.media.pause();
+        });
+
+    };
+
+    /**
+     * Called when a member has recovered from stalling. If no other member is stalling, all members paused by the stall are aligned and resumed.
+     * @param {module:src/util/SyncController~member} member  The recovered member.
+     * @listens module:src/core/Media#media/stall/end
+     */
+    #onStallEnd = member => {
+
+        if (!this.#stalled.delete(member) || this.#stalled.size) return;
+
+        const held = Array.from(this.#held);
+        this.#held.clear();
+
+        if (held.includes(this.#master)) this.#master.player.media.play();
+        this.#followers.forEach(follower => this.#align(follower));
+
+    };
+
+    /**
+     * Aligns a follower to the master: the position is corrected if drifting too much, and the paused state and playback rate are taken over.
+     * @param {module:src/util/SyncController~member} member  The follower to align.
+     */
+    #align(member) {
+
+        const { player } = member,
+              master = this.#master.player,
+              paused = master.getState('media.paused');
+
+        if (!player.getState('media.duration')) return;
+
+        if (Math.abs(player.getState('media.currentTime') - master.getState('media.currentTime')) > (paused ? 0 : this.#options.tolerance)) {
+            player.media.seek(master.getState('media.currentTime'));
+        }
+
+        member.nudged = false;
+        member.frame = null;
+        if (player.getState('media.playbackRate') !== this.#rate) player.media.playbackRate(this.#rate);
+
+        if (paused && !player.getState('media.paused')) player.media.pause();
+        else if (!paused && player.getState('media.paused')) player.media.play()?.catch(() => {});
+
+        this.#watch(member);
+
+    }
+
+    /**
+     * Corrects the drift of a follower. Small drift is corrected by nudging the playback rate, large drift by seeking.
+     * @param {module:src/util/SyncController~member} member  The follower to correct.
+     * @param {number}                                now     Timestamp of the check, as provided by `requestVideoFrameCallback` or `performance.now()`.
+     */
+    #correct(member, now) {
+
+        const { player } = member,
+              { tolerance, maxNudge, seekThreshold } = this.#options,
+              master = this.#master.player;
+
+        if (this.#stalled.size || master.getState('media.paused') || player.getState('media.paused') || player.getState('media.seeking')) return;
+
+        const masterTime = SyncController.#getTime(this.#master, now),
+              drift = member.drift = SyncController.#getTime(member, now) - masterTime;
+
+        if (Math.abs(drift) > seekThreshold) {
+            member.frame = null;
+            player.media.seek(masterTime);
+        } else if (Math.abs(drift) > tolerance) {
+            member.nudged = true;
+            player.media.playbackRate(this.#rate * (1 + Math.min(Math.max(-drift, -maxNudge), maxNudge)));
+            return;
+        }
+
+        if (member.nudged) {
+            member.nudged = false;
+            player.media.playbackRate(this.#rate);
+        }
+
+    }
+
+    /**
+     * Estimates the media time of a member at a certain timestamp, based on the last presented frame (if known), or the current time of the media otherwise.
+     * @param   {module:src/util/SyncController~member} member  The member to get the time for.
+     * @param   {number}                                now     The timestamp in milliseconds.
+     * @returns {number}                                        The estimated media time in seconds.
+     */
+    static #getTime(member, now) {
+
+        const { player, frame } = member;
+
+        if (!frame) return player.getState('media.currentTime');
+        return frame.mediaTime + (now - frame.now) / 1000 * player.getState('media.playbackRate');
+
+    }
+
+    /**
+     * Starts watching the frames of a member using `requestVideoFrameCallback`, or falls back to an interval if this is not available.
+     * Watching is restarted if the media element changed, which happens when new media is loaded.
+     * @param {module:src/util/SyncController~member} member  The member to watch.
+     */
+    #watch(member) {
+
+        let element;
+
+        try {
+            element = member.player.media.getElement();
+        } catch {} // secure mode, so fall back to the interval
+
+        if (element && element === member.element) return;
+
+        SyncController.#unwatch(member);
+        member.element = element;
+
+        if (!element?.requestVideoFrameCallback) {
+            if (member !== this.#master) member.intervalId = setInterval(() => this.#correct(member, performance.now()), this.#options.checkInterval);
+            return;
+        }
+
+        const onFrame = (now, { mediaTime }) => {
+            member.frame = { mediaTime, now };
+            if (member !== this.#master) this.#correct(member, now);
+            member.frameId = element.requestVideoFrameCallback(onFrame);
+        };
+
+        member.frameId = element.requestVideoFrameCallback(onFrame);
+
+    }
+
+    /**
+     * Stops watching the frames of a member.
+     * @param {module:src/util/SyncController~member} member  The member to stop watching.
+     */
+    static #unwatch(member) {
+
+        clearInterval(member.intervalId);
+        if (member.element?.cancelVideoFrameCallback) member.element.cancelVideoFrameCallback(member.frameId);
+        member.element = member.frame = null;
+
+    }
+
+    /**
+     * Creates a new member and subscribes to the stall events of its player.
+     * @param   {module:src/core/Player}                player  The player of the member.
+     * @returns {module:src/util/SyncController~member}         The new member.
+     */
+    #createMember(player) {
+
+        const member = { player, subscriptions: [], drift: 0, nudged: false, element: null, frame: null };
+
+        member.subscriptions.push(
+            player.subscribe('media/stall/begin', () => this.#onStall(member)),
+            player.subscribe('media/stall/end', () => this.#onStallEnd(member)),
+            player.subscribe('media/ready', () => this.#watch(member))
+        );
+
+        this.#watch(member);
+
+        return member;
+
+    }
+
+    /**
+     * Removes all subscriptions of a member and stops watching its frames.
+     * @param {module:src/util/SyncController~member} member  The member to remove.
+     */
+    static #removeMember(member) {
+
+        member.player.unsubscribe(member.subscriptions);
+        SyncController.#unwatch(member);
+
+    }
+
+    /**
+     * Releases all players, which keep playing independently afterwards. Should be called before destroying any of the players.
+     */
+    destroy() {
+
+        Array.from(this.#followers.keys()).forEach(player => this.remove(player));
+        SyncController.#removeMember(this.#master);
+        this.#master = this.#followers = this.#stalled = this.#held = null;
+
+    }
+
+}
+
+/**
+ * Describes a player controlled by the SyncController.
+ * @typedef  {Object} module:src/util/SyncController~member
+ * @property {module:src/core/Player}            player         The player instance.
+ * @property {number[]}                          subscriptions  Tokens of all subscriptions to the player.
+ * @property {number}                            drift          The last measured drift, in seconds.
+ * @property {boolean}                           nudged         If `true`, the playback rate currently differs from the master rate for correcting drift.
+ * @property {?HTMLMediaElement}                 element        The media element being watched.
+ * @property {?{mediaTime: number, now: number}} frame          Media time and timestamp of the last presented frame.
+ * @property {number}                            [frameId]      Id of the pending video frame callback.
+ * @property {number}                            [intervalId]   Id of the interval used if video frame callbacks are not available.
+ */
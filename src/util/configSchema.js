@@ -0,0 +1,134 @@
+import { isObject, isArray, isUndefined } from '../../lib/util/object.js';
+
+/**
+ * Helper for validating configuration sections. A schema is derived from the defaults of a component, which define the allowed keys and their types.
+ * Components can refine this schema by providing additional hints, for example when an option accepts more than one type, or is restricted to certain values or ranges.
+ * Validation never changes the config, it only reports unknown keys and invalid values, so that typos do not go unnoticed.
+ * @module   src/util/configSchema
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+
+/**
+ * Returns the schema type of a value. In contrast to `typeof`, this distinguishes between objects, arrays and `null`.
+ * @param   {any}    value  The value to check.
+ * @returns {string}        The type, for example `string`, `number`, `array` or `object`.
+ */
+const getType = value => {
+
+    if (value === null) return 'null';
+    if (isArray(value)) return 'array';
+    return typeof value;
+
+};
+
+/**
+ * Creates a schema from the default values of a config section. Keys starting with an underscore are considered internal and are ignored.
+ * Hints are merged into the derived schema. Nested options can be addressed using dot notation, and hints for keys which are not part of the defaults add these keys to the schema.
+ * @memberof module:src/util/configSchema
+ * @param   {Object}                                            defaults  The default config of the component.
+ * @param   {Object<string, module:src/util/configSchema~rule>} [hints]   Additional rules, with the (dot separated) option path as key.
+ * @returns {Object<string, module:src/util/configSchema~rule>}           The resulting schema.
+ */
+export const createSchema = (defaults, hints = {}) => {
+
+    const schema = {};
+
+    Object.entries(defaults).forEach(([key, value]) => {
+        if (key.startsWith('_')) return;
+        schema[key] = { type: value === null || isUndefined(value) ? ['any'] : [getType(value)] };
+        if (isObject(value)) schema[key].properties = createSchema(value);
+    });
+
+    Object.entries(hints).forEach(([path, hint]) => {
+        const keys = path.split('.'),
+              last = keys.pop(),
+              target = keys.reduce((rules, key) => rules?.[key]?.properties, schema);
+
+        if (!target) return;
+
+        const rule = { ...target[last], ...hint };
+        rule.type = hint.type ? [].concat(hint.type) : target[last]?.type ?? ['any'];
+        target[last] = rule;
+    });
+
+    return schema;
+
+};
+
+/**
+ * Validates a config section against a schema. Checks for unknown keys, wrong types, values not contained in an enumeration and numbers out of range.
+ * Nested objects are validated recursively if the schema contains rules for their properties.
+ * @memberof module:src/util/configSchema
+ * @param   {Object}                                            config  The config to validate.
+ * @param   {Object<string, module:src/util/configSchema~rule>} schema  The schema to validate against.
+ * @param   {string}                                            path    The path of the config section, used as prefix for reported errors.
+ * @returns {module:src/util/configSchema~configError[]}                List of errors found, which is empty if the config is valid.
+ */
+export const validateConfig = (config, schema, path) => {
+
+    const errors = [];
+
+    if (!isObject(config)) return errors;
+
+    Object.entries(config).forEach(([key, value]) => {
+
+        const optionPath = `${path}.${key}`,
+              rule = schema[key];
+
+        if (key.startsWith('_') || isUndefined(value)) return;
+
+        if (!rule) {
+            errors.push({ path: optionPath, type: 'unknown', value, message: `Unknown config option "${optionPath}".` });
+            return;
+        }
+
+        const type = getType(value);
+
+        if (!rule.type.includes('any') && !rule.type.includes(type)) {
+            const expected = rule.type.join('|');
+            errors.push({ path: optionPath, type: 'type', value, expected, message: `Config option "${optionPath}" must be of type ${expected}, but got ${type}.` });
+            return;
+        }
+
+        if (rule.enum && type !== 'object' && !rule.enum.includes(value)) {
+            const expected = rule.enum.map(entry => JSON.stringify(entry)).join('|');
+            errors.push({ path: optionPath, type: 'enum', value, expected, message: `Config option "${optionPath}" must be one of ${expected}, but got ${JSON.stringify(value)}.` });
+            return;
+        }
+
+        if (type === 'number' && (value < (rule.min ?? -Infinity) || value > (rule.max ?? Infinity) || Number.isNaN(value))) {
+            const expected = `${rule.min ?? '-Infinity'}..${rule.max ?? 'Infinity'}`;
+            errors.push({ path: optionPath, type: 'range', value, expected, message: `Config option "${optionPath}" must be in the range of ${expected}, but got ${value}.` });
+            return;
+        }
+
+        if (type === 'object' && rule.properties) errors.push(...validateConfig(value, rule.properties, optionPath));
+
+    });
+
+    return errors;
+
+};
+
+/**
+ * Describes a single option within a schema.
+ * @typedef  {Object} module:src/util/configSchema~rule
+ * @property {string|string[]}        [type]        The allowed type(s): `boolean`, `number`, `string`, `array`, `object`, `function`, `null` or `any`. If omitted, the type is derived from the default.
+ * @property {Array<string|number>}   [enum]        List of allowed values. Not checked if the value is an object.
+ * @property {number}                 [min]         The minimum allowed value for numbers.
+ * @property {number}                 [max]         The maximum allowed value for numbers.
+ * @property {Object<string, Object>} [properties]  Rules for nested options, derived automatically if the default is an object.
+ */
+
+/**
+ * Describes an error found while validating a config.
+ * @typedef  {Object} module:src/util/configSchema~configError
+ * @property {string} path        The full path of the option, for example `scrubber.placement`.
+ * @property {string} type        The kind of error: `unknown`, `type`, `enum` or `range`.
+ * @property {any}    value       The invalid value.
+ * @property {string} [expected]  Description of the expected type, values or range. Not present for unknown options.
+ * @property {string} message     Human readable description of the error.
+ */
@@ -0,0 +1,194 @@
+import { isArray, isNumber, isUndefined } from '../../lib/util/object.js';
+
+/**
+ * Minimal validator for JSON Schemas, used for validating media data. Only the subset of keywords used by the player schemas is supported:
+ * `type`, `enum`, `minimum`, `exclusiveMinimum`, `minLength`, `minItems`, `properties`, `required`, `additionalProperties`, `items`,
+ * `allOf`, `anyOf`, `if` / `then` / `else` as well as local references (`$ref` pointing to `#/$defs/...`).
+ * In contrast to most validators, all problems are collected at once, each with the JSON path of the invalid value (like `media[2].variants[0].src`).
+ * @module   src/util/jsonSchema
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+
+/**
+ * Returns the schema type of a value. In contrast to `typeof`, this distinguishes between objects, arrays and `null`.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {any}    value  The value to check.
+ * @returns {string}        The type, for example `string`, `number`, `array` or `object`.
+ */
+const getType = value => {
+
+    if (value === null) return 'null';
+    if (isArray(value)) return 'array';
+    return typeof value;
+
+};
+
+/**
+ * Checks if a value matches at least one of the given schema types.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {any}             value  The value to check.
+ * @param   {string|string[]} types  The allowed type(s).
+ * @returns {boolean}                `true` if the type matches.
+ */
+const matchesType = (value, types) => [].concat(types).some(type => type === getType(value) || type === 'integer' && Number.isInteger(value));
+
+/**
+ * Appends a property name or array index to a JSON path.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {string}        path  The path so far.
+ * @param   {string|number} key   The property name or array index.
+ * @returns {string}              The new path.
+ */
+const joinPath = (path, key) => {
+
+    if (isNumber(key)) return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+
+};
+
+/**
+ * Creates an error object.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {string}                                 path      The path of the invalid value.
+ * @param   {string}                                 type      The kind of error.
+ * @param   {any}                                    value     The invalid value.
+ * @param   {string}                                 expected  Description of the expected type, values or range.
+ * @param   {string}                                 message   Description of the error, which is prefixed with the path.
+ * @returns {module:src/util/jsonSchema~schemaError}           The error object.
+ */
+const createError = (path, type, value, expected, message) => {
+
+    const error = { path, type, expected, message: `${path ? `"${path}"` : 'Root value'} ${message}` };
+    if (!isUndefined(value)) error.value = value;
+    return error;
+
+};
+
+/**
+ * Validates a value against a (sub) schema, and returns all errors found.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {any}                                      value      The value to validate.
+ * @param   {Object}                                   schemaArg  The schema to validate against.
+ * @param   {string}                                   path       The JSON path of the value.
+ * @param   {Object}                                   root       The root schema, used for resolving references.
+ * @returns {module:src/util/jsonSchema~schemaError[]}            List of errors found.
+ */
+const validate = (value, schemaArg, path, root) => {
+
+    const schema = schemaArg.$ref ? schemaArg.$ref.split('/').slice(1).reduce((target, key) => target[key], root) : schemaArg,
+          type = getType(value),
+          errors = [];
+
+    if (schema.type && !matchesType(value, schema.type)) {
+        const expected = [].concat(schema.type).join('|');
+        return [createError(path, 'type', value, expected, `must be of type ${expected}, but got ${type}.`)];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const expected = schema.enum.map(entry => JSON.stringify(entry)).join('|');
+        return [createError(path, 'enum', value, expected, `must be one of ${expected}, but got ${JSON.stringify(value)}.`)];
+    }
+
+    if (type === 'number' && (value < (schema.minimum ?? -Infinity) || value <= (schema.exclusiveMinimum ?? -Infinity) || Number.isNaN(value))) {
+        const expected = isUndefined(schema.minimum) ? `>${schema.exclusiveMinimum ?? '-Infinity'}` : `>=${schema.minimum}`;
+        errors.push(createError(path, 'range', value, expected, `must be ${expected}, but got ${value}.`));
+    }
+
+    if (type === 'string' && value.length < (schema.minLength ?? 0)) {
+        errors.push(createError(path, 'length', value, `>=${schema.minLength}`, 'must not be empty.'));
+    }
+
+    if (type === 'array') {
+        if (value.length < (schema.minItems ?? 0)) errors.push(createError(path, 'length', value, `>=${schema.minItems}`, 'must not be empty.'));
+        if (schema.items) value.forEach((item, index) => errors.push(...validate(item, schema.items, joinPath(path, index), root)));
+    }
+
+    if (type === 'object') {
+
+        schema.required?.filter(key => isUndefined(value[key])).forEach(key => {
+            errors.push(createError(joinPath(path, key), 'required', value[key], key, 'is required.'));
+        });
+
+        Object.entries(value).forEach(([key, propValue]) => {
+            const propSchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (isUndefined(propValue) || isUndefined(propSchema) || propSchema === true) return;
+            if (propSchema === false) errors.push(createError(joinPath(path, key), 'unknown', propValue, '', 'is not allowed.'));
+            else errors.push(...validate(propValue, propSchema, joinPath(path, key), root));
+        });
+
+    }
+
+    schema.allOf?.forEach(subSchema => errors.push(...validate(value, subSchema, path, root)));
+
+    if (schema.anyOf) errors.push(...validateAnyOf(value, schema.anyOf, path, root));
+
+    if (schema.if) {
+        const branch = validate(value, schema.if, path, root).length ? schema.else : schema.then;
+        if (branch) errors.push(...validate(value, branch, path, root));
+    }
+
+    return errors;
+
+};
+
+/**
+ * Validates a value against a list of alternative schemas. If no schema matches, the reported errors are chosen to be as helpful as possible:
+ * if no alternative accepts the type of the value, a single type error is reported; if all alternatives only miss a required property,
+ * a single error listing these properties is reported; otherwise the errors of the closest matching alternative are used.
+ * @private
+ * @memberof module:src/util/jsonSchema
+ * @param   {any}                                      value    The value to validate.
+ * @param   {Object[]}                                 schemas  The alternative schemas.
+ * @param   {string}                                   path     The JSON path of the value.
+ * @param   {Object}                                   root     The root schema, used for resolving references.
+ * @returns {module:src/util/jsonSchema~schemaError[]}          List of errors found.
+ */
+function validateAnyOf(value, schemas, path, root) {
+
+    const results = schemas.map(subSchema => validate(value, subSchema, path, root));
+
+    if (results.some(result => !result.length)) return [];
+
+    const isTypeMismatch = result => result.length === 1 && result[0].path === path && result[0].type === 'type',
+          candidates = results.filter(result => !isTypeMismatch(result));
+
+    if (!candidates.length) {
+        const expected = [...new Set(results.flatMap(([error]) => error.expected.split('|')))].join('|');
+        return [createError(path, 'type', value, expected, `must be of type ${expected}, but got ${getType(value)}.`)];
+    }
+
+    if (candidates.every(result => result.every(error => error.type === 'required' && error.path === joinPath(path, error.expected)))) {
+        const expected = candidates.flatMap(result => result.map(error => error.expected)).join('|');
+        return [createError(path, 'required', value, expected, `must contain one of the properties ${expected}.`)];
+    }
+
+    return candidates.reduce((closest, result) => result.length < closest.length ? result : closest);
+
+}
+
+/**
+ * Validates a value against a JSON schema, and returns all problems found.
+ * @memberof module:src/util/jsonSchema
+ * @param   {any}                                      value   The value to validate.
+ * @param   {Object}                                   schema  The JSON schema to validate against.
+ * @returns {module:src/util/jsonSchema~schemaError[]}         List of errors found, which is empty if the value is valid.
+ */
+export const validateSchema = (value, schema) => validate(value, schema, '', schema);
+
+/**
+ * Describes an error found while validating against a schema.
+ * @typedef  {Object} module:src/util/jsonSchema~schemaError
+ * @property {string} path      The JSON path of the invalid value, for example `media[2].variants[0].representations[1].src`. Empty for the root value.
+ * @property {string} type      The kind of error: `type`, `enum`, `range`, `length`, `required` or `unknown`.
+ * @property {any}    [value]   The invalid value. Not present for missing properties.
+ * @property {string} expected  Description of the expected type, values, range or (missing) property.
+ * @property {string} message   Human readable description of the error.
+ */
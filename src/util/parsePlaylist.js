@@ -0,0 +1,303 @@
+/**
+ * Parses playlists in the M3U (including extended M3U and M3U8), PLS and XSPF formats as well as podcast RSS feeds, and converts them into the media data format used by the player.
+ * HLS manifests (which share the M3U8 format) are not considered to be playlists, since they are played as streams instead.
+ * @module src/util/parsePlaylist
+ * @author   Frank Kudermann - alphanull
+ * @version  1.1.0
+ * @license  MIT
+ */
+
+/**
+ * Resolves an URL relative to the URL of the playlist. If no base URL is available (or the URL is invalid), the URL is returned as is.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string} src        The URL to resolve.
+ * @param   {string} [baseUrl]  The absolute URL of the playlist.
+ * @returns {string}            The resolved URL.
+ */
+const resolveUrl = (src, baseUrl) => {
+
+    if (!baseUrl) return src;
+
+    try {
+        return new URL(src, baseUrl).href;
+    } catch {
+        return src;
+    }
+
+};
+
+/**
+ * XML namespaces used by podcast feeds.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @type {Object<string, string>}
+ */
+const namespaces = {
+    itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    podcast: 'https://podcastindex.org/namespace/1.0',
+    content: 'http://purl.org/rss/1.0/modules/content/'
+};
+
+/**
+ * Returns all direct child elements with the given name (and namespace).
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {Element}   parent           The parent element.
+ * @param   {string}    name             The local name of the elements to find.
+ * @param   {?string}   [namespace='*']  The namespace URI of the elements, `null` for elements without namespace, or `'*'` for any namespace.
+ * @returns {Element[]}                  The matching elements.
+ */
+const getChildren = (parent, name, namespace = '*') => Array.from(parent.children).filter(ele => ele.localName === name && (namespace === '*' || ele.namespaceURI === namespace));
+
+/**
+ * Returns the trimmed text content of the first direct child element with the given name (and namespace).
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {Element} parent           The parent element.
+ * @param   {string}  name             The local name of the element to find.
+ * @param   {?string} [namespace='*']  The namespace URI of the element, `null` for elements without namespace, or `'*'` for any namespace.
+ * @returns {string}                   The text content, or an empty string if the element was not found.
+ */
+const getText = (parent, name, namespace) => getChildren(parent, name, namespace)[0]?.textContent.trim() ?? '';
+
+/**
+ * Parses a playlist in the (extended) M3U format. Supports `#EXTINF` for titles and durations, `#PLAYLIST` for the playlist title,
+ * as well as `#EXTIMG` and the `tvg-logo` attribute for artwork.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string}                                 text       The playlist content.
+ * @param   {string}                                 [baseUrl]  The URL of the playlist.
+ * @returns {module:src/util/parsePlaylist~playlist}            The parsed playlist.
+ */
+const parseM3u = (text, baseUrl) => {
+
+    const playlist = { media: [] };
+
+    let entry = {};
+
+    text.split(/\r?\n/).map(line => line.trim()).forEach(line => {
+
+        if (line.startsWith('#EXTINF:')) {
+
+            const [, info = '', name = ''] = line.match(/^#EXTINF:([^,]*),?(.*)$/) ?? [],
+                  duration = parseFloat(info),
+                  logo = info.match(/tvg-logo="([^"]*)"/)?.[1];
+
+            entry = {};
+            if (name.trim()) entry.title = name.trim();
+            if (duration > 0) entry.duration = duration;
+            if (logo) entry.poster = resolveUrl(logo, baseUrl);
+
+        } else if (line.startsWith('#EXTIMG:')) {
+
+            entry.poster = resolveUrl(line.slice(8).trim(), baseUrl);
+
+        } else if (line.startsWith('#PLAYLIST:')) {
+
+            playlist.title = line.slice(10).trim();
+
+        } else if (line && !line.startsWith('#')) {
+
+            playlist.media.push({ ...entry, src: resolveUrl(line, baseUrl) });
+            entry = {};
+
+        }
+
+    });
+
+    return playlist;
+
+};
+
+/**
+ * Parses a playlist in the PLS format, using the `File`, `Title` and `Length` entries.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string}                                 text       The playlist content.
+ * @param   {string}                                 [baseUrl]  The URL of the playlist.
+ * @returns {module:src/util/parsePlaylist~playlist}            The parsed playlist.
+ */
+const parsePls = (text, baseUrl) => {
+
+    const entries = new Map();
+
+    text.split(/\r?\n/).forEach(line => {
+        const [, key, number, value] = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i) ?? [];
+        if (!key) return;
+        if (!entries.has(Number(number))) entries.set(Number(number), {});
+        entries.get(Number(number))[key.toLowerCase()] = value.trim();
+    });
+
+    return {
+        media: Array.from(entries.keys()).sort((a, b) => a - b).map(number => entries.get(number)).filter(({ file }) => file).map(({ file, title, length }) => {
+            const item = { src: resolveUrl(file, baseUrl) };
+            if (title) item.title = title;
+            if (Number(length) > 0) item.duration = Number(length);
+            return item;
+        })
+    };
+
+};
+
+/**
+ * Parses a playlist in the XSPF format. Uses `location`, `title`, `creator`, `duration` and `image` of each track, as well as the title of the playlist.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string}                                      text       The playlist content.
+ * @param   {string}                                      [baseUrl]  The URL of the playlist.
+ * @returns {module:src/util/parsePlaylist~playlist|null}            The parsed playlist, or `null` if the XML is invalid.
+ */
+const parseXspf = (text, baseUrl) => {
+
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+    if (doc.getElementsByTagName('parsererror').length || doc.documentElement.localName !== 'playlist') return null;
+
+    const playlist = { media: [] },
+          title = getText(doc.documentElement, 'title');
+
+    if (title) playlist.title = title;
+
+    Array.from(doc.documentElement.getElementsByTagNameNS('*', 'track')).forEach(track => {
+
+        const location = getText(track, 'location'),
+              trackTitle = getText(track, 'title'),
+              creator = getText(track, 'creator'),
+              duration = Number(getText(track, 'duration')),
+              image = getText(track, 'image');
+
+        if (!location) return;
+
+        const item = { src: resolveUrl(location, baseUrl) };
+        if (trackTitle) item.title = trackTitle;
+        if (creator) item.titleSecondary = creator;
+        if (duration > 0) item.duration = duration / 1000;
+        if (image) item.poster = resolveUrl(image, baseUrl);
+
+        playlist.media.push(item);
+
+    });
+
+    return playlist;
+
+};
+
+/**
+ * Parses a duration as used by `itunes:duration`, either in seconds or in the `[HH:]MM:SS` format.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string} duration  The duration to parse.
+ * @returns {number}           The duration in seconds, or `NaN` if the duration is invalid.
+ */
+const parseDuration = duration => duration.split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+
+/**
+ * Parses a podcast RSS feed. The channel title is used as playlist title, and each item with an `enclosure` becomes a media item,
+ * using `guid`, `title`, `itunes:duration`, `itunes:image` (falling back to the artwork of the channel) and the show notes
+ * (`content:encoded`, `description` or `itunes:summary`). In addition, the Podcasting 2.0 tags `podcast:chapters` and `podcast:transcript`
+ * (in the WebVTT or SRT format) are supported.
+ * @private
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string}                                      text       The feed content.
+ * @param   {string}                                      [baseUrl]  The URL of the feed.
+ * @returns {module:src/util/parsePlaylist~playlist|null}            The parsed playlist, or `null` if the XML is invalid.
+ */
+const parseRss = (text, baseUrl) => {
+
+    const doc = new DOMParser().parseFromString(text, 'application/xml'),
+          channel = doc.getElementsByTagName('parsererror').length ? null : getChildren(doc.documentElement, 'channel', null)[0];
+
+    if (!channel) return null;
+
+    const playlist = { media: [] },
+          title = getText(channel, 'title', null),
+          language = getText(channel, 'language', null).split('-')[0].toLowerCase(),
+          rssImage = getChildren(channel, 'image', null)[0],
+          channelImage = getChildren(channel, 'image', namespaces.itunes)[0]?.getAttribute('href') || (rssImage ? getText(rssImage, 'url', null) : '');
+
+    if (title) playlist.title = title;
+
+    getChildren(channel, 'item', null).forEach(entry => {
+
+        const enclosure = getChildren(entry, 'enclosure', null)[0],
+              src = enclosure?.getAttribute('url');
+
+        if (!src) return;
+
+        const item = { src: resolveUrl(src, baseUrl) },
+              mimeType = enclosure.getAttribute('type'),
+              id = getText(entry, 'guid', null),
+              itemTitle = getText(entry, 'title', null) || getText(entry, 'title', namespaces.itunes),
+              duration = parseDuration(getText(entry, 'duration', namespaces.itunes)),
+              image = getChildren(entry, 'image', namespaces.itunes)[0]?.getAttribute('href') || channelImage,
+              description = getText(entry, 'encoded', namespaces.content) || getText(entry, 'description', null) || getText(entry, 'summary', namespaces.itunes),
+              chapters = getChildren(entry, 'chapters', namespaces.podcast)[0]?.getAttribute('url'),
+              tracks = getChildren(entry, 'transcript', namespaces.podcast).reduce((acc, transcript) => {
+                  const type = transcript.getAttribute('type') ?? '',
+                        format = /vtt/i.test(type) ? 'vtt' : /srt|subrip/i.test(type) ? 'srt' : null,
+                        trackLanguage = (transcript.getAttribute('language') ?? '').split('-')[0].toLowerCase() || language;
+                  if (format && trackLanguage && transcript.getAttribute('url') && !acc.some(track => track.language === trackLanguage)) {
+                      acc.push({ type: 'subtitles', language: trackLanguage, src: resolveUrl(transcript.getAttribute('url'), baseUrl), format });
+                  }
+                  return acc;
+              }, []);
+
+        if (mimeType) item.mimeType = mimeType;
+        if (id) item.id = id;
+        if (itemTitle) item.title = itemTitle;
+        if (title) item.titleSecondary = title;
+        if (duration > 0) item.duration = duration;
+        if (image) item.poster = resolveUrl(image, baseUrl);
+        if (description) item.description = description;
+        if (chapters) item.chapters = resolveUrl(chapters, baseUrl);
+        if (tracks.length) item.text = tracks;
+
+        playlist.media.push(item);
+
+    });
+
+    return playlist;
+
+};
+
+/**
+ * Detects the format of a playlist and parses it into media data. The format is detected by the content,
+ * and also by the file extension or mime type, since plain M3U files may not contain any header.
+ * @memberof module:src/util/parsePlaylist
+ * @param   {string}                                      text                The content to parse.
+ * @param   {Object}                                      [options]           Additional options.
+ * @param   {string}                                      [options.url]       The URL or file name of the playlist, also used for resolving relative URLs.
+ * @param   {string}                                      [options.mimeType]  The mime type of the content, if known.
+ * @returns {module:src/util/parsePlaylist~playlist|null}                     The parsed playlist, or `null` if the content is not a supported playlist, or contains no entries.
+ */
+const parsePlaylist = (text, { url = '', mimeType = '' } = {}) => {
+
+    const content = text.trimStart(),
+          extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase(),
+          baseUrl = /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : null,
+          isHls = /^#EXT-X-/m.test(content);
+
+    let playlist = null;
+
+    if (content.startsWith('<')) {
+        if (extension === 'xspf' || mimeType.includes('xspf') || /<playlist[^>]+xspf\.org/.test(content)) playlist = parseXspf(content, baseUrl);
+        else if (/<rss[\s>]/.test(content)) playlist = parseRss(content, baseUrl);
+    } else if (/^\[playlist\]/i.test(content)) {
+        playlist = parsePls(content, baseUrl);
+    } else if (!isHls && (content.startsWith('#EXTM3U') || ['m3u', 'm3u8'].includes(extension) || /mpegurl/i.test(mimeType))) {
+        playlist = parseM3u(content, baseUrl);
+    }
+
+    return playlist?.media.length ? playlist : null;
+
+};
+
+export default parsePlaylist;
+
+/**
+ * A parsed playlist, using the media data format of the player.
+ * @typedef  {Object} module:src/util/parsePlaylist~playlist
+ * @property {string}   [title]  The title of the playlist, if available.
+ * @property {Object[]} media    The media items, each with a `src` and (if available) `title`, `titleSecondary`, `duration` (in seconds) and `poster`. Items of podcast feeds may also contain `mimeType`, `id`, `description`, `chapters` (as URL) and `text`.
+ */
@@ -0,0 +1,56 @@
+import { isObject, isFunction } from '../../lib/util/object.js';
+
+/**
+ * Helper for components which need to persist data, like user preferences or playback positions.
+ * Resolves a storage setting to an adapter with the same interface as the Web Storage API.
+ * @module   src/util/storage
+ * @requires lib/util/object
+ * @author   Frank Kudermann - alphanull
+ * @version  1.0.0
+ * @license  MIT
+ */
+
+/**
+ * Storage which keeps all values in memory, shared by all players on the page.
+ * Used when explicitly configured, or as a fallback when no browser storage is available.
+ * @type {module:src/util/storage~storageAdapter}
+ */
+const memoryStorage = (() => {
+    const store = new Map();
+    return {
+        getItem: key => store.get(key) ?? null,
+        setItem: (key, value) => { store.set(key, value); },
+        removeItem: key => { store.delete(key); }
+    };
+})();
+
+/**
+ * Returns a storage adapter, depending on the storage setting. Falls back to the memory storage if the browser storage is not accessible (for example in sandboxed iframes).
+ * @memberof module:src/util/storage
+ * @param   {'local'|'session'|'memory'|module:src/util/storage~storageAdapter} storage  Either one of the built-in storages, or a custom adapter.
+ * @returns {module:src/util/storage~storageAdapter}                                     The storage adapter.
+ */
+const getStorage = storage => {
+
+    if (isObject(storage) && isFunction(storage.getItem) && isFunction(storage.setItem) && isFunction(storage.removeItem)) {
+        return storage;
+    }
+
+    try {
+        if (storage === 'local') return window.localStorage;
+        if (storage === 'session') return window.sessionStorage;
+    } catch {} // storage not accessible
+
+    return memoryStorage;
+
+};
+
+export default getStorage;
+
+/**
+ * Interface for storage adapters. Methods may either work synchronously or return a Promise.
+ * @typedef  {Object} module:src/util/storage~storageAdapter
+ * @property {function(string): (string|null|Promise<string|null>)} getItem     Returns the stored string for the given key.
+ * @property {function(string, string): (void|Promise)}             setItem     Stores a string under the given key.
+ * @property {function(string): (void|Promise)}                     removeItem  Removes the given key.
+ */
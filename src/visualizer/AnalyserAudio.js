@@ -229,6 +229,24 @@ export default class AnalyserAudio {
 
     }
 
+    /**
+     * Returns schema rules for the options handled by this base class, so that subclasses can pass them to `initConfig()` along with their own defaults.
+     * @returns {Object<string, module:src/util/configSchema~rule>} The schema rules.
+     */
+    static getConfigSchema() {
+        return {
+            audioOnly: { type: 'boolean' },
+            channels: { type: 'number', min: 1 },
+            hiPass: { type: 'number', min: 0 },
+            loPass: { type: 'number', min: 0 },
+            fftSize: { type: 'number', min: 32, max: 32768 },
+            minDecibels: { type: 'number' },
+            maxDecibels: { type: 'number' },
+            smoothingTime: { type: 'number', min: 0, max: 1 },
+            stopDelay: { type: 'number', min: 0 }
+        };
+    }
+
     /**
      * Reduces the size of the frequency array to the target size by averaging groups of frequencyData.
      * @param   {number[]} inputArray  Original frequency data array.
@@ -89,7 +89,7 @@ export default class VisualizerBar extends AnalyserAudio {
             hiPass: 0,
             loPass: 0,
             fftSize: 32
-        });
+        }, AnalyserAudio.getConfigSchema());
 
         if (super(player, config, apiKey)[0] === false) return [false];
 
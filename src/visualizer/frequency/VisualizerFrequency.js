@@ -88,7 +88,7 @@ export default class VisualizerFrequency extends AnalyserAudio {
             hiPass: 0,
             loPass: 0,
             fftSize: 512
-        });
+        }, AnalyserAudio.getConfigSchema());
 
         if (super(player, config, apiKey)[0] === false) return [false];
 
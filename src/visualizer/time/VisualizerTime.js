@@ -76,7 +76,7 @@ export default class VisualizerTime extends AnalyserAudio {
             channels: 1,
             fftSize: 512,
             smoothingTimeConstant: 1
-        });
+        }, AnalyserAudio.getConfigSchema());
 
         if (super(player, config, apiKey)[0] === false) return [false];
 